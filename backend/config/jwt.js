@@ -0,0 +1,17 @@
+// Development-only fallback; never valid in production
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production';
+
+// Placeholder from .env.example, equally public
+const EXAMPLE_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+if (JWT_SECRET === DEFAULT_JWT_SECRET || JWT_SECRET === EXAMPLE_JWT_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set to a private random value in production');
+    }
+
+    console.warn('⚠️ JWT_SECRET is unset or a public placeholder; tokens can be forged');
+}
+
+module.exports = { JWT_SECRET };
@@ -0,0 +1,32 @@
+const jwt = require('jsonwebtoken');
+
+const { JWT_SECRET } = require('../config/jwt');
+
+/**
+ * Authentication middleware
+ */
+function authenticate(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const token = authHeader.substring(7);
+
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+
+        // 2FA challenge tokens carry a type; only plain access tokens open the API
+        if (decoded.type) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+
+        req.user = decoded;
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Invalid token' });
+    }
+}
+
+module.exports = { authenticate };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One refresh token per row; only a hash of the token is stored.
+// Every /refresh replaces the token with a new one in the same family, so a
+// family is one signed-in device. Rotated tokens are kept until they expire
+// so that presenting one again can be recognised as reuse.
+const RefreshTokenSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        required: true,
+        index: true
+    },
+    familyId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    deviceName: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set when the token is exchanged for its successor
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB removes rows once they expire
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
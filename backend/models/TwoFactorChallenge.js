@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One row per password-verified login waiting for its second factor.
+// The challenge token handed to the client carries the row's jti; the row
+// counts wrong codes and is deleted when the login completes, so a challenge
+// can neither be guessed at indefinitely nor used twice.
+const TwoFactorChallengeSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB removes rows once they expire
+TwoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TwoFactorChallenge', TwoFactorChallengeSchema);
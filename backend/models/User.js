@@ -1,5 +1,55 @@
 const mongoose = require('mongoose');
 
+// Sync entries are encrypted on the device; only ids and timestamps are readable
+const EncryptedItemSchema = {
+    id: String,
+    blob: {
+        ciphertext: String,
+        iv: String
+    },
+    createdAt: String,
+    updatedAt: String,
+    deletedAt: String,
+    // Server revision at which this item was last stored
+    revision: {
+        type: Number,
+        default: 0
+    }
+};
+
+// Bookmarks and folders also carry their place in the tree; titles and URLs stay in the blob
+const BookmarkItemSchema = {
+    ...EncryptedItemSchema,
+    kind: {
+        type: String,
+        enum: ['folder', 'bookmark']
+    },
+    // Folder item id, or a top-level folder key such as 'toolbar'
+    parentId: String,
+    // Position among the parent's children
+    index: Number
+};
+
+// How far one device has read a sync list; tombstones are purged once every device is past them
+const DeviceAckSchema = {
+    deviceId: String,
+    revision: {
+        type: Number,
+        default: 0
+    },
+    seenAt: {
+        type: Date,
+        default: Date.now
+    }
+};
+
+// AES-GCM encrypted TOTP secret
+const TotpSecretSchema = {
+    ciphertext: String,
+    iv: String,
+    tag: String
+};
+
 const UserSchema = new mongoose.Schema({
     email: {
         type: String,
@@ -22,30 +72,77 @@ const UserSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    // TOTP second factor; secrets are encrypted with the server key and backup codes are hashed
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: TotpSecretSchema,
+        // Secret waiting for its first code during enrollment
+        pendingSecret: TotpSecretSchema,
+        backupCodes: [String],
+        // Time step of the last accepted code, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            default: -1
+        },
+        enabledAt: Date
+    },
+    // Last time the master password hint was emailed on its own
+    hintRequestedAt: {
+        type: Date,
+        default: null
+    },
+    // Pending account recovery; only a hash of the emailed code is kept
+    passwordReset: {
+        tokenHash: String,
+        expiresAt: Date,
+        requestedAt: Date,
+        // Wrong two-factor codes entered with this recovery code
+        attempts: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Per-account sync key, wrapped by a key derived from the master password
+    syncKey: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
     // Sync Data embedded in User for simplicity (or can be separate if large)
     syncData: {
-        passwords: [{
-            id: String,
-            url: String,
-            username: String,
-            password: String, // Encrypted
-            createdAt: String,
-            updatedAt: String,
-            deletedAt: String
-        }],
-        bookmarks: [{
-            id: String,
-            title: String,
-            url: String,
-            createdAt: String,
-            updatedAt: String,
-            deletedAt: String
-        }],
+        passwords: [EncryptedItemSchema],
+        bookmarks: [BookmarkItemSchema],
+        acks: {
+            passwords: [DeviceAckSchema],
+            bookmarks: [DeviceAckSchema]
+        },
+        // Monotonic counter shared by all of the user's sync items
+        revision: {
+            type: Number,
+            default: 0
+        },
+        // Revision at which each list was last deleted by the user; devices that
+        // read before it stop syncing that list instead of uploading it again
+        resets: {
+            passwords: {
+                type: Number,
+                default: 0
+            },
+            bookmarks: {
+                type: Number,
+                default: 0
+            }
+        },
         lastUpdated: {
             type: Date,
             default: Date.now
         }
     }
+}, {
+    // Reject saves based on a stale copy so revisions are never handed out twice
+    optimisticConcurrency: true
 });
 
 module.exports = mongoose.model('User', UserSchema);
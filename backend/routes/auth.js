@@ -1,23 +1,201 @@
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
 
+const QRCode = require('qrcode');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const { JWT_SECRET } = require('../config/jwt');
+const { authenticate } = require('../middleware/auth');
+const twoFactor = require('../utils/two-factor');
+const { sendMail } = require('../utils/mailer');
 
-// In-memory storage for refresh tokens (in production use Redis or DB)
-const refreshTokens = new Set();
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const JWT_EXPIRES_IN = '15m';
-const REFRESH_TOKEN_EXPIRES_IN = '7d';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// A rotated refresh token presented again this soon is two requests racing, not theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+const DEVICE_NAME_MAX_LENGTH = 100;
+// Time allowed between the password step and the second factor
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+// Wrong codes allowed per challenge before the password must be entered again
+const CHALLENGE_MAX_ATTEMPTS = 5;
+// How long an emailed recovery code stays valid
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+// Wrong two-factor codes allowed per recovery code before a new one must be requested
+const RESET_MAX_ATTEMPTS = 5;
+// Minimum gap between recovery or hint emails to the same account
+const RESET_REQUEST_INTERVAL_MS = 60 * 1000;
+// Same answer whether or not the account exists
+const RECOVERY_REQUESTED_MESSAGE = 'If an account exists for this email, recovery instructions have been sent to it.';
+const HINT_REQUESTED_MESSAGE = 'If an account exists for this email, its master password hint has been sent to it.';
+
+/**
+ * Issue an access token and a refresh token that starts a new token family
+ * @param {string} email - Account email
+ * @param {string} deviceName - Name the client gave for the signed-in device
+ */
+async function issueTokens(email, deviceName) {
+    const accessToken = jwt.sign({ email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    const refreshToken = await createRefreshToken(email, crypto.randomUUID(), normalizeDeviceName(deviceName));
+
+    return { accessToken, refreshToken };
+}
+
+/**
+ * Store a new refresh token in a family
+ * @returns {Promise<string>} - The token; only its hash is kept
+ */
+async function createRefreshToken(email, familyId, deviceName) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    await RefreshToken.create({
+        tokenHash: hashRefreshToken(refreshToken),
+        email,
+        familyId,
+        deviceName,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return refreshToken;
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * Tokens are 256-bit random values, so a plain hash is enough
+ */
+function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Trim the client-supplied device name to something safe to store
+ */
+function normalizeDeviceName(deviceName) {
+    return String(deviceName || '').trim().substring(0, DEVICE_NAME_MAX_LENGTH);
+}
+
+/**
+ * Revoke every refresh token issued to an account
+ */
+async function revokeRefreshTokens(email) {
+    await RefreshToken.deleteMany({ email });
+}
+
+/**
+ * Hash a recovery code for storage and lookup
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(String(token).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Create a recovery code for a user and email it with the account's hints
+ * Runs after the request was answered; the caller logs failures.
+ */
+async function sendRecoveryMail(user) {
+    const now = Date.now();
+    const lastRequest = user.passwordReset && user.passwordReset.requestedAt;
+
+    if (lastRequest && now - lastRequest.getTime() < RESET_REQUEST_INTERVAL_MS) {
+        return;
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+
+    user.passwordReset = {
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(now + RESET_TOKEN_TTL_MS),
+        requestedAt: new Date(now)
+    };
+    await user.save();
+
+    const lines = [
+        'Someone asked to recover your SecureSync account. If it was not you, ignore this email.',
+        '',
+        `Recovery code (valid for ${RESET_TOKEN_TTL_MS / 60000} minutes, single use): ${token}`,
+        'Enter it in the SecureSync sign-in page under "Forgot Password?" to choose a new login password.',
+        '',
+        `Login password hint: ${user.passwordHint || 'none'}`,
+        `Master password hint: ${user.masterPasswordHint || 'none'}`,
+        '',
+        'Resetting the login password does not reset your master password; your vault stays encrypted with it.'
+    ];
+
+    await sendMail({
+        to: user.email,
+        subject: 'SecureSync account recovery',
+        text: lines.join('\n')
+    });
+}
+
+/**
+ * Email the account's master password hint
+ * Runs after the request was answered; the caller logs failures.
+ */
+async function sendHintMail(user) {
+    const now = new Date();
+
+    // Claim the send atomically so parallel requests cannot get past the interval
+    const claimed = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [
+                { hintRequestedAt: null },
+                { hintRequestedAt: { $lt: new Date(now.getTime() - RESET_REQUEST_INTERVAL_MS) } }
+            ]
+        },
+        { $set: { hintRequestedAt: now } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return;
+    }
+
+    await sendMail({
+        to: user.email,
+        subject: 'SecureSync master password hint',
+        text: [
+            'Someone asked for the master password hint of your SecureSync account. If it was not you, ignore this email.',
+            '',
+            `Master password hint: ${user.masterPasswordHint || 'none'}`
+        ].join('\n')
+    });
+}
+
+/**
+ * Check a TOTP or backup code for a user with 2FA enabled
+ * Accepted codes are used up: the TOTP step is recorded and backup codes are removed.
+ * The caller saves the user.
+ * @returns {Promise<boolean>} - True if the code is valid
+ */
+async function consumeSecondFactor(user, code) {
+    const secret = twoFactor.decryptSecret(user.twoFactor.secret);
+    const step = twoFactor.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+
+    if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    const index = await twoFactor.findBackupCode(user.twoFactor.backupCodes, code);
+
+    if (index !== -1) {
+        user.twoFactor.backupCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+}
 
 /**
  * Sign up new user
  */
 router.post('/signup', async (req, res) => {
     try {
-        const { email, password, passwordHint, masterPasswordHint } = req.body;
+        const { email, password, passwordHint, masterPasswordHint, deviceName } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password required' });
@@ -40,11 +218,7 @@ router.post('/signup', async (req, res) => {
             masterPasswordHint: masterPasswordHint || ''
         });
 
-        // Generate tokens
-        const accessToken = jwt.sign({ email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-        const refreshToken = jwt.sign({ email, type: 'refresh' }, JWT_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES_IN });
-
-        refreshTokens.add(refreshToken);
+        const { accessToken, refreshToken } = await issueTokens(email, deviceName);
 
         res.status(201).json({
             message: 'User created successfully',
@@ -63,7 +237,7 @@ router.post('/signup', async (req, res) => {
  */
 router.post('/login', async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, deviceName } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password required' });
@@ -82,11 +256,28 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate tokens
-        const accessToken = jwt.sign({ email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-        const refreshToken = jwt.sign({ email, type: 'refresh' }, JWT_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES_IN });
+        // With 2FA on, the password only earns a challenge to exchange at /login/2fa
+        if (user.twoFactor && user.twoFactor.enabled) {
+            const jti = crypto.randomUUID();
+            await TwoFactorChallenge.create({
+                jti,
+                email,
+                expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+            });
+
+            const challengeToken = jwt.sign({ email, type: '2fa-challenge' }, JWT_SECRET, {
+                expiresIn: Math.floor(CHALLENGE_TTL_MS / 1000),
+                jwtid: jti
+            });
+
+            return res.json({
+                message: 'Two-factor code required',
+                twoFactorRequired: true,
+                challengeToken
+            });
+        }
 
-        refreshTokens.add(refreshToken);
+        const { accessToken, refreshToken } = await issueTokens(email, deviceName);
 
         res.json({
             message: 'Login successful',
@@ -100,8 +291,88 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * Complete a 2FA login with a TOTP or backup code
+ */
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, deviceName } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({ error: 'Challenge token and code required' });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+        }
+
+        if (decoded.type !== '2fa-challenge') {
+            return res.status(401).json({ error: 'Invalid token type' });
+        }
+
+        // Count the attempt up front so parallel guesses cannot exceed the limit
+        const challenge = await TwoFactorChallenge.findOneAndUpdate(
+            {
+                jti: decoded.jti,
+                email: decoded.email,
+                attempts: { $lt: CHALLENGE_MAX_ATTEMPTS },
+                expiresAt: { $gt: new Date() }
+            },
+            { $inc: { attempts: 1 } }
+        );
+
+        if (!challenge) {
+            return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+        }
+
+        const user = await User.findOne({ email: decoded.email });
+
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (!await consumeSecondFactor(user, code)) {
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+
+        // Only one request may complete a challenge
+        if (!await TwoFactorChallenge.findOneAndDelete({ jti: challenge.jti })) {
+            return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+        }
+
+        try {
+            await user.save();
+        } catch (error) {
+            // A parallel login recorded a code first; the same TOTP step must not work twice
+            if (error.name === 'VersionError') {
+                return res.status(401).json({ error: 'Invalid two-factor code' });
+            }
+            throw error;
+        }
+
+        const { accessToken, refreshToken } = await issueTokens(user.email, deviceName);
+
+        res.json({
+            message: 'Login successful',
+            accessToken,
+            refreshToken,
+            user: { email: user.email, createdAt: user.createdAt },
+            backupCodesRemaining: user.twoFactor.backupCodes.length
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
 /**
  * Refresh access token
+ * The refresh token is single-use: it is exchanged for a new one in the same family.
+ * Presenting a token that was already exchanged revokes the whole family, since
+ * either the device or whoever copied its token is no longer legitimate.
  */
 router.post('/refresh', async (req, res) => {
     try {
@@ -111,21 +382,30 @@ router.post('/refresh', async (req, res) => {
             return res.status(400).json({ error: 'Refresh token required' });
         }
 
-        if (!refreshTokens.has(refreshToken)) {
-            return res.status(401).json({ error: 'Invalid refresh token' });
-        }
+        const tokenHash = hashRefreshToken(refreshToken);
+        const now = new Date();
 
-        // Verify token
-        const decoded = jwt.verify(refreshToken, JWT_SECRET);
+        // Claim the token atomically so only one request can rotate it
+        const stored = await RefreshToken.findOneAndUpdate(
+            { tokenHash, rotatedAt: null, expiresAt: { $gt: now } },
+            { $set: { rotatedAt: now, lastUsedAt: now } }
+        );
 
-        if (decoded.type !== 'refresh') {
-            return res.status(401).json({ error: 'Invalid token type' });
+        if (!stored) {
+            const used = await RefreshToken.findOne({ tokenHash });
+
+            if (used && used.rotatedAt && now - used.rotatedAt > REFRESH_REUSE_GRACE_MS) {
+                await RefreshToken.deleteMany({ familyId: used.familyId });
+                console.warn(`Refresh token reuse for ${used.email}; revoked session "${used.deviceName}"`);
+            }
+
+            return res.status(401).json({ error: 'Invalid refresh token' });
         }
 
-        // Generate new access token
-        const accessToken = jwt.sign({ email: decoded.email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+        const accessToken = jwt.sign({ email: stored.email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+        const nextRefreshToken = await createRefreshToken(stored.email, stored.familyId, stored.deviceName);
 
-        res.json({ accessToken });
+        res.json({ accessToken, refreshToken: nextRefreshToken });
     } catch (error) {
         console.error('Refresh error:', error);
         res.status(401).json({ error: 'Token refresh failed' });
@@ -140,7 +420,12 @@ router.post('/logout', async (req, res) => {
         const { refreshToken } = req.body;
 
         if (refreshToken) {
-            refreshTokens.delete(refreshToken);
+            // End the device's session, including tokens it already rotated
+            const stored = await RefreshToken.findOne({ tokenHash: hashRefreshToken(refreshToken) });
+
+            if (stored) {
+                await RefreshToken.deleteMany({ familyId: stored.familyId });
+            }
         }
 
         res.json({ message: 'Logout successful' });
@@ -151,55 +436,299 @@ router.post('/logout', async (req, res) => {
 });
 
 /**
- * Get password hint
+ * Update master password hint (after a master password change)
  */
-router.post('/forgot-password', async (req, res) => {
+router.put('/master-password-hint', authenticate, async (req, res) => {
     try {
-        const { email } = req.body;
+        const { masterPasswordHint } = req.body;
 
-        if (!email) {
-            return res.status(400).json({ error: 'Email required' });
+        if (typeof masterPasswordHint !== 'string') {
+            return res.status(400).json({ error: 'Master password hint must be a string' });
         }
 
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email: req.user.email });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        user.masterPasswordHint = masterPasswordHint;
+        await user.save();
+
+        res.json({ message: 'Master password hint updated' });
+    } catch (error) {
+        console.error('Update master password hint error:', error);
+        res.status(500).json({ error: 'Failed to update master password hint' });
+    }
+});
+
+/**
+ * Get two-factor status
+ */
+router.get('/2fa', authenticate, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email });
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
         res.json({
-            email,
-            passwordHint: user.passwordHint || 'No hint available',
-            masterPasswordHint: user.masterPasswordHint || 'No hint available'
+            enabled: !!user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt || null,
+            backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0
         });
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+});
+
+/**
+ * Start 2FA enrollment with a new secret
+ * The secret stays pending until /2fa/enable confirms a code from it.
+ */
+router.post('/2fa/setup', authenticate, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = twoFactor.generateSecret();
+        const otpauthUri = twoFactor.buildOtpauthUri(secret, user.email);
+
+        user.twoFactor.pendingSecret = twoFactor.encryptSecret(secret);
+        await user.save();
+
+        res.json({
+            secret,
+            otpauthUri,
+            qrCode: await QRCode.toDataURL(otpauthUri)
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+/**
+ * Confirm enrollment with a code from the pending secret
+ * Returns the backup codes; only their hashes are kept.
+ */
+router.post('/2fa/enable', authenticate, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ error: 'Code required' });
+        }
+
+        const user = await User.findOne({ email: req.user.email });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.twoFactor.pendingSecret || !user.twoFactor.pendingSecret.ciphertext) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const secret = twoFactor.decryptSecret(user.twoFactor.pendingSecret);
+        const step = twoFactor.verifyCode(secret, code);
+
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        const backupCodes = twoFactor.generateBackupCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.backupCodes = await twoFactor.hashBackupCodes(backupCodes);
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabledAt = new Date();
+        await user.save();
+
+        res.json({ message: 'Two-factor authentication enabled', backupCodes });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+/**
+ * Turn 2FA off; needs the account password and a current code
+ */
+router.post('/2fa/disable', authenticate, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({ error: 'Password and code required' });
+        }
+
+        const user = await User.findOne({ email: req.user.email });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        // 400 rather than 401 so the client does not mistake a typo for an expired session
+        if (!await bcrypt.compare(password, user.password)) {
+            return res.status(400).json({ error: 'Incorrect password' });
+        }
+
+        if (!await consumeSecondFactor(user, code)) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+/**
+ * Start account recovery
+ * Hints and a single-use recovery code go to the account's email only.
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ error: 'Email required' });
+        }
+
+        const user = await User.findOne({ email });
+
+        // Answer before any mail work so timing does not reveal whether the account exists
+        res.status(202).json({ message: RECOVERY_REQUESTED_MESSAGE });
+
+        if (user) {
+            sendRecoveryMail(user).catch(error => {
+                console.error('Recovery mail error:', error);
+            });
+        }
     } catch (error) {
         console.error('Forgot password error:', error);
-        res.status(500).json({ error: 'Failed to retrieve password hint' });
+        res.status(500).json({ error: 'Failed to start account recovery' });
     }
 });
 
 /**
- * Reset password
+ * Email the master password hint on its own
+ * Leaves any pending recovery code alone, so asking for the hint cannot invalidate one.
+ */
+router.post('/password-hint', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ error: 'Email required' });
+        }
+
+        const user = await User.findOne({ email });
+
+        // Answer before any mail work so timing does not reveal whether the account exists
+        res.status(202).json({ message: HINT_REQUESTED_MESSAGE });
+
+        if (user) {
+            sendHintMail(user).catch(error => {
+                console.error('Hint mail error:', error);
+            });
+        }
+    } catch (error) {
+        console.error('Password hint error:', error);
+        res.status(500).json({ error: 'Failed to send the password hint' });
+    }
+});
+
+/**
+ * Reset the login password with an emailed recovery code
+ * Only the login password changes: the vault stays encrypted under the master password.
  */
 router.post('/reset-password', async (req, res) => {
     try {
-        const { email, newPassword } = req.body;
+        const { email, token, newPassword, code } = req.body;
 
-        if (!email || !newPassword) {
-            return res.status(400).json({ error: 'Email and new password required' });
+        if (!email || !token || !newPassword) {
+            return res.status(400).json({ error: 'Email, recovery code and new password required' });
+        }
+
+        if (typeof newPassword !== 'string' || newPassword.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters long' });
         }
 
         const user = await User.findOne({ email });
+        const reset = user && user.passwordReset;
+        const tokenHash = hashResetToken(token);
 
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const isValid = reset && reset.tokenHash && reset.expiresAt > new Date() &&
+            crypto.timingSafeEqual(Buffer.from(reset.tokenHash, 'hex'), Buffer.from(tokenHash, 'hex'));
+
+        if (!isValid) {
+            return res.status(400).json({ error: 'Invalid or expired recovery code' });
         }
 
-        // Hash new password
-        const hashedPassword = await bcrypt.hash(newPassword, 12);
-        user.password = hashedPassword;
+        // Email access alone must not get past two-factor authentication
+        if (user.twoFactor.enabled) {
+            if (!code) {
+                return res.status(400).json({ error: 'Two-factor code required', twoFactorRequired: true });
+            }
+
+            // Count the attempt up front so parallel guesses cannot exceed the limit
+            const counted = await User.updateOne(
+                {
+                    _id: user._id,
+                    'passwordReset.tokenHash': reset.tokenHash,
+                    'passwordReset.attempts': { $not: { $gte: RESET_MAX_ATTEMPTS } }
+                },
+                { $inc: { 'passwordReset.attempts': 1 } }
+            );
+
+            if (counted.modifiedCount === 0) {
+                await User.updateOne({ _id: user._id }, { $unset: { passwordReset: 1 } });
+                return res.status(400).json({ error: 'Too many invalid two-factor codes. Request a new recovery code.' });
+            }
+
+            if (!await consumeSecondFactor(user, code)) {
+                // The last allowed guess uses the recovery code up
+                if ((reset.attempts || 0) + 1 >= RESET_MAX_ATTEMPTS) {
+                    await User.updateOne({ _id: user._id }, { $unset: { passwordReset: 1 } });
+                    return res.status(400).json({ error: 'Too many invalid two-factor codes. Request a new recovery code.' });
+                }
+
+                return res.status(400).json({ error: 'Invalid two-factor code', twoFactorRequired: true });
+            }
+        }
+
+        user.password = await bcrypt.hash(newPassword, 12);
+        user.passwordReset = undefined;
         await user.save();
 
+        // Sessions opened with the old password end here
+        await revokeRefreshTokens(user.email);
+
         res.json({ message: 'Password reset successfully' });
     } catch (error) {
         console.error('Reset password error:', error);
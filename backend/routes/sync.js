@@ -1,31 +1,19 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 
 const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Concurrent uploads from several devices retry on a version conflict
+const MAX_SAVE_ATTEMPTS = 5;
 
-/**
- * Authentication middleware
- */
-function authenticate(req, res, next) {
-    const authHeader = req.headers.authorization;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'No token provided' });
-    }
+// Deleted entries are kept this long so every device hears about the deletion
+const TOMBSTONE_RETENTION_DAYS = Number.parseInt(process.env.TOMBSTONE_RETENTION_DAYS, 10) || 30;
 
-    const token = authHeader.substring(7);
-
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        res.status(401).json({ error: 'Invalid token' });
-    }
-}
+// Devices that have not read a list for this long no longer hold back its purge
+const DEVICE_EXPIRY_DAYS = 90;
 
 /**
  * Get user and ensure sync data structure exists
@@ -38,6 +26,7 @@ async function getUserWithData(email) {
         user.syncData = {
             passwords: [],
             bookmarks: [],
+            revision: 0,
             lastUpdated: new Date()
         };
         await user.save();
@@ -45,6 +34,271 @@ async function getUserWithData(email) {
     return user;
 }
 
+/**
+ * Load the user, apply a change to the sync data and save it
+ * Reloads and re-applies the change if another request saved in between
+ * @param {string} email - User email
+ * @param {Function} apply - Mutates the user document, returns the route result
+ * @returns {Promise<*>} - Result of apply, or null if the user does not exist
+ */
+async function updateSyncData(email, apply) {
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+        const user = await getUserWithData(email);
+        if (!user) return null;
+
+        const result = apply(user);
+
+        try {
+            await user.save();
+            return result;
+        } catch (error) {
+            if (error.name !== 'VersionError' || attempt === MAX_SAVE_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Merge uploaded items into a stored list (last-write-wins on updatedAt)
+ * Every stored change takes the next server revision
+ * @returns {number} - Number of items stored
+ */
+function mergeUploadedItems(syncData, listName, items) {
+    const itemMap = new Map(syncData[listName].filter(isEncryptedItem).map(item => [item.id, item]));
+    let stored = 0;
+
+    for (const item of items) {
+        const existing = itemMap.get(item.id);
+
+        // Already purged, or deleted before it was ever uploaded; either way no device needs it
+        if (!existing && item.deletedAt) {
+            continue;
+        }
+
+        if (!existing || new Date(item.updatedAt) > new Date(existing.updatedAt)) {
+            syncData.revision = (syncData.revision || 0) + 1;
+            itemMap.set(item.id, { ...item, revision: syncData.revision });
+            stored++;
+        }
+    }
+
+    syncData[listName] = Array.from(itemMap.values());
+    syncData.lastUpdated = new Date();
+
+    return stored;
+}
+
+/**
+ * Record how far a device has read a list
+ * Fetching from a revision means everything up to it has been applied.
+ * Reads use targeted updates rather than save(), so they never bump the
+ * document version and push concurrent uploads into a retry.
+ */
+async function recordAck(user, listName, deviceId, revision) {
+    const path = `syncData.acks.${listName}`;
+    const seenAt = new Date();
+
+    const updated = await User.updateOne(
+        { _id: user._id, [`${path}.deviceId`]: deviceId },
+        { $set: { [`${path}.$.revision`]: revision, [`${path}.$.seenAt`]: seenAt } }
+    );
+
+    if (updated.matchedCount === 0) {
+        await User.updateOne(
+            { _id: user._id, [`${path}.deviceId`]: { $ne: deviceId } },
+            { $push: { [path]: { deviceId, revision, seenAt } } }
+        );
+    }
+
+    // Keep the loaded copy in step for the purge that follows
+    const acks = user.syncData.acks[listName];
+    const ack = acks.find(a => a.deviceId === deviceId);
+    if (ack) {
+        ack.revision = revision;
+        ack.seenAt = seenAt;
+    } else {
+        acks.push({ deviceId, revision, seenAt });
+    }
+}
+
+/**
+ * Remove tombstones past the retention period that every active device has read
+ * Only writes when there is something to remove, and then with a targeted $pull
+ */
+async function purgeTombstones(user, listName) {
+    const now = Date.now();
+    const cutoff = new Date(now - TOMBSTONE_RETENTION_DAYS * DAY_MS).toISOString();
+    const activeSince = new Date(now - DEVICE_EXPIRY_DAYS * DAY_MS);
+
+    const allAcks = user.syncData.acks[listName];
+    const activeAcks = allAcks.filter(ack => new Date(ack.seenAt) >= activeSince);
+
+    // With no device on record there is nobody left to tell
+    const acknowledged = Math.min(...activeAcks.map(ack => ack.revision));
+
+    const hasPurgeable = user.syncData[listName].some(item =>
+        item.deletedAt && item.deletedAt < cutoff && (item.revision || 0) <= acknowledged
+    );
+
+    if (!hasPurgeable && activeAcks.length === allAcks.length) {
+        return;
+    }
+
+    await User.updateOne({ _id: user._id }, {
+        $pull: {
+            [`syncData.acks.${listName}`]: { seenAt: { $lt: activeSince } },
+            // deletedAt is an ISO string, so string order is time order
+            [`syncData.${listName}`]: { deletedAt: { $lt: cutoff }, revision: { $lte: acknowledged } }
+        }
+    });
+}
+
+/**
+ * Serve a list from a revision onwards, recording the device's read position
+ * @returns {Promise<Object|null>} - { items, revision }, or null if the user does not exist
+ */
+async function readSyncList(email, listName, deviceId, sinceRevision) {
+    const user = await getUserWithData(email);
+    if (!user) return null;
+
+    if (deviceId) {
+        await recordAck(user, listName, deviceId, sinceRevision);
+    }
+    await purgeTombstones(user, listName);
+
+    // Delta sync against the server's own revision counter, never client clocks
+    return {
+        items: user.syncData[listName]
+            .filter(isEncryptedItem)
+            .filter(item => (item.revision || 0) > sinceRevision),
+        revision: user.syncData.revision || 0,
+        resetRevision: user.syncData.resets[listName] || 0
+    };
+}
+
+/**
+ * Remove every stored item from a list
+ * The reset takes a new revision so other devices notice it on their next
+ * fetch, and read positions start over since the old revisions are gone.
+ * @returns {number} - Number of items removed
+ */
+function clearItems(syncData, listName) {
+    const deleted = syncData[listName].length;
+
+    syncData.revision = (syncData.revision || 0) + 1;
+    syncData.resets[listName] = syncData.revision;
+    syncData.acks[listName] = [];
+    syncData[listName] = [];
+    syncData.lastUpdated = new Date();
+
+    return deleted;
+}
+
+/**
+ * Check whether a list was deleted after a device last read it
+ * A device with no cursor is starting from scratch and is not affected
+ */
+function wasClearedSince(syncData, listName, sinceRevision) {
+    return sinceRevision > 0 && (syncData.resets[listName] || 0) > sinceRevision;
+}
+
+/**
+ * Parse the sinceRevision cursor; anything invalid means a full fetch
+ */
+function parseRevision(value) {
+    const revision = Number.parseInt(value, 10);
+    return Number.isInteger(revision) && revision > 0 ? revision : 0;
+}
+
+/**
+ * Reduce an uploaded entry to the encrypted shape the server stores
+ * @returns {Object|null} - Sanitized entry, or null if it is not an encrypted blob
+ */
+function toEncryptedItem(item) {
+    if (!item || typeof item.id !== 'string' || !item.blob ||
+        typeof item.blob.ciphertext !== 'string' || typeof item.blob.iv !== 'string') {
+        return null;
+    }
+
+    return {
+        id: item.id,
+        blob: { ciphertext: item.blob.ciphertext, iv: item.blob.iv },
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+        deletedAt: item.deletedAt || null,
+        ...toTreePosition(item)
+    };
+}
+
+/**
+ * Keep a bookmark's place in the tree when the upload carries a valid one
+ * @returns {Object} - { kind, parentId, index }, or an empty object
+ */
+function toTreePosition(item) {
+    if ((item.kind !== 'folder' && item.kind !== 'bookmark') ||
+        typeof item.parentId !== 'string' || !Number.isInteger(item.index)) {
+        return {};
+    }
+
+    return { kind: item.kind, parentId: item.parentId, index: item.index };
+}
+
+/**
+ * Entries stored before end-to-end encryption carry no blob and are never served
+ */
+function isEncryptedItem(item) {
+    return !!(item.blob && item.blob.ciphertext);
+}
+
+/**
+ * Fetch the wrapped sync key
+ */
+router.get('/key', authenticate, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        res.json({ syncKey: user.syncKey || null });
+    } catch (error) {
+        console.error('Fetch sync key error:', error);
+        res.status(500).json({ error: 'Failed to fetch sync key' });
+    }
+});
+
+/**
+ * Store the wrapped sync key
+ * The first device to upload wins unless `replace` is set (master password change)
+ */
+router.put('/key', authenticate, async (req, res) => {
+    try {
+        const { syncKey, replace } = req.body;
+
+        if (!syncKey || !syncKey.kdf || !syncKey.wrappedKey ||
+            typeof syncKey.wrappedKey.ciphertext !== 'string' || typeof syncKey.wrappedKey.iv !== 'string') {
+            return res.status(400).json({ error: 'Invalid sync key' });
+        }
+
+        const user = await User.findOne({ email: req.user.email });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if (user.syncKey && !replace) {
+            return res.status(409).json({ error: 'Sync key already exists' });
+        }
+
+        user.syncKey = {
+            kdf: syncKey.kdf,
+            wrappedKey: { ciphertext: syncKey.wrappedKey.ciphertext, iv: syncKey.wrappedKey.iv }
+        };
+        await user.save();
+
+        res.json({ message: 'Sync key saved' });
+    } catch (error) {
+        console.error('Save sync key error:', error);
+        res.status(500).json({ error: 'Failed to save sync key' });
+    }
+});
+
 /**
  * Debug endpoint - View all synced data (development only)
  */
@@ -60,9 +314,7 @@ router.get('/debug/data', authenticate, async (req, res) => {
             passwordCount: userData.passwords.length,
             passwords: userData.passwords.map(p => ({
                 id: p.id,
-                url: p.url,
-                username: p.username,
-                hasPassword: !!p.password,
+                encrypted: isEncryptedItem(p),
                 createdAt: p.createdAt,
                 updatedAt: p.updatedAt,
                 deletedAt: p.deletedAt
@@ -70,8 +322,10 @@ router.get('/debug/data', authenticate, async (req, res) => {
             bookmarkCount: userData.bookmarks.length,
             bookmarks: userData.bookmarks.map(b => ({
                 id: b.id,
-                title: b.title,
-                url: b.url,
+                encrypted: isEncryptedItem(b),
+                kind: b.kind,
+                parentId: b.parentId,
+                index: b.index,
                 createdAt: b.createdAt,
                 updatedAt: b.updatedAt,
                 deletedAt: b.deletedAt
@@ -89,18 +343,13 @@ router.get('/debug/data', authenticate, async (req, res) => {
  */
 router.get('/passwords', authenticate, async (req, res) => {
     try {
-        const { since } = req.query;
-        const user = await getUserWithData(req.user.email);
-        if (!user) return res.status(404).json({ error: 'User not found' });
-
-        let passwords = user.syncData.passwords;
+        const sinceRevision = parseRevision(req.query.sinceRevision);
+        const deviceId = typeof req.query.deviceId === 'string' ? req.query.deviceId : null;
 
-        // Delta sync if timestamp provided
-        if (since) {
-            passwords = passwords.filter(p => new Date(p.updatedAt) > new Date(since));
-        }
+        const result = await readSyncList(req.user.email, 'passwords', deviceId, sinceRevision);
+        if (!result) return res.status(404).json({ error: 'User not found' });
 
-        res.json({ passwords, timestamp: new Date().toISOString() });
+        res.json({ passwords: result.items, revision: result.revision, resetRevision: result.resetRevision });
     } catch (error) {
         console.error('Fetch passwords error:', error);
         res.status(500).json({ error: 'Failed to fetch passwords' });
@@ -112,34 +361,39 @@ router.get('/passwords', authenticate, async (req, res) => {
  */
 router.post('/passwords', authenticate, async (req, res) => {
     try {
-        const { passwords, deviceId, timestamp } = req.body;
+        const { passwords, sinceRevision } = req.body;
 
         if (!Array.isArray(passwords)) {
             return res.status(400).json({ error: 'Passwords must be an array' });
         }
 
-        const user = await getUserWithData(req.user.email);
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const items = passwords.map(toEncryptedItem);
+        if (items.includes(null)) {
+            return res.status(400).json({ error: 'Passwords must be encrypted entries' });
+        }
 
-        // Merge passwords (simple last-write-wins)
-        const passwordMap = new Map(user.syncData.passwords.map(p => [p.id, p]));
+        const result = await updateSyncData(req.user.email, user => {
+            // Uploading what another device just deleted would bring it back
+            if (wasClearedSince(user.syncData, 'passwords', parseRevision(sinceRevision))) {
+                return { reset: true };
+            }
 
-        for (const password of passwords) {
-            const existing = passwordMap.get(password.id);
+            return {
+                stored: mergeUploadedItems(user.syncData, 'passwords', items),
+                revision: user.syncData.revision
+            };
+        });
+        if (!result) return res.status(404).json({ error: 'User not found' });
 
-            if (!existing || new Date(password.updatedAt) > new Date(existing.updatedAt)) {
-                passwordMap.set(password.id, password);
-            }
+        if (result.reset) {
+            return res.status(409).json({ error: 'Synced passwords were deleted from another device', reset: true });
         }
 
-        user.syncData.passwords = Array.from(passwordMap.values());
-        user.syncData.lastUpdated = new Date();
-        await user.save();
-
         res.json({
             message: 'Passwords synced successfully',
             count: passwords.length,
-            timestamp: user.syncData.lastUpdated
+            stored: result.stored,
+            revision: result.revision
         });
     } catch (error) {
         console.error('Upload passwords error:', error);
@@ -147,23 +401,33 @@ router.post('/passwords', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * Delete all synced passwords (password sync turned off)
+ */
+router.delete('/passwords', authenticate, async (req, res) => {
+    try {
+        const deleted = await updateSyncData(req.user.email, user => clearItems(user.syncData, 'passwords'));
+        if (deleted === null) return res.status(404).json({ error: 'User not found' });
+
+        res.json({ message: 'Synced passwords deleted', deleted });
+    } catch (error) {
+        console.error('Delete passwords error:', error);
+        res.status(500).json({ error: 'Failed to delete passwords' });
+    }
+});
+
 /**
  * Fetch bookmarks
  */
 router.get('/bookmarks', authenticate, async (req, res) => {
     try {
-        const { since } = req.query;
-        const user = await getUserWithData(req.user.email);
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const sinceRevision = parseRevision(req.query.sinceRevision);
+        const deviceId = typeof req.query.deviceId === 'string' ? req.query.deviceId : null;
 
-        let bookmarks = user.syncData.bookmarks;
+        const result = await readSyncList(req.user.email, 'bookmarks', deviceId, sinceRevision);
+        if (!result) return res.status(404).json({ error: 'User not found' });
 
-        // Delta sync if timestamp provided
-        if (since) {
-            bookmarks = bookmarks.filter(b => new Date(b.updatedAt) > new Date(since));
-        }
-
-        res.json({ bookmarks, timestamp: new Date().toISOString() });
+        res.json({ bookmarks: result.items, revision: result.revision, resetRevision: result.resetRevision });
     } catch (error) {
         console.error('Fetch bookmarks error:', error);
         res.status(500).json({ error: 'Failed to fetch bookmarks' });
@@ -175,34 +439,39 @@ router.get('/bookmarks', authenticate, async (req, res) => {
  */
 router.post('/bookmarks', authenticate, async (req, res) => {
     try {
-        const { bookmarks, deviceId, timestamp } = req.body;
+        const { bookmarks, sinceRevision } = req.body;
 
         if (!Array.isArray(bookmarks)) {
             return res.status(400).json({ error: 'Bookmarks must be an array' });
         }
 
-        const user = await getUserWithData(req.user.email);
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const items = bookmarks.map(toEncryptedItem);
+        if (items.includes(null)) {
+            return res.status(400).json({ error: 'Bookmarks must be encrypted entries' });
+        }
 
-        // Merge bookmarks (simple last-write-wins)
-        const bookmarkMap = new Map(user.syncData.bookmarks.map(b => [b.id, b]));
+        const result = await updateSyncData(req.user.email, user => {
+            // Uploading what another device just deleted would bring it back
+            if (wasClearedSince(user.syncData, 'bookmarks', parseRevision(sinceRevision))) {
+                return { reset: true };
+            }
 
-        for (const bookmark of bookmarks) {
-            const existing = bookmarkMap.get(bookmark.id);
+            return {
+                stored: mergeUploadedItems(user.syncData, 'bookmarks', items),
+                revision: user.syncData.revision
+            };
+        });
+        if (!result) return res.status(404).json({ error: 'User not found' });
 
-            if (!existing || new Date(bookmark.updatedAt) > new Date(existing.updatedAt)) {
-                bookmarkMap.set(bookmark.id, bookmark);
-            }
+        if (result.reset) {
+            return res.status(409).json({ error: 'Synced bookmarks were deleted from another device', reset: true });
         }
 
-        user.syncData.bookmarks = Array.from(bookmarkMap.values());
-        user.syncData.lastUpdated = new Date();
-        await user.save();
-
         res.json({
             message: 'Bookmarks synced successfully',
             count: bookmarks.length,
-            timestamp: user.syncData.lastUpdated
+            stored: result.stored,
+            revision: result.revision
         });
     } catch (error) {
         console.error('Upload bookmarks error:', error);
@@ -210,6 +479,21 @@ router.post('/bookmarks', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * Delete all synced bookmarks (bookmark sync turned off)
+ */
+router.delete('/bookmarks', authenticate, async (req, res) => {
+    try {
+        const deleted = await updateSyncData(req.user.email, user => clearItems(user.syncData, 'bookmarks'));
+        if (deleted === null) return res.status(404).json({ error: 'User not found' });
+
+        res.json({ message: 'Synced bookmarks deleted', deleted });
+    } catch (error) {
+        console.error('Delete bookmarks error:', error);
+        res.status(500).json({ error: 'Failed to delete bookmarks' });
+    }
+});
+
 /**
  * Report conflict
  */
@@ -0,0 +1,163 @@
+process.env.JWT_SECRET = 'refresh-token-test-secret';
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+
+// In-memory stand-in for the RefreshToken collection
+jest.mock('../models/RefreshToken', () => {
+    const rows = [];
+
+    const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+        if (condition && condition.$gt !== undefined) {
+            return row[field] > condition.$gt;
+        }
+        return row[field] === condition;
+    });
+
+    return {
+        rows,
+        create: jest.fn(async (doc) => {
+            const row = { createdAt: new Date(), lastUsedAt: new Date(), rotatedAt: null, ...doc };
+            rows.push(row);
+            return row;
+        }),
+        findOne: jest.fn(async (filter) => rows.find(row => matches(row, filter)) || null),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const row = rows.find(candidate => matches(candidate, filter));
+            if (!row) return null;
+
+            const before = { ...row };
+            Object.assign(row, update.$set);
+            return before;
+        }),
+        deleteMany: jest.fn(async (filter) => {
+            const kept = rows.filter(row => !matches(row, filter));
+            const deletedCount = rows.length - kept.length;
+            rows.splice(0, rows.length, ...kept);
+            return { deletedCount };
+        })
+    };
+});
+
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+
+const EMAIL = 'alice@example.com';
+const PASSWORD = 'correct horse battery staple';
+
+let server;
+let baseUrl;
+
+async function post(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+async function login(deviceName = 'Laptop') {
+    const { body } = await post('/auth/login', { email: EMAIL, password: PASSWORD, deviceName });
+    return body.refreshToken;
+}
+
+beforeAll(async () => {
+    const passwordHash = await bcrypt.hash(PASSWORD, 4);
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (
+        email === EMAIL ? { email, password: passwordHash, createdAt: new Date(), twoFactor: { enabled: false } } : null
+    ));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', authRoutes);
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    RefreshToken.rows.splice(0);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.warn.mockRestore();
+});
+
+describe('POST /auth/refresh', () => {
+    test('stores only a hash of the refresh token', async () => {
+        const refreshToken = await login();
+
+        expect(RefreshToken.rows).toHaveLength(1);
+        expect(JSON.stringify(RefreshToken.rows)).not.toContain(refreshToken);
+        expect(RefreshToken.rows[0]).toMatchObject({ email: EMAIL, deviceName: 'Laptop' });
+    });
+
+    test('rotates the token within its family', async () => {
+        const refreshToken = await login();
+        const { status, body } = await post('/auth/refresh', { refreshToken });
+
+        expect(status).toBe(200);
+        expect(body.accessToken).toEqual(expect.any(String));
+        expect(body.refreshToken).not.toBe(refreshToken);
+
+        const [first, second] = RefreshToken.rows;
+        expect(first.rotatedAt).toBeInstanceOf(Date);
+        expect(second).toMatchObject({ familyId: first.familyId, deviceName: 'Laptop', rotatedAt: null });
+
+        expect((await post('/auth/refresh', { refreshToken: body.refreshToken })).status).toBe(200);
+    });
+
+    test('refuses a rotated token again right away without revoking the session', async () => {
+        const refreshToken = await login();
+        const { body } = await post('/auth/refresh', { refreshToken });
+
+        expect((await post('/auth/refresh', { refreshToken })).status).toBe(401);
+        expect((await post('/auth/refresh', { refreshToken: body.refreshToken })).status).toBe(200);
+    });
+
+    test('revokes the whole family when a rotated token is reused later', async () => {
+        const refreshToken = await login();
+        const otherDevice = await login('Phone');
+        const { body } = await post('/auth/refresh', { refreshToken });
+
+        // Rotated long enough ago that this is not two requests racing
+        RefreshToken.rows[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+        expect((await post('/auth/refresh', { refreshToken })).status).toBe(401);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Refresh token reuse'));
+
+        expect((await post('/auth/refresh', { refreshToken: body.refreshToken })).status).toBe(401);
+        expect((await post('/auth/refresh', { refreshToken: otherDevice })).status).toBe(200);
+    });
+
+    test('refuses unknown and expired tokens', async () => {
+        const refreshToken = await login();
+        RefreshToken.rows[0].expiresAt = new Date(Date.now() - 1000);
+
+        expect((await post('/auth/refresh', { refreshToken })).status).toBe(401);
+        expect((await post('/auth/refresh', { refreshToken: 'unknown' })).status).toBe(401);
+        expect((await post('/auth/refresh', {})).status).toBe(400);
+    });
+});
+
+describe('POST /auth/logout', () => {
+    test('ends the device session including tokens it already rotated', async () => {
+        const refreshToken = await login();
+        const { body } = await post('/auth/refresh', { refreshToken });
+
+        await post('/auth/logout', { refreshToken: body.refreshToken });
+
+        expect(RefreshToken.rows).toEqual([]);
+        expect((await post('/auth/refresh', { refreshToken: body.refreshToken })).status).toBe(401);
+    });
+});
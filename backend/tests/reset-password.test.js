@@ -0,0 +1,119 @@
+process.env.JWT_SECRET = 'reset-password-test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+
+jest.mock('../models/RefreshToken', () => ({
+    deleteMany: jest.fn(async () => ({ deletedCount: 0 }))
+}));
+
+const User = require('../models/User');
+const twoFactor = require('../utils/two-factor');
+const authRoutes = require('../routes/auth');
+
+const EMAIL = 'alice@example.com';
+const RECOVERY_CODE = 'a'.repeat(32);
+
+let server;
+let baseUrl;
+let user;
+
+async function reset(code) {
+    const response = await fetch(`${baseUrl}/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: EMAIL, token: RECOVERY_CODE, newPassword: 'new password 123', code })
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+// Apply the parts of updateOne the route uses to the stored user
+function applyUpdate(filter, update) {
+    const stored = user.passwordReset;
+    const attempts = (stored && stored.attempts) || 0;
+
+    if (update.$unset) {
+        user.passwordReset = undefined;
+        return { modifiedCount: 1 };
+    }
+
+    const limit = filter['passwordReset.attempts'].$not.$gte;
+    if (!stored || stored.tokenHash !== filter['passwordReset.tokenHash'] || attempts >= limit) {
+        return { modifiedCount: 0 };
+    }
+
+    stored.attempts = attempts + 1;
+    return { modifiedCount: 1 };
+}
+
+beforeAll(async () => {
+    jest.spyOn(User, 'findOne').mockImplementation(async () => user && {
+        ...user,
+        passwordReset: user.passwordReset && { ...user.passwordReset },
+        save: jest.fn(async function () {
+            user = { ...user, password: this.password, passwordReset: this.passwordReset };
+        })
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => applyUpdate(filter, update));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', authRoutes);
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    const secret = twoFactor.generateSecret();
+
+    user = {
+        _id: 'user-1',
+        email: EMAIL,
+        password: 'old hash',
+        passwordReset: {
+            tokenHash: crypto.createHash('sha256').update(RECOVERY_CODE).digest('hex'),
+            expiresAt: new Date(Date.now() + 60 * 1000),
+            requestedAt: new Date()
+        },
+        twoFactor: {
+            enabled: true,
+            secret: twoFactor.encryptSecret(secret),
+            lastUsedStep: -1,
+            backupCodes: []
+        }
+    };
+});
+
+describe('POST /auth/reset-password with two-factor authentication', () => {
+    test('asks for the two-factor code without counting an attempt', async () => {
+        const { status, body } = await reset();
+
+        expect(status).toBe(400);
+        expect(body.twoFactorRequired).toBe(true);
+        expect(user.passwordReset.attempts).toBeUndefined();
+    });
+
+    test('counts wrong codes and uses the recovery code up after the last one', async () => {
+        for (let attempt = 1; attempt < 5; attempt++) {
+            const { body } = await reset('wrong!');
+            expect(body.error).toBe('Invalid two-factor code');
+            expect(user.passwordReset.attempts).toBe(attempt);
+        }
+
+        const { status, body } = await reset('wrong!');
+
+        expect(status).toBe(400);
+        expect(body.error).toMatch('Request a new recovery code');
+        expect(user.passwordReset).toBeUndefined();
+        expect((await reset('wrong!')).body.error).toBe('Invalid or expired recovery code');
+        expect(user.password).toBe('old hash');
+    });
+});
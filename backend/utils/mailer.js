@@ -0,0 +1,88 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SecureSync <no-reply@securesync.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+
+let smtpTransport = null;
+let customTransport = null;
+
+/**
+ * Built-in transports; each delivers one { from, to, subject, text } message
+ * console and file are for development, smtp needs SMTP_URL
+ */
+const transports = {
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+
+    // One text file per message in MAIL_DIR
+    file: async (message) => {
+        await fs.mkdir(MAIL_DIR, { recursive: true });
+
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.txt`;
+        const content = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text
+        ].join('\n');
+
+        await fs.writeFile(path.join(MAIL_DIR, name), content, { mode: 0o600 });
+    },
+
+    smtp: async (message) => {
+        if (!smtpTransport) {
+            if (!process.env.SMTP_URL) {
+                throw new Error('SMTP_URL is required for the smtp mail transport');
+            }
+            smtpTransport = require('nodemailer').createTransport(process.env.SMTP_URL);
+        }
+
+        await smtpTransport.sendMail(message);
+    }
+};
+
+const TRANSPORT_NAME = process.env.MAIL_TRANSPORT || 'console';
+
+if (!transports[TRANSPORT_NAME]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${TRANSPORT_NAME}`);
+}
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Development transports print recovery codes where anyone with server access can read them
+const DEVELOPMENT_TRANSPORTS = new Set(['console', 'file']);
+
+if (IS_PRODUCTION && TRANSPORT_NAME === 'smtp' && !process.env.SMTP_URL) {
+    throw new Error('SMTP_URL is required for the smtp mail transport');
+}
+
+if (IS_PRODUCTION && DEVELOPMENT_TRANSPORTS.has(TRANSPORT_NAME)) {
+    console.warn(`⚠️ MAIL_TRANSPORT is "${TRANSPORT_NAME}"; mail will not be sent until a real transport is configured`);
+}
+
+/**
+ * Replace the configured transport, e.g. with another mail provider
+ * @param {Function|null} transport - async (message) => void, or null to go back to MAIL_TRANSPORT
+ */
+function setTransport(transport) {
+    customTransport = transport;
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} message - { to, subject, text }
+ */
+async function sendMail({ to, subject, text }) {
+    if (!customTransport && IS_PRODUCTION && DEVELOPMENT_TRANSPORTS.has(TRANSPORT_NAME)) {
+        throw new Error(`MAIL_TRANSPORT "${TRANSPORT_NAME}" is for development only; set MAIL_TRANSPORT=smtp in production`);
+    }
+
+    const transport = customTransport || transports[TRANSPORT_NAME];
+    await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { JWT_SECRET } = require('../config/jwt');
+
+const ISSUER = 'SecureSync';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+
+// Secrets are stored encrypted; without a dedicated key, derive one from the JWT secret
+const ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY
+    ? Buffer.from(process.env.TOTP_ENCRYPTION_KEY, 'hex')
+    : crypto.createHash('sha256')
+        .update(`totp:${JWT_SECRET}`)
+        .digest();
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} - Base32 encoded secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth URI that authenticator apps read from the QR code
+ */
+function buildOtpauthUri(secret, email) {
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${encodeURIComponent(ISSUER)}:${encodeURIComponent(email)}?${params}`;
+}
+
+/**
+ * Generate the TOTP code for one time step (RFC 6238)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return code.toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code against the secret
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Step of the last accepted code; it and earlier steps are refused
+ * @returns {number|null} - Matching time step, or null if the code is not valid
+ */
+function verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return {
+        ciphertext: ciphertext.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+    };
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+function decryptSecret(encrypted) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+/**
+ * Generate single-use backup codes formatted as XXXX-XXXX
+ */
+function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+    const codes = [];
+
+    for (let i = 0; i < count; i++) {
+        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+        codes.push(`${code.substring(0, 4)}-${code.substring(4)}`);
+    }
+
+    return codes;
+}
+
+/**
+ * Hash backup codes for storage
+ */
+async function hashBackupCodes(codes) {
+    return Promise.all(codes.map(code => bcrypt.hash(normalizeBackupCode(code), 10)));
+}
+
+/**
+ * Find the stored hash matching a backup code
+ * @returns {Promise<number>} - Index of the matching hash, or -1
+ */
+async function findBackupCode(hashes, code) {
+    const normalized = normalizeBackupCode(code);
+
+    if (normalized.length !== 8) {
+        return -1;
+    }
+
+    for (let i = 0; i < hashes.length; i++) {
+        if (await bcrypt.compare(normalized, hashes[i])) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Ignore case, spaces and the dash when comparing backup codes
+ */
+function normalizeBackupCode(code) {
+    return String(code || '').replace(/[^0-9a-z]/gi, '').toUpperCase();
+}
+
+/**
+ * Base32 encoding (RFC 4648)
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 decoding (RFC 4648)
+ */
+function base32Decode(str) {
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of str.toUpperCase()) {
+        const charValue = BASE32_ALPHABET.indexOf(char);
+        if (charValue === -1) continue;
+
+        value = (value << 5) | charValue;
+        bits += 5;
+
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+module.exports = {
+    generateSecret,
+    buildOtpauthUri,
+    verifyCode,
+    encryptSecret,
+    decryptSecret,
+    generateBackupCodes,
+    hashBackupCodes,
+    findBackupCode
+};
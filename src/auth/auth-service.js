@@ -3,9 +3,10 @@
  */
 
 import { saveAuthTokens, getAuthTokens, clearAuthTokens, saveUserEmail, getUserEmail } from '../storage/local-storage.js';
+import { getApiBaseUrl } from '../utils/api-endpoint.js';
 
-// Backend API URL - update this with your deployed backend
-const API_BASE_URL = 'https://securesync-backend-ww8n.onrender.com/api';
+// Refresh in flight in this context; refresh tokens are single-use, so concurrent callers share it
+let refreshPromise = null;
 
 /**
  * Sign up a new user
@@ -17,12 +18,13 @@ const API_BASE_URL = 'https://securesync-backend-ww8n.onrender.com/api';
  */
 export async function signUp(email, password, passwordHint = '', masterPasswordHint = '') {
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/signup`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/signup`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ email, password, passwordHint, masterPasswordHint })
+            body: JSON.stringify({ email, password, passwordHint, masterPasswordHint, deviceName: getDeviceName() })
         });
 
         if (!response.ok) {
@@ -51,13 +53,43 @@ export async function signUp(email, password, passwordHint = '', masterPasswordH
 }
 
 /**
- * Request password hints for an email
+ * Have the server email the master password hint for an account
+ * Unlike forgotPassword, no recovery code is issued or replaced
  * @param {string} email - User email
- * @returns {Promise<Object>} - Hints object
+ * @returns {Promise<Object>} - { message }
+ */
+export async function sendMasterPasswordHint(email) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/password-hint`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email })
+        });
+
+        if (!response.ok) {
+            throw new Error(await getErrorMessage(response, 'Failed to send the password hint'));
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Password hint error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Start account recovery for an email
+ * The server emails the hints and a recovery code; the reply is the same whether or not the account exists
+ * @param {string} email - User email
+ * @returns {Promise<Object>} - { message }
  */
 export async function forgotPassword(email) {
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/forgot-password`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -66,7 +98,7 @@ export async function forgotPassword(email) {
         });
 
         if (!response.ok) {
-            let errorMessage = 'Failed to retrieve hints';
+            let errorMessage = 'Failed to start account recovery';
             try {
                 const error = await response.json();
                 errorMessage = error.error || error.message || errorMessage;
@@ -84,19 +116,22 @@ export async function forgotPassword(email) {
 }
 
 /**
- * Reset account password
+ * Reset account password with an emailed recovery code
  * @param {string} email - User email
+ * @param {string} token - Recovery code from the email
  * @param {string} newPassword - New password
+ * @param {string} code - TOTP or backup code, for accounts with 2FA
  * @returns {Promise<Object>} - Success message
  */
-export async function resetPassword(email, newPassword) {
+export async function resetPassword(email, token, newPassword, code = '') {
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/reset-password`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ email, newPassword })
+            body: JSON.stringify({ email, token, newPassword, code: code || undefined })
         });
 
         if (!response.ok) {
@@ -117,6 +152,40 @@ export async function resetPassword(email, newPassword) {
     }
 }
 
+/**
+ * Update the master password hint stored with the account
+ * @param {string} masterPasswordHint - New hint (empty string clears it)
+ * @returns {Promise<Object>} - Success message
+ */
+export async function updateMasterPasswordHint(masterPasswordHint) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authenticatedFetch(`${apiBaseUrl}/auth/master-password-hint`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ masterPasswordHint })
+        });
+
+        if (!response.ok) {
+            let errorMessage = 'Failed to update master password hint';
+            try {
+                const error = await response.json();
+                errorMessage = error.error || error.message || errorMessage;
+            } catch (e) {
+                errorMessage = response.statusText || `Error ${response.status}`;
+            }
+            throw new Error(errorMessage);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Update master password hint error:', error);
+        throw error;
+    }
+}
+
 /**
  * Sign in an existing user
  * @param {string} email - User email
@@ -125,12 +194,13 @@ export async function resetPassword(email, newPassword) {
  */
 export async function signIn(email, password) {
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/login`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ email, password })
+            body: JSON.stringify({ email, password, deviceName: getDeviceName() })
         });
 
         if (!response.ok) {
@@ -146,6 +216,11 @@ export async function signIn(email, password) {
 
         const data = await response.json();
 
+        // Accounts with 2FA get a challenge instead of tokens; see completeTwoFactorSignIn
+        if (data.twoFactorRequired) {
+            return data;
+        }
+
         // Save tokens and email
         await saveAuthTokens(data.accessToken, data.refreshToken);
         await saveUserEmail(email);
@@ -157,11 +232,152 @@ export async function signIn(email, password) {
     }
 }
 
+/**
+ * Finish signing in with the second factor
+ * @param {string} email - User email
+ * @param {string} challengeToken - Token returned by signIn
+ * @param {string} code - TOTP code or backup code
+ * @returns {Promise<Object>} - User data and tokens
+ */
+export async function completeTwoFactorSignIn(email, challengeToken, code) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/login/2fa`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ challengeToken, code, deviceName: getDeviceName() })
+        });
+
+        if (!response.ok) {
+            throw new Error(await getErrorMessage(response, 'Verification failed'));
+        }
+
+        const data = await response.json();
+
+        await saveAuthTokens(data.accessToken, data.refreshToken);
+        await saveUserEmail(email);
+
+        return data;
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get two-factor status for the signed-in account
+ * @returns {Promise<Object>} - { enabled, enabledAt, backupCodesRemaining }
+ */
+export async function getTwoFactorStatus() {
+    return twoFactorRequest('GET', '', null, 'Failed to get two-factor status');
+}
+
+/**
+ * Start 2FA enrollment
+ * @returns {Promise<Object>} - { secret, otpauthUri, qrCode } where qrCode is an image data URL
+ */
+export async function startTwoFactorSetup() {
+    return twoFactorRequest('POST', '/setup', {}, 'Failed to start two-factor setup');
+}
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Object>} - { backupCodes }
+ */
+export async function enableTwoFactor(code) {
+    return twoFactorRequest('POST', '/enable', { code }, 'Failed to enable two-factor authentication');
+}
+
+/**
+ * Turn 2FA off
+ * @param {string} password - Account password
+ * @param {string} code - TOTP code or backup code
+ */
+export async function disableTwoFactor(password, code) {
+    return twoFactorRequest('POST', '/disable', { password, code }, 'Failed to disable two-factor authentication');
+}
+
+/**
+ * Call one of the authenticated /auth/2fa endpoints
+ */
+async function twoFactorRequest(method, path, body, fallbackMessage) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const options = { method };
+
+        if (body) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await authenticatedFetch(`${apiBaseUrl}/auth/2fa${path}`, options);
+
+        if (!response.ok) {
+            throw new Error(await getErrorMessage(response, fallbackMessage));
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Two-factor request error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Read the error message from a failed response
+ */
+async function getErrorMessage(response, fallbackMessage) {
+    try {
+        const error = await response.json();
+        return error.error || error.message || fallbackMessage;
+    } catch (e) {
+        return response.statusText || `Error ${response.status}`;
+    }
+}
+
+/**
+ * Describe this browser for the server's session list, e.g. "Firefox on Windows"
+ */
+function getDeviceName() {
+    const ua = navigator.userAgent;
+
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /Firefox\//.test(ua) ? 'Firefox'
+            : /Chrome\//.test(ua) ? 'Chrome'
+                : 'Browser';
+
+    const os = /Windows/.test(ua) ? 'Windows'
+        : /CrOS/.test(ua) ? 'ChromeOS'
+            : /Android/.test(ua) ? 'Android'
+                : /Mac OS X/.test(ua) ? 'macOS'
+                    : /Linux/.test(ua) ? 'Linux'
+                        : 'unknown OS';
+
+    return `${browser} on ${os}`;
+}
+
 /**
  * Refresh access token using refresh token
+ * The server rotates the refresh token on every call, so the new one is saved too
  * @returns {Promise<string>} - New access token
  */
 export async function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = requestTokenRefresh().finally(() => {
+            refreshPromise = null;
+        });
+    }
+
+    return refreshPromise;
+}
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ */
+async function requestTokenRefresh() {
     try {
         const { refreshToken } = await getAuthTokens();
 
@@ -169,7 +385,8 @@ export async function refreshAccessToken() {
             throw new Error('No refresh token available');
         }
 
-        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/auth/refresh`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -178,6 +395,12 @@ export async function refreshAccessToken() {
         });
 
         if (response.status === 401 || response.status === 403) {
+            // Another extension page may have rotated the token while this request was out
+            const latest = await getAuthTokens();
+            if (latest.refreshToken && latest.refreshToken !== refreshToken) {
+                return latest.accessToken;
+            }
+
             // Explicitly unauthorized - token is invalid/revoked
             console.error('Refresh token invalid/expired. Logging out.');
             await logout();
@@ -190,8 +413,7 @@ export async function refreshAccessToken() {
 
         const data = await response.json();
 
-        // Save new access token
-        await saveAuthTokens(data.accessToken, refreshToken);
+        await saveAuthTokens(data.accessToken, data.refreshToken);
 
         return data.accessToken;
     } catch (error) {
@@ -215,7 +437,8 @@ export async function logout() {
 
         if (refreshToken) {
             // Notify backend to invalidate token
-            await fetch(`${API_BASE_URL}/auth/logout`, {
+            const apiBaseUrl = await getApiBaseUrl();
+            await fetch(`${apiBaseUrl}/auth/logout`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1,8 +1,19 @@
 /**
- * Authentication UI logic for login and signup
+ * Authentication UI logic for login, signup and two-factor setup
  */
 
-import { signUp, signIn, getCurrentUserEmail, forgotPassword } from './auth-service.js';
+import {
+    signUp,
+    signIn,
+    getCurrentUserEmail,
+    forgotPassword,
+    resetPassword,
+    completeTwoFactorSignIn,
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor
+} from './auth-service.js';
 import Browser from '../utils/browser-polyfill.js';
 
 // DOM elements
@@ -12,6 +23,18 @@ let loginEmail, loginPassword;
 let signupEmail, signupPassword, signupPasswordConfirm, signupPasswordHint, signupMasterHint;
 let loginBtn, signupBtn, forgotPasswordLink;
 let messageBox;
+let tabSwitcher, twoFactorForm, twoFactorCode, twoFactorBtn;
+let twoFactorPanel, twoFactorStatus, twoFactorSetupBtn;
+let twoFactorEnrollForm, twoFactorEnrollCode, twoFactorEnableBtn;
+let twoFactorBackup, twoFactorBackupCodes;
+let twoFactorDisableForm, twoFactorDisablePassword, twoFactorDisableCode, twoFactorDisableBtn;
+let resetForm, resetToken, resetPasswordInput, resetPasswordConfirm, resetCode, resetBtn;
+
+// Email whose recovery code the reset form is waiting for
+let recoveryEmail = null;
+
+// Login waiting for its second factor: { email, challengeToken }
+let pendingChallenge = null;
 
 /**
  * Initialize auth page
@@ -39,6 +62,31 @@ async function initialize() {
 
     messageBox = document.getElementById('message');
 
+    tabSwitcher = document.getElementById('tab-switcher');
+    twoFactorForm = document.getElementById('two-factor-form');
+    twoFactorCode = document.getElementById('two-factor-code');
+    twoFactorBtn = document.getElementById('two-factor-btn');
+
+    twoFactorPanel = document.getElementById('two-factor-panel');
+    twoFactorStatus = document.getElementById('two-factor-status');
+    twoFactorSetupBtn = document.getElementById('two-factor-setup-btn');
+    twoFactorEnrollForm = document.getElementById('two-factor-enroll-form');
+    twoFactorEnrollCode = document.getElementById('two-factor-enroll-code');
+    twoFactorEnableBtn = document.getElementById('two-factor-enable-btn');
+    twoFactorBackup = document.getElementById('two-factor-backup');
+    twoFactorBackupCodes = document.getElementById('two-factor-backup-codes');
+    twoFactorDisableForm = document.getElementById('two-factor-disable-form');
+    twoFactorDisablePassword = document.getElementById('two-factor-disable-password');
+    twoFactorDisableCode = document.getElementById('two-factor-disable-code');
+    twoFactorDisableBtn = document.getElementById('two-factor-disable-btn');
+
+    resetForm = document.getElementById('reset-form');
+    resetToken = document.getElementById('reset-token');
+    resetPasswordInput = document.getElementById('reset-password');
+    resetPasswordConfirm = document.getElementById('reset-password-confirm');
+    resetCode = document.getElementById('reset-code');
+    resetBtn = document.getElementById('reset-btn');
+
     // Attach event listeners
     loginTab.addEventListener('click', () => switchTab('login'));
     signupTab.addEventListener('click', () => switchTab('signup'));
@@ -49,11 +97,35 @@ async function initialize() {
         forgotPasswordLink.addEventListener('click', handleForgotPassword);
     }
 
+    resetForm.addEventListener('submit', handleResetPassword);
+    document.getElementById('reset-back-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        closeResetForm();
+    });
+
+    twoFactorForm.addEventListener('submit', handleTwoFactorLogin);
+    document.getElementById('two-factor-back-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        cancelTwoFactorLogin();
+    });
+
+    twoFactorSetupBtn.addEventListener('click', handleTwoFactorSetup);
+    twoFactorEnrollForm.addEventListener('submit', handleTwoFactorEnable);
+    twoFactorDisableForm.addEventListener('submit', handleTwoFactorDisable);
+    document.getElementById('two-factor-done-btn').addEventListener('click', showTwoFactorPanel);
+
     // Initialize password toggle buttons
     initPasswordToggles();
 
     // Check if already authenticated
     const email = await getCurrentUserEmail();
+
+    // Settings links here with #two-factor to manage the second factor
+    if (email && window.location.hash === '#two-factor') {
+        await showTwoFactorPanel();
+        return;
+    }
+
     if (email) {
         showMessage(`Already logged in as ${email}. Redirecting...`, 'info');
         setTimeout(() => {
@@ -126,19 +198,14 @@ async function handleLogin(e) {
     messageBox.classList.add('hidden');
 
     try {
-        await signIn(email, password);
-
-        showMessage('✅ Login successful! Redirecting...', 'success');
+        const result = await signIn(email, password);
 
-        // Redirect to popup after short delay
-        setTimeout(() => {
-            // Close auth page and open popup
-            Browser.action.openPopup().catch(() => {
-                // If popup fails, just close the auth page
-                window.close();
-            });
-        }, 1500);
+        if (result.twoFactorRequired) {
+            showTwoFactorLogin(email, result.challengeToken);
+            return;
+        }
 
+        finishLogin();
     } catch (error) {
         console.error('Login error:', error);
         showMessage(`❌ ${error.message || 'Login failed. Please check your credentials.'}`, 'error');
@@ -147,6 +214,216 @@ async function handleLogin(e) {
     }
 }
 
+/**
+ * Tell the user they are in and hand over to the popup
+ */
+function finishLogin(message = '✅ Login successful! Redirecting...') {
+    showMessage(message, 'success');
+
+    // Redirect to popup after short delay
+    setTimeout(() => {
+        // Close auth page and open popup
+        Browser.action.openPopup().catch(() => {
+            // If popup fails, just close the auth page
+            window.close();
+        });
+    }, 1500);
+}
+
+/**
+ * Ask for the second factor after the password was accepted
+ */
+function showTwoFactorLogin(email, challengeToken) {
+    pendingChallenge = { email, challengeToken };
+
+    tabSwitcher.classList.add('hidden');
+    loginForm.classList.add('hidden');
+    twoFactorForm.classList.remove('hidden');
+    messageBox.classList.add('hidden');
+
+    twoFactorCode.value = '';
+    twoFactorCode.focus();
+}
+
+/**
+ * Drop the pending challenge and go back to the login form
+ */
+function cancelTwoFactorLogin() {
+    pendingChallenge = null;
+
+    twoFactorForm.classList.add('hidden');
+    tabSwitcher.classList.remove('hidden');
+    switchTab('login');
+}
+
+/**
+ * Handle the second login step
+ */
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+
+    const code = twoFactorCode.value.trim();
+
+    if (!code || !pendingChallenge) {
+        showMessage('Please enter your verification code', 'error');
+        return;
+    }
+
+    setLoading(twoFactorBtn, true);
+    messageBox.classList.add('hidden');
+
+    try {
+        const result = await completeTwoFactorSignIn(pendingChallenge.email, pendingChallenge.challengeToken, code);
+        pendingChallenge = null;
+
+        if (result.backupCodesRemaining <= 2) {
+            finishLogin(`✅ Login successful! Only ${result.backupCodesRemaining} backup codes left. Redirecting...`);
+        } else {
+            finishLogin();
+        }
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+
+        // An expired challenge cannot be retried; start over from the password
+        if (error.message.includes('expired')) {
+            cancelTwoFactorLogin();
+        }
+
+        showMessage(`❌ ${error.message}`, 'error');
+    } finally {
+        setLoading(twoFactorBtn, false);
+    }
+}
+
+/**
+ * Show two-factor settings for the signed-in account
+ */
+async function showTwoFactorPanel() {
+    tabSwitcher.classList.add('hidden');
+    loginForm.classList.add('hidden');
+    signupForm.classList.add('hidden');
+    twoFactorPanel.classList.remove('hidden');
+
+    twoFactorSetupBtn.classList.add('hidden');
+    twoFactorEnrollForm.classList.add('hidden');
+    twoFactorBackup.classList.add('hidden');
+    twoFactorDisableForm.classList.add('hidden');
+    twoFactorBackupCodes.innerHTML = '';
+    messageBox.classList.add('hidden');
+
+    try {
+        const status = await getTwoFactorStatus();
+
+        if (status.enabled) {
+            twoFactorStatus.textContent = `✅ Enabled. ${status.backupCodesRemaining} backup codes left. ` +
+                'Enter your password and a code to turn it off.';
+            twoFactorDisableForm.reset();
+            twoFactorDisableForm.classList.remove('hidden');
+        } else {
+            twoFactorStatus.textContent = 'Off. Add a code from an authenticator app to every sign in.';
+            twoFactorSetupBtn.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        twoFactorStatus.textContent = '';
+        showMessage(`❌ ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Start enrollment and show the QR code
+ */
+async function handleTwoFactorSetup() {
+    setLoading(twoFactorSetupBtn, true);
+    messageBox.classList.add('hidden');
+
+    try {
+        const { secret, qrCode } = await startTwoFactorSetup();
+
+        document.getElementById('two-factor-qr').src = qrCode;
+        document.getElementById('two-factor-secret').textContent = secret;
+
+        twoFactorSetupBtn.classList.add('hidden');
+        twoFactorEnrollForm.reset();
+        twoFactorEnrollForm.classList.remove('hidden');
+        twoFactorEnrollCode.focus();
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        showMessage(`❌ ${error.message}`, 'error');
+    } finally {
+        setLoading(twoFactorSetupBtn, false);
+    }
+}
+
+/**
+ * Confirm enrollment and show the backup codes
+ */
+async function handleTwoFactorEnable(e) {
+    e.preventDefault();
+
+    const code = twoFactorEnrollCode.value.trim();
+
+    if (!code) {
+        showMessage('Please enter the code from your authenticator app', 'error');
+        return;
+    }
+
+    setLoading(twoFactorEnableBtn, true);
+    messageBox.classList.add('hidden');
+
+    try {
+        const { backupCodes } = await enableTwoFactor(code);
+
+        twoFactorEnrollForm.classList.add('hidden');
+        document.getElementById('two-factor-qr').removeAttribute('src');
+        document.getElementById('two-factor-secret').textContent = '';
+
+        twoFactorBackupCodes.innerHTML = '';
+        backupCodes.forEach(backupCode => {
+            const item = document.createElement('li');
+            item.textContent = backupCode;
+            twoFactorBackupCodes.appendChild(item);
+        });
+
+        twoFactorStatus.textContent = '✅ Two-factor authentication is on.';
+        twoFactorBackup.classList.remove('hidden');
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        showMessage(`❌ ${error.message}`, 'error');
+    } finally {
+        setLoading(twoFactorEnableBtn, false);
+    }
+}
+
+/**
+ * Turn two-factor authentication off
+ */
+async function handleTwoFactorDisable(e) {
+    e.preventDefault();
+
+    const password = twoFactorDisablePassword.value;
+    const code = twoFactorDisableCode.value.trim();
+
+    if (!password || !code) {
+        showMessage('Please enter your password and a verification code', 'error');
+        return;
+    }
+
+    setLoading(twoFactorDisableBtn, true);
+    messageBox.classList.add('hidden');
+
+    try {
+        await disableTwoFactor(password, code);
+        await showTwoFactorPanel();
+        showMessage('Two-factor authentication is off', 'success');
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        showMessage(`❌ ${error.message}`, 'error');
+    } finally {
+        setLoading(twoFactorDisableBtn, false);
+    }
+}
+
 /**
  * Handle signup form submission
  */
@@ -219,25 +496,86 @@ async function handleForgotPassword(e) {
     const email = loginEmail.value.trim();
 
     if (!email) {
-        showMessage('Please enter your email first to get hints', 'error');
+        showMessage('Please enter your email first', 'error');
         return;
     }
 
     try {
-        showMessage('Checking for hints...', 'info');
-        const hints = await forgotPassword(email);
+        showMessage('Sending recovery email...', 'info');
+        const { message } = await forgotPassword(email);
 
-        let hintMsg = '💡 Your Hints:\n';
-        if (hints.passwordHint) hintMsg += `- Login: ${hints.passwordHint}\n`;
-        if (hints.masterPasswordHint) hintMsg += `- Master: ${hints.masterPasswordHint}\n`;
+        showResetForm(email);
+        showMessage(`📧 ${message}`, 'info');
+    } catch (error) {
+        showMessage(`❌ ${error.message}`, 'error');
+    }
+}
 
-        if (!hints.passwordHint && !hints.masterPasswordHint) {
-            hintMsg = '❌ No hints found for this account.';
-        }
+/**
+ * Show the form that takes the emailed recovery code
+ */
+function showResetForm(email) {
+    recoveryEmail = email;
+
+    tabSwitcher.classList.add('hidden');
+    loginForm.classList.add('hidden');
+    resetForm.reset();
+    resetForm.classList.remove('hidden');
+    resetToken.focus();
+}
+
+/**
+ * Leave account recovery and go back to the login form
+ */
+function closeResetForm() {
+    recoveryEmail = null;
+
+    resetForm.classList.add('hidden');
+    tabSwitcher.classList.remove('hidden');
+    switchTab('login');
+}
+
+/**
+ * Handle the recovery form submission
+ */
+async function handleResetPassword(e) {
+    e.preventDefault();
+
+    const token = resetToken.value.trim();
+    const password = resetPasswordInput.value;
+    const passwordConfirm = resetPasswordConfirm.value;
+    const code = resetCode.value.trim();
+
+    if (!token || !password) {
+        showMessage('Please enter the recovery code and a new password', 'error');
+        return;
+    }
+
+    if (password.length < 8) {
+        showMessage('Password must be at least 8 characters long', 'error');
+        return;
+    }
 
-        showMessage(hintMsg, 'info');
+    if (password !== passwordConfirm) {
+        showMessage('Passwords do not match', 'error');
+        return;
+    }
+
+    setLoading(resetBtn, true);
+    messageBox.classList.add('hidden');
+
+    try {
+        await resetPassword(recoveryEmail, token, password, code);
+
+        loginEmail.value = recoveryEmail;
+        loginPassword.value = '';
+        closeResetForm();
+        showMessage('✅ Password reset. Sign in with your new password.', 'success');
     } catch (error) {
+        console.error('Reset password error:', error);
         showMessage(`❌ ${error.message}`, 'error');
+    } finally {
+        setLoading(resetBtn, false);
     }
 }
 
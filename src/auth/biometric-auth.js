@@ -15,7 +15,7 @@ export async function isBiometricAvailable() {
 
     // Check for platform authenticator (built-in biometric)
     try {
-        const available = await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+        const available = await window.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
         return available;
     } catch (error) {
         console.error('Biometric availability check failed:', error);
@@ -141,7 +141,7 @@ export async function authenticateWithBiometric(email) {
  * @param {string} email - User email
  */
 export async function removeBiometric(email) {
-    const { getSettings, saveSettings } = await import('../storage/local-storage.js');
+    const { getSettings, saveSettings } = await import('../storage/settings.js');
     const settings = await getSettings();
 
     if (settings.biometricAuth?.credentials) {
@@ -154,7 +154,7 @@ export async function removeBiometric(email) {
  * Store biometric credential
  */
 async function storeBiometricCredential(email, credentialData) {
-    const { getSettings, saveSettings } = await import('../storage/local-storage.js');
+    const { getSettings, saveSettings } = await import('../storage/settings.js');
     const settings = await getSettings();
 
     if (!settings.biometricAuth) {
@@ -172,7 +172,7 @@ async function storeBiometricCredential(email, credentialData) {
  * Get stored biometric credential
  */
 async function getBiometricCredential(email) {
-    const { getSettings } = await import('../storage/local-storage.js');
+    const { getSettings } = await import('../storage/settings.js');
     const settings = await getSettings();
 
     return settings.biometricAuth?.credentials?.[email] || null;
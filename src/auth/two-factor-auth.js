@@ -1,8 +1,21 @@
 /**
  * Two-Factor Authentication (2FA) Module
- * Supports TOTP (Time-based One-Time Password) authentication
+ * Supports TOTP (Time-based One-Time Password) authentication, both for
+ * the SecureSync account and for website codes stored as otpauth URIs
  */
 
+// Defaults from RFC 6238, used when an otpauth URI leaves a parameter out
+const DEFAULT_ALGORITHM = 'SHA-1';
+const DEFAULT_DIGITS = 6;
+const DEFAULT_PERIOD = 30;
+
+// otpauth algorithm names mapped to WebCrypto hash names
+const ALGORITHMS = {
+    SHA1: 'SHA-1',
+    SHA256: 'SHA-256',
+    SHA512: 'SHA-512'
+};
+
 /**
  * Generate a TOTP secret key
  * @returns {string} - Base32 encoded secret
@@ -14,59 +27,127 @@ export function generateTOTPSecret() {
 }
 
 /**
- * Generate TOTP code from secret
- * @param {string} secret - Base32 encoded secret
- * @param {number} timeStep - Time step in seconds (default: 30)
- * @returns {Promise<string>} - 6-digit TOTP code
+ * Parse an otpauth://totp URI
+ * @param {string} uri - URI from the site's QR code
+ * @returns {Object} - { secret, algorithm, digits, period, issuer, account }
+ * @throws {Error} - If the URI is not a usable TOTP URI
  */
-export async function generateTOTPCode(secret, timeStep = 30) {
-    const key = base32Decode(secret);
-    const time = Math.floor(Date.now() / 1000 / timeStep);
+export function parseOtpauthUri(uri) {
+    // Parsed by hand: older browsers do not split hosts out of non-http URLs
+    const match = /^otpauth:\/\/([^/?#]*)\/?([^?#]*)(?:\?([^#]*))?/i.exec(uri.trim());
+    if (!match) {
+        throw new Error('Not a valid otpauth URI');
+    }
 
-    // Convert time to 8-byte buffer
-    const timeBuffer = new ArrayBuffer(8);
-    const timeView = new DataView(timeBuffer);
-    timeView.setUint32(4, time, false); // Big-endian
+    if (match[1].toLowerCase() !== 'totp') {
+        throw new Error('Only otpauth://totp URIs are supported');
+    }
 
-    // Import key for HMAC
-    const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        key,
-        { name: 'HMAC', hash: 'SHA-1' },
-        false,
-        ['sign']
-    );
+    const params = new URLSearchParams(match[3] || '');
+    const secret = normalizeSecret(params.get('secret') || '');
+    if (!secret) {
+        throw new Error('The otpauth URI has no valid secret');
+    }
 
-    // Generate HMAC
-    const signature = await crypto.subtle.sign('HMAC', cryptoKey, timeBuffer);
-    const hmac = new Uint8Array(signature);
+    const algorithmName = (params.get('algorithm') || 'SHA1').toUpperCase().replace('-', '');
+    const algorithm = ALGORITHMS[algorithmName];
+    if (!algorithm) {
+        throw new Error(`Unsupported TOTP algorithm: ${params.get('algorithm')}`);
+    }
 
-    // Dynamic truncation
-    const offset = hmac[hmac.length - 1] & 0x0f;
-    const code = (
-        ((hmac[offset] & 0x7f) << 24) |
-        ((hmac[offset + 1] & 0xff) << 16) |
-        ((hmac[offset + 2] & 0xff) << 8) |
-        (hmac[offset + 3] & 0xff)
-    ) % 1000000;
+    const digits = params.has('digits') ? Number(params.get('digits')) : DEFAULT_DIGITS;
+    if (!Number.isInteger(digits) || digits < 6 || digits > 8) {
+        throw new Error('TOTP codes must have 6 to 8 digits');
+    }
+
+    const period = params.has('period') ? Number(params.get('period')) : DEFAULT_PERIOD;
+    if (!Number.isInteger(period) || period < 1) {
+        throw new Error('TOTP period must be a positive number of seconds');
+    }
+
+    // The label is "Issuer:account" or just "account"
+    let label;
+    try {
+        label = decodeURIComponent(match[2]);
+    } catch (error) {
+        label = match[2];
+    }
+    const separator = label.indexOf(':');
+    const account = separator === -1 ? label : label.slice(separator + 1).trim();
+    const issuer = params.get('issuer') || (separator === -1 ? '' : label.slice(0, separator));
+
+    return { secret, algorithm, digits, period, issuer, account };
+}
+
+/**
+ * Turn what the user pasted into an otpauth URI
+ * Accepts a full otpauth URI or a bare base32 key, which gets the default parameters
+ * @param {string} input - URI or key
+ * @param {string} accountName - Account label for a bare key
+ * @param {string} issuer - Issuer for a bare key
+ * @returns {string} - Validated otpauth URI
+ * @throws {Error} - If the input is neither
+ */
+export function toOtpauthUri(input, accountName = '', issuer = '') {
+    const value = input.trim();
+
+    if (/^otpauth:/i.test(value)) {
+        parseOtpauthUri(value);
+        return value;
+    }
+
+    const secret = normalizeSecret(value);
+    if (!secret) {
+        throw new Error('Enter an otpauth:// URI or a base32 key');
+    }
+
+    return generateTOTPQRCodeURL(secret, accountName, issuer);
+}
+
+/**
+ * Generate TOTP code from secret
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} options - { algorithm, digits, period, timestamp } (default: SHA-1, 6 digits, 30 seconds, now)
+ * @returns {Promise<string>} - TOTP code
+ */
+export async function generateTOTPCode(secret, options = {}) {
+    const { period = DEFAULT_PERIOD, timestamp = Date.now() } = options;
+    const counter = Math.floor(timestamp / 1000 / period);
+
+    return generateTOTPCodeAtCounter(secret, counter, options);
+}
 
-    return code.toString().padStart(6, '0');
+/**
+ * Generate the current code for an otpauth URI
+ * @param {string} uri - otpauth://totp URI
+ * @returns {Promise<Object>} - { code, remaining, period } where remaining is seconds until the code changes
+ */
+export async function generateTOTPFromUri(uri) {
+    const { secret, algorithm, digits, period } = parseOtpauthUri(uri);
+    const timestamp = Date.now();
+
+    return {
+        code: await generateTOTPCode(secret, { algorithm, digits, period, timestamp }),
+        remaining: period - (Math.floor(timestamp / 1000) % period),
+        period
+    };
 }
 
 /**
  * Verify TOTP code
  * @param {string} code - User-provided code
  * @param {string} secret - Base32 encoded secret
- * @param {number} window - Time window to check (default: 1 = ±30 seconds)
+ * @param {number} window - Time window to check (default: 1 = one period either side)
+ * @param {Object} options - { algorithm, digits, period }
  * @returns {Promise<boolean>} - True if code is valid
  */
-export async function verifyTOTPCode(code, secret, window = 1) {
-    const timeStep = 30;
+export async function verifyTOTPCode(code, secret, window = 1, options = {}) {
+    const { period = DEFAULT_PERIOD } = options;
+    const counter = Math.floor(Date.now() / 1000 / period);
 
     // Check current time and adjacent windows
     for (let i = -window; i <= window; i++) {
-        const time = Math.floor(Date.now() / 1000 / timeStep) + i;
-        const expectedCode = await generateTOTPCodeAtTime(secret, time);
+        const expectedCode = await generateTOTPCodeAtCounter(secret, counter + i, options);
 
         if (code === expectedCode) {
             return true;
@@ -77,39 +158,53 @@ export async function verifyTOTPCode(code, secret, window = 1) {
 }
 
 /**
- * Generate TOTP code at specific time
+ * Generate TOTP code for a specific time step (HOTP, RFC 4226)
  */
-async function generateTOTPCodeAtTime(secret, time) {
+async function generateTOTPCodeAtCounter(secret, counter, { algorithm = DEFAULT_ALGORITHM, digits = DEFAULT_DIGITS } = {}) {
     const key = base32Decode(secret);
 
-    const timeBuffer = new ArrayBuffer(8);
-    const timeView = new DataView(timeBuffer);
-    timeView.setUint32(4, time, false);
+    // Convert counter to 8-byte big-endian buffer
+    const counterBuffer = new ArrayBuffer(8);
+    const counterView = new DataView(counterBuffer);
+    counterView.setUint32(0, Math.floor(counter / 2 ** 32), false);
+    counterView.setUint32(4, counter >>> 0, false);
 
+    // Import key for HMAC
     const cryptoKey = await crypto.subtle.importKey(
         'raw',
         key,
-        { name: 'HMAC', hash: 'SHA-1' },
+        { name: 'HMAC', hash: algorithm },
         false,
         ['sign']
     );
 
-    const signature = await crypto.subtle.sign('HMAC', cryptoKey, timeBuffer);
+    // Generate HMAC
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, counterBuffer);
     const hmac = new Uint8Array(signature);
 
+    // Dynamic truncation
     const offset = hmac[hmac.length - 1] & 0x0f;
     const code = (
         ((hmac[offset] & 0x7f) << 24) |
         ((hmac[offset + 1] & 0xff) << 16) |
         ((hmac[offset + 2] & 0xff) << 8) |
         (hmac[offset + 3] & 0xff)
-    ) % 1000000;
+    ) % 10 ** digits;
+
+    return code.toString().padStart(digits, '0');
+}
 
-    return code.toString().padStart(6, '0');
+/**
+ * Strip spaces and padding from a base32 key
+ * @returns {string} - Upper-case key, or '' if it is not valid base32
+ */
+function normalizeSecret(secret) {
+    const normalized = secret.replace(/[\s=-]/g, '').toUpperCase();
+    return /^[A-Z2-7]+$/.test(normalized) ? normalized : '';
 }
 
 /**
- * Generate QR code data URL for TOTP setup
+ * Build an otpauth URI for TOTP setup (the content of the QR code)
  * @param {string} secret - Base32 encoded secret
  * @param {string} accountName - User's account name/email
  * @param {string} issuer - Service name (default: 'SecureSync')
@@ -118,13 +213,20 @@ async function generateTOTPCodeAtTime(secret, time) {
 export function generateTOTPQRCodeURL(secret, accountName, issuer = 'SecureSync') {
     const params = new URLSearchParams({
         secret,
-        issuer,
         algorithm: 'SHA1',
-        digits: '6',
-        period: '30'
+        digits: String(DEFAULT_DIGITS),
+        period: String(DEFAULT_PERIOD)
     });
 
-    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}?${params}`;
+    if (issuer) {
+        params.set('issuer', issuer);
+    }
+
+    const label = issuer
+        ? `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+        : encodeURIComponent(accountName);
+
+    return `otpauth://totp/${label}?${params}`;
 }
 
 /**
@@ -205,48 +307,3 @@ function base32Decode(str) {
 
     return output.slice(0, index);
 }
-
-/**
- * Store 2FA settings
- * @param {string} email - User email
- * @param {string} secret - TOTP secret
- * @param {Array<string>} backupCodes - Backup codes
- */
-export async function store2FASettings(email, secret, backupCodes) {
-    const { saveSettings, getSettings } = await import('../storage/local-storage.js');
-    const settings = await getSettings();
-
-    settings.twoFactorAuth = {
-        enabled: true,
-        secret,
-        backupCodes,
-        setupDate: new Date().toISOString()
-    };
-
-    await saveSettings(settings);
-}
-
-/**
- * Verify and use backup code
- * @param {string} code - Backup code to verify
- * @returns {Promise<boolean>} - True if code is valid and unused
- */
-export async function verifyBackupCode(code) {
-    const { getSettings, saveSettings } = await import('../storage/local-storage.js');
-    const settings = await getSettings();
-
-    if (!settings.twoFactorAuth?.backupCodes) {
-        return false;
-    }
-
-    const index = settings.twoFactorAuth.backupCodes.indexOf(code.toUpperCase());
-
-    if (index !== -1) {
-        // Remove used backup code
-        settings.twoFactorAuth.backupCodes.splice(index, 1);
-        await saveSettings(settings);
-        return true;
-    }
-
-    return false;
-}
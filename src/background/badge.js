@@ -0,0 +1,42 @@
+/**
+ * Toolbar badge showing sync state
+ * Priority: offline, syncing, error, pending changes; empty when all is synced
+ */
+
+import Browser from '../utils/browser-polyfill.js';
+
+const BADGES = {
+    offline: { text: 'OFF', color: '#8e8e93', title: 'SecureSync - offline, sync paused' },
+    syncing: { text: '↻', color: '#667eea', title: 'SecureSync - syncing...' },
+    error: { text: '!', color: '#ff3b30', title: 'SecureSync - last sync failed' },
+    pending: { color: '#ff9500', title: 'SecureSync - changes waiting to sync' },
+    idle: { text: '', color: '#34c759', title: 'SecureSync' }
+};
+
+/**
+ * Update the toolbar badge
+ * @param {Object} state - { offline, syncing, error, pending } where pending is the outbox depth
+ */
+export async function updateBadge({ offline = false, syncing = false, error = null, pending = 0 } = {}) {
+    let badge;
+
+    if (offline) {
+        badge = BADGES.offline;
+    } else if (syncing) {
+        badge = BADGES.syncing;
+    } else if (error) {
+        badge = { ...BADGES.error, title: `${BADGES.error.title}: ${error}` };
+    } else if (pending > 0) {
+        badge = { ...BADGES.pending, text: pending > 99 ? '99+' : String(pending) };
+    } else {
+        badge = BADGES.idle;
+    }
+
+    try {
+        await Browser.action.setBadgeText({ text: badge.text });
+        await Browser.action.setBadgeBackgroundColor({ color: badge.color });
+        await Browser.action.setTitle({ title: badge.title });
+    } catch (err) {
+        console.error('Badge update error:', err);
+    }
+}
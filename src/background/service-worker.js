@@ -3,13 +3,59 @@
  */
 
 import Browser from '../utils/browser-polyfill.js';
-import { performSync } from '../sync/sync-service.js';
-import { isAuthenticated } from '../auth/auth-service.js';
-import { getSettings } from '../storage/local-storage.js';
+import {
+    performSync,
+    queueForSync,
+    processSyncQueue,
+    getSyncQueueStatus,
+    isSyncInProgress,
+    discardDisabledQueueItems,
+    deleteRemoteData
+} from '../sync/sync-service.js';
+import * as connectivity from '../sync/connectivity.js';
+import { updateBadge } from './badge.js';
+import { initializeBookmarkCapture, syncBrowserBookmarks } from '../capture/bookmark-capture.js';
+import { ensureSyncKey, rewrapSyncKey } from '../sync/sync-key.js';
+import { isAuthenticated, updateMasterPasswordHint } from '../auth/auth-service.js';
+import { getSettings } from '../storage/settings.js';
+import { getSyncQueue, getBookmarkIdMap } from '../storage/local-storage.js';
+import * as vault from '../crypto/vault.js';
+import { getOrigin } from '../utils/origin.js';
+import { generateTOTPFromUri } from '../auth/two-factor-auth.js';
 
 // Alarm names
 const SYNC_ALARM = 'periodic-sync';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Logins filled per tab, so a one-time code page that follows can be filled too
+const RECENT_FILLS_KEY = 'autofill_recent';
+const RECENT_FILL_MS = 5 * 60 * 1000;
+
+// Messages only extension pages may send (never content scripts)
+const EXTENSION_PAGE_MESSAGES = new Set([
+    'SYNC_NOW',
+    'GET_SYNC_STATUS',
+    'GET_VAULT_STATUS',
+    'UNLOCK_VAULT',
+    'LOCK_VAULT',
+    'SET_UP_SYNC',
+    'CREATE_RECOVERY_KEY',
+    'RECOVER_VAULT',
+    'GET_ENTRIES',
+    'ADD_ENTRY',
+    'UPDATE_ENTRY',
+    'DELETE_ENTRY',
+    'RESTORE_ENTRY',
+    'ERASE_ENTRY',
+    'EXPORT_VAULT',
+    'GET_CONFLICTS',
+    'RESOLVE_CONFLICT',
+    'CHANGE_MASTER_PASSWORD',
+    'SETTINGS_UPDATED',
+    'DELETE_SYNCED_DATA'
+]);
+
 /**
  * Initialize background service worker
  */
@@ -17,13 +63,38 @@ async function initialize() {
     console.log('SecureSync background service worker initialized');
 
     // Set up periodic sync alarm
-    const settings = await getSettings();
-    Browser.alarms.create(SYNC_ALARM, {
-        periodInMinutes: settings.syncFrequencyMinutes || 5
-    });
+    await scheduleSync(await getSettings());
 
-    // Network status can be checked via navigator.onLine in sync tasks
-    // browser service workers do not support window.addEventListener
+    // Service workers get no reliable online/offline events; connectivity
+    // is learned from failed syncs and confirmed by probing /health
+    await refreshBadge();
+}
+
+/**
+ * Create or remove the periodic sync alarm from the autoSync / syncInterval settings
+ * Creating an alarm with an existing name replaces it, so this also reschedules
+ */
+async function scheduleSync(settings) {
+    if (settings.autoSync) {
+        Browser.alarms.create(SYNC_ALARM, {
+            periodInMinutes: settings.syncInterval
+        });
+    } else {
+        await Browser.alarms.clear(SYNC_ALARM);
+    }
+}
+
+/**
+ * Apply settings saved on the options page to the running extension
+ */
+async function handleSettingsUpdated() {
+    await scheduleSync(await getSettings());
+    await vault.applyAutoLockSettings();
+
+    // Changes queued before a type was turned off must not be sent later
+    if (await discardDisabledQueueItems() > 0) {
+        await refreshBadge();
+    }
 }
 
 /**
@@ -32,6 +103,14 @@ async function initialize() {
 Browser.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === SYNC_ALARM) {
         await handlePeriodicSync();
+    } else if (alarm.name === connectivity.PROBE_ALARM) {
+        if (await connectivity.probe()) {
+            await handleOnline();
+        } else {
+            await refreshBadge();
+        }
+    } else if (alarm.name === vault.AUTO_LOCK_ALARM) {
+        await vault.lockVault();
     }
 });
 
@@ -39,19 +118,23 @@ Browser.alarms.onAlarm.addListener(async (alarm) => {
  * Handle periodic sync
  */
 async function handlePeriodicSync() {
+    await purgeTrash();
+
     try {
+        if (!await connectivity.isOnline()) {
+            // The probe alarm resumes syncing once the backend answers
+            return;
+        }
+
+        const settings = await getSettings();
+        if (!settings.autoSync || (!settings.syncPasswords && !settings.syncBookmarks)) {
+            return;
+        }
+
         if (await isAuthenticated()) {
             console.log('Performing periodic sync...');
-            const result = await performSync();
+            const result = await runSync();
             console.log('Sync completed:', result);
-
-            // Notify popup/options page of sync completion
-            Browser.runtime.sendMessage({
-                type: 'SYNC_COMPLETED',
-                data: result
-            }).catch(() => {
-                // Ignore errors if no listeners
-            });
         }
     } catch (error) {
         console.error('Periodic sync error:', error);
@@ -59,18 +142,81 @@ async function handlePeriodicSync() {
 }
 
 /**
- * Handle online event
+ * Run a sync, tracking connectivity and the badge around it
+ * A network failure switches to offline mode and starts health probes
  */
-async function handleOnline() {
-    console.log('Network online - triggering sync');
-    await handlePeriodicSync();
+async function runSync() {
+    await refreshBadge({ syncing: true });
+
+    try {
+        // Browser bookmark changes must be in the vault before it is merged
+        await syncBrowserBookmarks();
+
+        const result = await performSync();
+        await connectivity.markOnline();
+
+        // Write bookmarks that arrived from other devices into the browser
+        if (result.bookmarks) {
+            await syncBrowserBookmarks();
+        }
+
+        // Types deleted on the server from another device were switched off
+        if (result.resets && result.resets.length > 0) {
+            await handleSettingsUpdated();
+        }
+        notifySyncCompleted(result);
+        return result;
+    } catch (error) {
+        // Offline mode pauses the outbox; the probe alarm resumes it
+        if (connectivity.isNetworkError(error)) {
+            await connectivity.markOffline();
+        }
+        throw error;
+    } finally {
+        await refreshBadge();
+    }
+}
+
+/**
+ * Recompute the toolbar badge from connectivity, sync and outbox state
+ * @param {Object} overrides - State to force, e.g. { syncing: true }
+ */
+async function refreshBadge(overrides = {}) {
+    try {
+        const offline = !await connectivity.isOnline();
+        const { queueDepth, lastError } = await getSyncQueueStatus();
+
+        await updateBadge({
+            offline,
+            syncing: isSyncInProgress(),
+            error: lastError ? lastError.message : null,
+            pending: queueDepth,
+            ...overrides
+        });
+    } catch (error) {
+        console.error('Badge refresh error:', error);
+    }
 }
 
 /**
- * Handle offline event
+ * Notify popup/options page of sync completion
  */
-function handleOffline() {
-    console.log('Network offline - sync paused');
+function notifySyncCompleted(result) {
+    Browser.runtime.sendMessage({
+        type: 'SYNC_COMPLETED',
+        data: result
+    }).catch(() => {
+        // Ignore errors if no listeners
+    });
+}
+
+/**
+ * Resume syncing once a health probe reaches the backend again
+ */
+async function handleOnline() {
+    console.log('Network online - triggering sync');
+    await refreshBadge();
+    await handlePeriodicSync();
 }
 
 /**
@@ -79,22 +225,151 @@ function handleOffline() {
 Browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
         try {
+            if (EXTENSION_PAGE_MESSAGES.has(message.type) && !isExtensionPage(sender)) {
+                sendResponse({ success: false, error: 'Not allowed' });
+                return;
+            }
+
             switch (message.type) {
-                case 'SYNC_NOW':
-                    const result = await performSync();
+                case 'SYNC_NOW': {
+                    // A manual sync doubles as a connectivity check, even while offline
+                    const result = await runSync();
                     sendResponse({ success: true, data: result });
                     break;
+                }
 
-                case 'GET_SYNC_STATUS':
+                case 'GET_SYNC_STATUS': {
                     const authenticated = await isAuthenticated();
-                    sendResponse({ success: true, authenticated });
+                    sendResponse({ success: true, authenticated, ...await getSyncQueueStatus() });
+                    break;
+                }
+
+                case 'SAVE_PASSWORD':
+                    sendResponse(await handleSavePassword(message.data, message.replaceExisting, sender));
+                    break;
+
+                case 'GET_AUTOFILL_CANDIDATES':
+                    sendResponse(await getAutofillCandidates(sender));
+                    break;
+
+                case 'GET_AUTOFILL_CREDENTIAL':
+                    sendResponse(await getAutofillCredential(message.id, sender));
+                    break;
+
+                case 'GET_AUTOFILL_TOTP':
+                    sendResponse(await getAutofillTotp(sender));
+                    break;
+
+                case 'GET_VAULT_STATUS':
+                    sendResponse({
+                        success: true,
+                        data: {
+                            exists: await vault.vaultExists(),
+                            locked: await vault.isVaultLocked(),
+                            hasRecoveryKey: (await vault.getRecoveryStatus()).enabled,
+                            syncSetupNeeded: await isSyncSetupNeeded()
+                        }
+                    });
+                    break;
+
+                case 'UNLOCK_VAULT':
+                    await vault.initializeVault(message.masterPassword);
+                    await provisionSyncKey(message.masterPassword);
+                    await importPendingCaptures();
+                    // Catch up on bookmark changes made while the vault was locked
+                    syncBrowserBookmarks();
+                    purgeTrash();
+                    sendResponse({ success: true, data: true });
                     break;
 
                 case 'LOCK_VAULT':
-                    // Handled by vault.js
+                    await vault.lockVault();
+                    sendResponse({ success: true });
+                    break;
+
+                case 'SET_UP_SYNC':
+                    await handleSetUpSync(message);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'CREATE_RECOVERY_KEY':
+                    sendResponse({ success: true, data: await vault.createRecoveryKey() });
+                    break;
+
+                case 'RECOVER_VAULT':
+                    sendResponse({ success: true, data: await handleRecoverVault(message) });
+                    break;
+
+                case 'GET_ENTRIES':
+                    sendResponse({ success: true, data: await getEntries(message.entryType) });
+                    break;
+
+                case 'ADD_ENTRY':
+                    sendResponse({ success: true, data: await addEntry(message.entryType, message.entry) });
+                    break;
+
+                case 'UPDATE_ENTRY':
+                    sendResponse({
+                        success: true,
+                        data: await updateEntry(message.entryType, message.id, message.updates)
+                    });
+                    break;
+
+                case 'DELETE_ENTRY':
+                    await deleteEntry(message.entryType, message.id);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'RESTORE_ENTRY':
+                    sendResponse({ success: true, data: await restoreEntry(message.entryType, message.id) });
+                    break;
+
+                case 'ERASE_ENTRY':
+                    sendResponse({
+                        success: true,
+                        data: await queueChange(
+                            message.entryType,
+                            'delete',
+                            await vault.eraseEntry(message.entryType, message.id)
+                        )
+                    });
+                    break;
+
+                case 'GET_CONFLICTS':
+                    sendResponse({ success: true, data: await vault.getConflicts() });
+                    break;
+
+                case 'RESOLVE_CONFLICT':
+                    sendResponse({
+                        success: true,
+                        data: await queueChange(
+                            message.entryType,
+                            'update',
+                            await vault.resolveConflict(message.entryType, message.id, message.entry)
+                        )
+                    });
+                    if (message.entryType === 'bookmark') {
+                        syncBrowserBookmarks();
+                    }
+                    break;
+
+                case 'EXPORT_VAULT':
+                    sendResponse({ success: true, data: await vault.exportVault() });
+                    break;
+
+                case 'SETTINGS_UPDATED':
+                    await handleSettingsUpdated();
                     sendResponse({ success: true });
                     break;
 
+                case 'DELETE_SYNCED_DATA':
+                    sendResponse({ success: true, data: await deleteRemoteData(message.entryType) });
+                    break;
+
+                case 'CHANGE_MASTER_PASSWORD':
+                    sendResponse({ success: true, data: await handleChangeMasterPassword(message) });
+                    break;
+
                 default:
                     sendResponse({ success: false, error: 'Unknown message type' });
             }
@@ -108,6 +383,435 @@ Browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
+/**
+ * Check that a message comes from one of the extension's own pages
+ */
+function isExtensionPage(sender) {
+    return !!sender
+        && sender.id === Browser.runtime.id
+        && typeof sender.url === 'string'
+        && sender.url.startsWith(Browser.runtime.getURL(''));
+}
+
+/**
+ * Get vault entries of a type
+ */
+async function getEntries(entryType) {
+    if (entryType === 'password') {
+        return vault.getPasswords();
+    }
+    if (entryType === 'bookmark') {
+        return vault.getBookmarks();
+    }
+    throw new Error(`Unknown entry type: ${entryType}`);
+}
+
+/**
+ * Add a vault entry of a type
+ */
+async function addEntry(entryType, entry) {
+    if (entryType === 'password') {
+        return queueChange('password', 'add', await vault.addPassword(entry));
+    }
+    if (entryType === 'bookmark') {
+        return writeBackBookmark(await queueChange('bookmark', 'add', await vault.addBookmark(entry)));
+    }
+    throw new Error(`Unknown entry type: ${entryType}`);
+}
+
+/**
+ * Update a vault entry of a type
+ */
+async function updateEntry(entryType, id, updates) {
+    if (entryType === 'password') {
+        return queueChange('password', 'update', await vault.updatePassword(id, updates));
+    }
+    if (entryType === 'bookmark') {
+        return writeBackBookmark(await queueChange('bookmark', 'update', await vault.updateBookmark(id, updates)));
+    }
+    throw new Error(`Unknown entry type: ${entryType}`);
+}
+
+/**
+ * Delete a vault entry of a type
+ */
+async function deleteEntry(entryType, id) {
+    if (entryType === 'password') {
+        return queueChange('password', 'delete', await vault.deletePassword(id));
+    }
+    if (entryType === 'bookmark') {
+        return writeBackBookmark(await queueChange('bookmark', 'delete', await vault.deleteBookmark(id)));
+    }
+    throw new Error(`Unknown entry type: ${entryType}`);
+}
+
+/**
+ * Restore a vault entry of a type from the trash
+ */
+async function restoreEntry(entryType, id) {
+    const entry = await queueChange(entryType, 'restore', await vault.restoreEntry(entryType, id));
+    return entryType === 'bookmark' ? writeBackBookmark(entry) : entry;
+}
+
+/**
+ * Purge trash entries older than the retention period
+ * Deletions still waiting in the outbox, and bookmarks whose browser node
+ * has not been removed yet, stay until they are done with.
+ */
+async function purgeTrash() {
+    try {
+        if (await vault.isVaultLocked()) {
+            return;
+        }
+
+        const { trashRetentionDays } = await getSettings();
+        const cutoff = new Date(Date.now() - trashRetentionDays * DAY_MS).toISOString();
+        const keepIds = new Set([
+            ...(await getSyncQueue()).map(item => item.data.id),
+            ...Object.values(await getBookmarkIdMap() || {})
+        ]);
+
+        const purged = await vault.purgeTombstones(cutoff, keepIds);
+        if (purged > 0) {
+            console.log(`Purged ${purged} entries from the trash`);
+        }
+    } catch (error) {
+        console.error('Trash purge error:', error);
+    }
+}
+
+/**
+ * Mirror a bookmark changed from an extension page into the browser's bookmark tree
+ * @returns {Object} - The entry, for chaining
+ */
+function writeBackBookmark(entry) {
+    syncBrowserBookmarks();
+    return entry;
+}
+
+/**
+ * Put a local change in the sync outbox and try to deliver it right away
+ * Failures stay queued for the next attempt
+ * @returns {Promise<Object>} - The entry, for chaining
+ */
+async function queueChange(entryType, action, entry) {
+    if (!entry || !await isAuthenticated()) {
+        return entry;
+    }
+
+    try {
+        await queueForSync(entryType, action, entry);
+
+        // With auto sync off, queued changes wait for a manual sync
+        if ((await getSettings()).autoSync && await connectivity.isOnline()) {
+            processSyncQueue()
+                .catch(error => console.error('Outbox delivery error:', error))
+                .finally(refreshBadge);
+        } else {
+            await refreshBadge();
+        }
+    } catch (error) {
+        console.error('Sync queue error:', error);
+    }
+
+    return entry;
+}
+
+/**
+ * Move logins captured while the vault was locked into the vault and the sync outbox
+ * Captures that fail stay queued; the unlock itself still succeeds
+ */
+async function importPendingCaptures() {
+    try {
+        for (const { action, entry } of await vault.importPendingCaptures()) {
+            await queueChange('password', action, entry);
+        }
+    } catch (error) {
+        console.error('Pending capture import error:', error);
+    }
+}
+
+/**
+ * Fetch or create the account's sync key while the master password is at hand
+ * Sync stays unavailable on failure, but the unlock itself still succeeds
+ */
+async function provisionSyncKey(masterPassword) {
+    if (!await isAuthenticated()) {
+        return;
+    }
+
+    try {
+        await ensureSyncKey(masterPassword);
+    } catch (error) {
+        console.error('Sync key provisioning failed:', error);
+    }
+}
+
+/**
+ * Check whether the signed-in account still needs a sync key in the open vault
+ * Happens when the user signs in after unlocking, so the unlock could not fetch it
+ */
+async function isSyncSetupNeeded() {
+    if (await vault.isVaultLocked() || !await isAuthenticated()) {
+        return false;
+    }
+
+    return !await vault.getSyncKey();
+}
+
+/**
+ * Provision the sync key with a master password entered after sign-in, then sync
+ * Unlike the unlock path, failures are reported so the page can ask again
+ */
+async function handleSetUpSync({ masterPassword }) {
+    if (!await isAuthenticated()) {
+        throw new Error('Sign in to set up sync');
+    }
+
+    await vault.verifyMasterPassword(masterPassword);
+    await ensureSyncKey(masterPassword);
+
+    runSync().catch(error => console.error('Sync after setup failed:', error));
+}
+
+/**
+ * Rotate the master password, then update the hint on the backend
+ * The vault change stands even if the hint update fails
+ */
+async function handleChangeMasterPassword({ currentPassword, newPassword, masterPasswordHint }) {
+    const result = await vault.changeMasterPassword(currentPassword, newPassword);
+
+    if (await isAuthenticated()) {
+        try {
+            await rewrapSyncKey(newPassword);
+        } catch (error) {
+            console.error('Sync key re-wrap failed:', error);
+        }
+    }
+
+    // null when no hint was sent or there is no account to update
+    let hintUpdated = null;
+    if (typeof masterPasswordHint === 'string' && await isAuthenticated()) {
+        try {
+            await updateMasterPasswordHint(masterPasswordHint);
+            hintUpdated = true;
+        } catch (error) {
+            console.error('Master password hint update failed:', error);
+            hintUpdated = false;
+        }
+    }
+
+    return { ...result, hintUpdated };
+}
+
+/**
+ * Replace a forgotten master password using the vault's recovery key
+ * The sync key inside the vault is re-wrapped under the new password, so
+ * the server only ever receives wrapped keys.
+ */
+async function handleRecoverVault({ recoveryKey, newPassword }) {
+    const result = await vault.recoverVault(recoveryKey, newPassword);
+
+    if (await isAuthenticated()) {
+        try {
+            await rewrapSyncKey(newPassword);
+        } catch (error) {
+            console.error('Sync key re-wrap failed:', error);
+        }
+        await provisionSyncKey(newPassword);
+    }
+
+    await importPendingCaptures();
+
+    syncBrowserBookmarks();
+    purgeTrash();
+
+    return result;
+}
+
+/**
+ * Resolve the origin of the page that sent a content-script message
+ */
+function getSenderOrigin(sender) {
+    if (!sender || !sender.tab) {
+        return null;
+    }
+    return sender.origin || getOrigin(sender.url);
+}
+
+/**
+ * Get active vault entries whose origin matches the sender page exactly
+ * Throws if the vault is locked
+ */
+async function getMatchingEntries(sender) {
+    const origin = getSenderOrigin(sender);
+    if (!origin) {
+        return { origin: null, entries: [] };
+    }
+
+    if (await vault.isVaultLocked()) {
+        throw new Error('Vault is locked');
+    }
+
+    const passwords = await vault.getPasswords();
+    const entries = passwords.filter(p => !p.deletedAt && getOrigin(p.url) === origin);
+
+    return { origin, entries };
+}
+
+/**
+ * List usernames that can be autofilled on the sender page
+ * Passwords are only released one at a time via getAutofillCredential
+ */
+async function getAutofillCandidates(sender) {
+    const settings = await getSettings();
+    if (!settings.autoFillEnabled) {
+        return { success: true, entries: [] };
+    }
+
+    try {
+        const { origin, entries } = await getMatchingEntries(sender);
+        return {
+            success: true,
+            origin,
+            entries: entries.map(p => ({ id: p.id, username: p.username }))
+        };
+    } catch (error) {
+        return { success: false, locked: true, error: error.message };
+    }
+}
+
+/**
+ * Release a single credential for filling, re-checking lock state and origin
+ */
+async function getAutofillCredential(id, sender) {
+    const settings = await getSettings();
+    if (!settings.autoFillEnabled) {
+        return { success: false, error: 'Autofill is disabled' };
+    }
+
+    let match;
+    try {
+        match = await getMatchingEntries(sender);
+    } catch (error) {
+        return { success: false, locked: true, error: error.message };
+    }
+
+    const entry = match.entries.find(p => p.id === id);
+    if (!entry) {
+        return { success: false, error: 'No saved login for this site' };
+    }
+
+    await rememberFill(sender.tab.id, entry.id, match.origin);
+
+    return {
+        success: true,
+        origin: match.origin,
+        credential: {
+            username: entry.username,
+            password: entry.password,
+            totp: await getTotpCode(entry)
+        }
+    };
+}
+
+/**
+ * Release the one-time code of the login just filled in the sender tab
+ * Codes are only handed out on the same origin within a few minutes of the fill
+ */
+async function getAutofillTotp(sender) {
+    const settings = await getSettings();
+    if (!settings.autoFillEnabled) {
+        return { success: false, error: 'Autofill is disabled' };
+    }
+
+    const { [RECENT_FILLS_KEY]: fills = {} } = await Browser.storage.session.get(RECENT_FILLS_KEY);
+    const fill = sender.tab && fills[sender.tab.id];
+
+    if (!fill || Date.now() - fill.at > RECENT_FILL_MS) {
+        return { success: false, error: 'No recent login on this tab' };
+    }
+
+    let match;
+    try {
+        match = await getMatchingEntries(sender);
+    } catch (error) {
+        return { success: false, locked: true, error: error.message };
+    }
+
+    const entry = match.origin === fill.origin && match.entries.find(p => p.id === fill.id);
+    const totp = entry && await getTotpCode(entry);
+
+    if (!totp) {
+        return { success: false, error: 'No one-time code for this login' };
+    }
+
+    return { success: true, origin: match.origin, totp };
+}
+
+/**
+ * Record which login was filled in a tab, dropping expired records
+ */
+async function rememberFill(tabId, id, origin) {
+    const { [RECENT_FILLS_KEY]: fills = {} } = await Browser.storage.session.get(RECENT_FILLS_KEY);
+    const now = Date.now();
+
+    for (const [key, fill] of Object.entries(fills)) {
+        if (now - fill.at > RECENT_FILL_MS) {
+            delete fills[key];
+        }
+    }
+
+    fills[tabId] = { id, origin, at: now };
+    await Browser.storage.session.set({ [RECENT_FILLS_KEY]: fills });
+}
+
+/**
+ * Current one-time code of an entry, or null if it has no usable authenticator key
+ */
+async function getTotpCode(entry) {
+    if (!entry.otpauth) {
+        return null;
+    }
+
+    try {
+        return (await generateTOTPFromUri(entry.otpauth)).code;
+    } catch (error) {
+        console.warn('Invalid authenticator key:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Save a login captured by the content script
+ * Queues it sealed when the vault is locked; never adds a duplicate entry
+ */
+async function handleSavePassword(data, replaceExisting, sender) {
+    const origin = getSenderOrigin(sender);
+
+    if (!data || !data.username || !data.password || !origin) {
+        return { success: false, error: 'Invalid credentials' };
+    }
+
+    // Store the origin the browser reports, not the one the page claims
+    const credentials = {
+        url: origin,
+        username: data.username,
+        password: data.password
+    };
+
+    if (await vault.isVaultLocked()) {
+        await vault.queueLockedCapture(credentials);
+        return { success: true, status: 'queued' };
+    }
+
+    const { status, entry } = await vault.saveCapturedPassword(credentials, replaceExisting === true);
+    if (status === 'added' || status === 'updated') {
+        await queueChange('password', status === 'added' ? 'add' : 'update', entry);
+    }
+    return { success: true, status };
+}
+
 /**
  * Handle extension installation
  */
@@ -122,5 +826,10 @@ Browser.runtime.onInstalled.addListener((details) => {
     }
 });
 
+// Mirror the browser's bookmark tree; local changes go through the sync outbox
+initializeBookmarkCapture({
+    onChange: (action, entry) => queueChange('bookmark', action, entry)
+});
+
 // Initialize on load
 initialize();
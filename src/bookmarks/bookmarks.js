@@ -0,0 +1,446 @@
+/**
+ * Bookmark manager page
+ * Lists vault bookmarks with search, folder and tag filters, tag editing,
+ * duplicate detection and bulk move and delete. Every edit goes through the
+ * vault so it is synced and written back to the browser's bookmarks.
+ */
+
+import { getVaultStatus, getBookmarks, updateBookmark, deleteBookmark } from '../crypto/vault-client.js';
+
+// Display names of the browser's top-level folders
+const ROOT_FOLDER_NAMES = {
+    toolbar: 'Bookmarks bar',
+    other: 'Other bookmarks',
+    mobile: 'Mobile bookmarks',
+    menu: 'Bookmarks menu'
+};
+
+// Bookmarks without a folder yet are shown where the browser will put them
+const DEFAULT_ROOT = 'other';
+
+let bookmarkList, emptyMessage, searchInput, folderFilter, tagFilter, duplicatesOnly;
+let selectAll, selectionCount, moveTarget, moveBtn, deleteBtn;
+
+let entries = [];
+let folderPaths = new Map();
+let duplicateCounts = new Map();
+const selected = new Set();
+
+/**
+ * Initialize page
+ */
+async function initialize() {
+    bookmarkList = document.getElementById('bookmark-list');
+    emptyMessage = document.getElementById('empty-message');
+    searchInput = document.getElementById('search-input');
+    folderFilter = document.getElementById('folder-filter');
+    tagFilter = document.getElementById('tag-filter');
+    duplicatesOnly = document.getElementById('duplicates-only');
+    selectAll = document.getElementById('select-all');
+    selectionCount = document.getElementById('selection-count');
+    moveTarget = document.getElementById('move-target');
+    moveBtn = document.getElementById('move-btn');
+    deleteBtn = document.getElementById('delete-btn');
+
+    const { locked } = await getVaultStatus();
+    if (locked) {
+        document.getElementById('locked-message').classList.remove('hidden');
+        return;
+    }
+
+    document.getElementById('manager').classList.remove('hidden');
+
+    searchInput.addEventListener('input', render);
+    folderFilter.addEventListener('change', render);
+    tagFilter.addEventListener('change', render);
+    duplicatesOnly.addEventListener('change', render);
+    selectAll.addEventListener('change', handleSelectAll);
+    moveTarget.addEventListener('change', () => updateSelectionControls(getVisibleBookmarks()));
+    moveBtn.addEventListener('click', handleMove);
+    deleteBtn.addEventListener('click', handleDelete);
+
+    await loadBookmarks();
+}
+
+/**
+ * Load bookmarks and folders from the vault and render them
+ */
+async function loadBookmarks() {
+    try {
+        entries = (await getBookmarks()).filter(entry => !entry.deletedAt);
+        folderPaths = buildFolderPaths(entries);
+        duplicateCounts = countDuplicates(getBookmarkEntries());
+
+        // Selected bookmarks that were deleted meanwhile drop out of the selection
+        const ids = new Set(entries.map(entry => entry.id));
+        [...selected].filter(id => !ids.has(id)).forEach(id => selected.delete(id));
+
+        fillFolderOptions();
+        fillTagOptions();
+        render();
+    } catch (error) {
+        console.error('Load bookmarks error:', error);
+        showStatus(error.message, 'error');
+    }
+}
+
+/**
+ * Render the bookmarks that match the current filters
+ */
+function render() {
+    const visible = getVisibleBookmarks();
+
+    bookmarkList.innerHTML = '';
+    emptyMessage.classList.toggle('hidden', visible.length > 0);
+
+    for (const entry of visible) {
+        bookmarkList.appendChild(createBookmarkItem(entry));
+    }
+
+    updateSelectionControls(visible);
+}
+
+/**
+ * Apply search, folder, tag and duplicate filters
+ */
+function getVisibleBookmarks() {
+    const query = searchInput.value.trim().toLowerCase();
+    const folder = folderFilter.value;
+    const tag = tagFilter.value;
+
+    const visible = getBookmarkEntries().filter(entry => {
+        if (query && !`${entry.title || ''}\n${entry.url || ''}`.toLowerCase().includes(query)) {
+            return false;
+        }
+        if (folder && !isInFolder(entry, folder)) {
+            return false;
+        }
+        if (tag && !(entry.tags || []).includes(tag)) {
+            return false;
+        }
+        return !duplicatesOnly.checked || duplicateCounts.get(normalizeUrl(entry.url)) > 1;
+    });
+
+    // Duplicates are easier to compare next to each other
+    const key = duplicatesOnly.checked ? (entry) => normalizeUrl(entry.url) : (entry) => getFolderPath(entry.parentId);
+    return visible.sort((a, b) => key(a).localeCompare(key(b)) || (a.title || '').localeCompare(b.title || ''));
+}
+
+/**
+ * Build the list item for one bookmark
+ */
+function createBookmarkItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'bookmark-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected.has(entry.id);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            selected.add(entry.id);
+        } else {
+            selected.delete(entry.id);
+        }
+        updateSelectionControls(getVisibleBookmarks());
+    });
+    item.appendChild(checkbox);
+
+    const details = document.createElement('div');
+    details.className = 'bookmark-details';
+
+    const title = document.createElement('a');
+    title.className = 'bookmark-title';
+    title.href = entry.url;
+    title.target = '_blank';
+    title.rel = 'noopener noreferrer';
+    title.textContent = entry.title || entry.url;
+    details.appendChild(title);
+
+    const copies = duplicateCounts.get(normalizeUrl(entry.url));
+    if (copies > 1) {
+        const badge = document.createElement('span');
+        badge.className = 'duplicate-badge';
+        badge.textContent = `${copies} copies`;
+        badge.title = 'Other bookmarks point to the same page';
+        details.appendChild(badge);
+    }
+
+    const url = document.createElement('div');
+    url.className = 'bookmark-url';
+    url.textContent = entry.url;
+    details.appendChild(url);
+
+    const folder = document.createElement('div');
+    folder.className = 'bookmark-folder';
+    folder.textContent = `📁 ${getFolderPath(entry.parentId)}`;
+    details.appendChild(folder);
+
+    item.appendChild(details);
+    item.appendChild(createTagsInput(entry));
+
+    return item;
+}
+
+/**
+ * Comma-separated tag editor, saved when the field loses focus or on Enter
+ */
+function createTagsInput(entry) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tags-input';
+    input.placeholder = 'Tags, comma separated';
+    input.value = (entry.tags || []).join(', ');
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            input.blur();
+        }
+    });
+
+    input.addEventListener('change', async () => {
+        const tags = parseTags(input.value);
+
+        try {
+            await updateBookmark(entry.id, { tags });
+            showStatus('Tags saved', 'success');
+            await loadBookmarks();
+        } catch (error) {
+            console.error('Save tags error:', error);
+            showStatus(error.message, 'error');
+        }
+    });
+
+    return input;
+}
+
+/**
+ * Select or clear every visible bookmark
+ */
+function handleSelectAll() {
+    for (const entry of getVisibleBookmarks()) {
+        if (selectAll.checked) {
+            selected.add(entry.id);
+        } else {
+            selected.delete(entry.id);
+        }
+    }
+
+    render();
+}
+
+/**
+ * Move the selected bookmarks to the end of the chosen folder
+ */
+async function handleMove() {
+    const parentId = moveTarget.value;
+    const ids = [...selected];
+    let index = getNextIndex(parentId);
+
+    try {
+        for (const id of ids) {
+            await updateBookmark(id, { parentId, index: index++ });
+        }
+
+        selected.clear();
+        showStatus(`Moved ${ids.length} bookmark${ids.length === 1 ? '' : 's'} to ${getFolderPath(parentId)}`, 'success');
+    } catch (error) {
+        console.error('Move bookmarks error:', error);
+        showStatus(error.message, 'error');
+    }
+
+    await loadBookmarks();
+}
+
+/**
+ * Delete the selected bookmarks after confirmation
+ */
+async function handleDelete() {
+    const ids = [...selected];
+
+    if (!confirm(`Delete ${ids.length} bookmark${ids.length === 1 ? '' : 's'}? They are removed from every synced device.`)) {
+        return;
+    }
+
+    try {
+        for (const id of ids) {
+            await deleteBookmark(id);
+        }
+
+        selected.clear();
+        showStatus(`Deleted ${ids.length} bookmark${ids.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('Delete bookmarks error:', error);
+        showStatus(error.message, 'error');
+    }
+
+    await loadBookmarks();
+}
+
+/**
+ * Refresh the selection count, select-all state and bulk buttons
+ */
+function updateSelectionControls(visible) {
+    selectionCount.textContent = `${selected.size} selected`;
+    selectAll.checked = visible.length > 0 && visible.every(entry => selected.has(entry.id));
+    moveBtn.disabled = selected.size === 0 || !moveTarget.value;
+    deleteBtn.disabled = selected.size === 0;
+}
+
+/**
+ * Fill the folder filter and move target with every folder, by path
+ */
+function fillFolderOptions() {
+    const folders = [...folderPaths].sort((a, b) => a[1].localeCompare(b[1]));
+
+    for (const select of [folderFilter, moveTarget]) {
+        const current = select.value;
+        select.querySelectorAll('option[data-folder]').forEach(option => option.remove());
+
+        for (const [id, path] of folders) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = path;
+            option.dataset.folder = 'true';
+            select.appendChild(option);
+        }
+
+        select.value = folderPaths.has(current) ? current : select.options[0].value;
+    }
+}
+
+/**
+ * Fill the tag filter with every tag in use
+ */
+function fillTagOptions() {
+    const current = tagFilter.value;
+    const tags = [...new Set(getBookmarkEntries().flatMap(entry => entry.tags || []))].sort();
+
+    tagFilter.querySelectorAll('option[data-tag]').forEach(option => option.remove());
+
+    for (const tag of tags) {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = tag;
+        option.dataset.tag = 'true';
+        tagFilter.appendChild(option);
+    }
+
+    tagFilter.value = tags.includes(current) ? current : '';
+}
+
+/**
+ * Map every folder, including the top-level ones, to its display path
+ */
+function buildFolderPaths(all) {
+    const folders = new Map(all.filter(entry => entry.kind === 'folder').map(entry => [entry.id, entry]));
+    const paths = new Map(Object.entries(ROOT_FOLDER_NAMES));
+
+    const resolve = (id, seen = new Set()) => {
+        if (paths.has(id)) {
+            return paths.get(id);
+        }
+
+        const folder = folders.get(id);
+        if (!folder || seen.has(id)) {
+            return ROOT_FOLDER_NAMES[DEFAULT_ROOT];
+        }
+
+        seen.add(id);
+        const path = `${resolve(folder.parentId, seen)} / ${folder.title || 'Untitled'}`;
+        paths.set(id, path);
+        return path;
+    };
+
+    folders.forEach((folder, id) => resolve(id));
+    return paths;
+}
+
+/**
+ * Get the display path of a folder
+ */
+function getFolderPath(parentId) {
+    return folderPaths.get(parentId) || ROOT_FOLDER_NAMES[DEFAULT_ROOT];
+}
+
+/**
+ * Check whether a bookmark is in a folder or one of its subfolders
+ */
+function isInFolder(entry, folderId) {
+    const folders = new Map(entries.filter(e => e.kind === 'folder').map(e => [e.id, e]));
+    let parentId = folderPaths.has(entry.parentId) ? entry.parentId : DEFAULT_ROOT;
+
+    for (let depth = 0; parentId && depth <= folders.size; depth++) {
+        if (parentId === folderId) {
+            return true;
+        }
+        parentId = folders.has(parentId) ? folders.get(parentId).parentId : null;
+    }
+
+    return false;
+}
+
+/**
+ * Index after the last child of a folder
+ */
+function getNextIndex(parentId) {
+    const siblings = entries.filter(entry => entry.kind && entry.parentId === parentId);
+    return Math.max(0, ...siblings.map(entry => (entry.index ?? -1) + 1));
+}
+
+/**
+ * Bookmarks only; folders are shown as paths
+ */
+function getBookmarkEntries() {
+    return entries.filter(entry => entry.kind !== 'folder' && entry.url);
+}
+
+/**
+ * Count bookmarks per normalized URL
+ */
+function countDuplicates(bookmarks) {
+    const counts = new Map();
+
+    for (const entry of bookmarks) {
+        const url = normalizeUrl(entry.url);
+        counts.set(url, (counts.get(url) || 0) + 1);
+    }
+
+    return counts;
+}
+
+/**
+ * Reduce a URL to what decides whether two bookmarks open the same page
+ * Case of the host, a trailing slash and the fragment are ignored
+ */
+function normalizeUrl(value) {
+    try {
+        const url = new URL(value);
+        return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+    } catch (error) {
+        return (value || '').trim();
+    }
+}
+
+/**
+ * Split a comma-separated tag list, dropping blanks and repeats
+ */
+function parseTags(value) {
+    return [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type) {
+    const statusEl = document.getElementById('status-message');
+    statusEl.textContent = message;
+    statusEl.className = `status-message ${type}`;
+
+    setTimeout(() => {
+        statusEl.textContent = '';
+        statusEl.className = 'status-message';
+    }, 5000);
+}
+
+document.addEventListener('DOMContentLoaded', initialize);
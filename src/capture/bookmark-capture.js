@@ -1,114 +1,528 @@
 /**
  * Bookmark capture service
- * Listens to browser bookmark events and syncs changes
+ * Keeps the browser's native bookmark tree and the vault's bookmarks in step
+ *
+ * Vault bookmarks form a tree: folders and bookmarks are both entries, each
+ * with a `parentId` (a folder entry, or a top-level folder key such as
+ * 'toolbar') and an `index` among its siblings.
+ *
+ * Browser node IDs are mapped to vault entry IDs in local storage. Browser
+ * events only mark nodes as pending; a reconcile pass then copies pending
+ * nodes into the vault and writes vault changes (e.g. from a sync) back into
+ * the tree. Passes run one at a time, so the events our own writes cause are
+ * handled after the map is updated and find nothing left to change.
  */
 
 import Browser from '../utils/browser-polyfill.js';
-import { addBookmark, updateBookmark, deleteBookmark } from '../crypto/vault.js';
-import { queueForSync } from '../sync/sync-service.js';
+import { getBookmarks, applyBookmarkChanges, isVaultLocked } from '../crypto/vault.js';
+import {
+    getBookmarkIdMap,
+    saveBookmarkIdMap,
+    addPendingBookmarkNodes,
+    getPendingBookmarkNodes,
+    removePendingBookmarkNodes
+} from '../storage/local-storage.js';
+import { getSettings } from '../storage/settings.js';
+
+// Top-level folders by the node IDs Chrome and Firefox give them
+const ROOT_FOLDER_IDS = {
+    '1': 'toolbar',
+    '2': 'other',
+    '3': 'mobile',
+    'toolbar_____': 'toolbar',
+    'menu________': 'menu',
+    'unfiled_____': 'other',
+    'mobile______': 'mobile'
+};
+
+// Top-level folder names, for other browsers and for folder paths stored by older versions
+const ROOT_FOLDER_TITLES = {
+    toolbar: ['Bookmarks bar', 'Bookmarks Toolbar', 'Favorites bar'],
+    other: ['Other bookmarks', 'Other Bookmarks', 'Other favorites'],
+    mobile: ['Mobile bookmarks', 'Mobile Bookmarks'],
+    menu: ['Bookmarks Menu']
+};
+
+// Entries whose folder does not exist in this browser go here
+const DEFAULT_ROOT = 'other';
+
+// Fields that say what a node is and where; sibling order is compared per folder
+const NODE_FIELDS = ['kind', 'title', 'url', 'parentId'];
+
+let onLocalChange = () => {};
+let reconcileRun = null;
+let reconcileAgain = false;
+let pendingWrites = Promise.resolve();
 
 /**
  * Initialize bookmark capture
+ * Listeners are registered synchronously so a restarted service worker gets the event that woke it.
+ * Besides the node itself, each event marks the folders whose child order it changed.
+ * @param {Object} options - { onChange(action, entry) } called for vault changes made from browser events
  */
-export function initializeBookmarkCapture() {
-    // Listen for bookmark creation
-    Browser.bookmarks.onCreated.addListener(handleBookmarkCreated);
+export function initializeBookmarkCapture({ onChange } = {}) {
+    if (onChange) {
+        onLocalChange = onChange;
+    }
+
+    // Listen for bookmark and folder creation
+    Browser.bookmarks.onCreated.addListener((id, node) => handleBookmarkEvent([id, node.parentId]));
 
-    // Listen for bookmark changes
-    Browser.bookmarks.onChanged.addListener(handleBookmarkChanged);
+    // Listen for bookmark and folder changes
+    Browser.bookmarks.onChanged.addListener((id) => handleBookmarkEvent([id]));
 
-    // Listen for bookmark removal
-    Browser.bookmarks.onRemoved.addListener(handleBookmarkRemoved);
+    // Listen for moves, within a folder or to another one
+    Browser.bookmarks.onMoved.addListener((id, moveInfo) => {
+        handleBookmarkEvent([id, moveInfo.parentId, moveInfo.oldParentId]);
+    });
+
+    // Listen for folders being sorted
+    if (Browser.bookmarks.onChildrenReordered) {
+        Browser.bookmarks.onChildrenReordered.addListener((id) => handleBookmarkEvent([id]));
+    }
+
+    // Listen for removal; a removed folder takes its children with it
+    Browser.bookmarks.onRemoved.addListener((id, removeInfo) => {
+        const removed = removeInfo && removeInfo.node ? collectNodeIds(removeInfo.node) : [id];
+        handleBookmarkEvent(removeInfo ? [...removed, removeInfo.parentId] : removed);
+    });
 
     console.log('Bookmark capture initialized');
 }
 
 /**
- * Handle bookmark created event
+ * Bring the vault and the browser bookmark tree in step
+ * Imports the tree the first time, then applies pending browser changes to
+ * the vault and writes vault changes back to the tree
+ * @returns {Promise<void>}
  */
-async function handleBookmarkCreated(id, bookmark) {
+export function syncBrowserBookmarks() {
+    if (reconcileRun) {
+        reconcileAgain = true;
+        return reconcileRun;
+    }
+
+    reconcileRun = (async () => {
+        try {
+            do {
+                reconcileAgain = false;
+                await reconcile();
+            } while (reconcileAgain);
+        } catch (error) {
+            console.error('Bookmark sync error:', error);
+        } finally {
+            reconcileRun = null;
+        }
+    })();
+
+    return reconcileRun;
+}
+
+/**
+ * Record changed browser nodes and reconcile them
+ */
+async function handleBookmarkEvent(nodeIds) {
     try {
-        if (!bookmark.url) {
-            // Skip folders
+        if (!await isCaptureEnabled()) {
             return;
         }
 
-        const entry = {
-            title: bookmark.title,
-            url: bookmark.url,
-            folder: await getBookmarkPath(bookmark.parentId),
-            tags: []
-        };
-
-        await addBookmark(entry);
-        await queueForSync('bookmark', 'add', entry);
+        // Kept in storage so changes made while the vault is locked are picked up on unlock
+        const unique = [...new Set(nodeIds.filter(Boolean))];
+        pendingWrites = pendingWrites.then(() => addPendingBookmarkNodes(unique));
+        await pendingWrites;
 
-        console.log('Bookmark captured:', entry);
+        await syncBrowserBookmarks();
     } catch (error) {
         console.error('Bookmark capture error:', error);
     }
 }
 
 /**
- * Handle bookmark changed event
+ * One reconcile pass between the browser tree and the vault
  */
-async function handleBookmarkChanged(id, changeInfo) {
-    try {
-        const bookmark = await Browser.bookmarks.get(id);
+async function reconcile() {
+    if (!await isCaptureEnabled() || await isVaultLocked()) {
+        return;
+    }
 
-        if (!bookmark[0].url) {
-            return;
+    const storedMap = await getBookmarkIdMap();
+    const firstImport = storedMap === null;
+    const idMap = { ...storedMap };
+    const pending = await getPendingBookmarkNodes();
+
+    // The first import is uploaded by the next full sync; queueing every bookmark is not needed
+    const report = (result) => {
+        if (!firstImport) {
+            result.added.forEach(entry => onLocalChange('add', entry));
+            result.updated.forEach(entry => onLocalChange('update', entry));
+            result.deleted.forEach(entry => onLocalChange('delete', entry));
         }
+    };
 
-        const updates = {
-            title: changeInfo.title || bookmark[0].title,
-            url: changeInfo.url || bookmark[0].url
-        };
+    const legacy = migrateLegacyEntries(await getBookmarks());
+    if (legacy.add.length > 0 || legacy.update.length > 0) {
+        report(await applyBookmarkChanges(legacy));
+    }
 
-        // Note: In a real implementation, you'd need to map browser bookmark ID to vault ID
-        // For now, this is a simplified version
-        await queueForSync('bookmark', 'update', updates);
+    const tree = indexTree(await Browser.bookmarks.getTree());
+    const entries = new Map((await getBookmarks()).map(entry => [entry.id, entry]));
 
-        console.log('Bookmark updated:', updates);
-    } catch (error) {
-        console.error('Bookmark update error:', error);
+    report(await applyBookmarkChanges(collectBrowserChanges(tree, entries, idMap, pending, firstImport)));
+
+    await writeBack(tree, await getBookmarks(), idMap);
+
+    await saveBookmarkIdMap(idMap);
+    await removePendingBookmarkNodes(pending);
+}
+
+/**
+ * Move bookmarks that only have a folder path into the tree
+ * Older versions, and extension pages that do not set a folder, store a
+ * `folder` path and no `kind`. Folders on the path are reused when the
+ * vault already has them and created otherwise; the bookmark goes last.
+ * @param {Array} entries - Vault bookmarks
+ * @returns {Object} - { add, update } for applyBookmarkChanges()
+ */
+function migrateLegacyEntries(entries) {
+    const changes = { add: [], update: [] };
+    const live = entries.filter(entry => !entry.deletedAt);
+    const folders = live.filter(entry => entry.kind === 'folder');
+    const nextIndex = new Map();
+
+    const takeIndex = (parentId) => {
+        if (!nextIndex.has(parentId)) {
+            const siblings = live.filter(entry => entry.kind && entry.parentId === parentId);
+            nextIndex.set(parentId, Math.max(0, ...siblings.map(entry => (entry.index ?? -1) + 1)));
+        }
+        const index = nextIndex.get(parentId);
+        nextIndex.set(parentId, index + 1);
+        return index;
+    };
+
+    for (const entry of live) {
+        if (entry.kind) {
+            continue;
+        }
+
+        const path = (entry.folder || '').split('/').filter(Boolean);
+        const rootKey = getRootKeyByTitle(path[0]);
+        let parentId = rootKey || DEFAULT_ROOT;
+
+        for (const title of rootKey ? path.slice(1) : path) {
+            let folder = folders.find(f => f.parentId === parentId && f.title === title);
+            if (!folder) {
+                folder = { id: crypto.randomUUID(), kind: 'folder', title, parentId, index: takeIndex(parentId), tags: [] };
+                folders.push(folder);
+                changes.add.push(folder);
+            }
+            parentId = folder.id;
+        }
+
+        changes.update.push({
+            id: entry.id,
+            updates: { kind: 'bookmark', title: entry.title || '', parentId, index: takeIndex(parentId), folder: undefined }
+        });
     }
+
+    return changes;
 }
 
 /**
- * Handle bookmark removed event
+ * Work out the vault changes the browser tree asks for
+ * New nodes are added, pending nodes that differ are updated and nodes
+ * that no longer exist are deleted. Folders whose child order changed get
+ * their children renumbered. The first import adopts vault entries that
+ * already match a node instead of adding duplicates.
  */
-async function handleBookmarkRemoved(id, removeInfo) {
-    try {
-        // Note: Need to map browser bookmark ID to vault ID
-        await queueForSync('bookmark', 'delete', { id });
+function collectBrowserChanges(tree, entries, idMap, pending, firstImport) {
+    const changes = { add: [], update: [], remove: [] };
+    const updates = new Map();
+    const added = new Map();
+    const isPending = (id) => Object.prototype.hasOwnProperty.call(pending, id);
 
-        console.log('Bookmark removed:', id);
-    } catch (error) {
-        console.error('Bookmark removal error:', error);
+    for (const [nodeId, entryId] of Object.entries(idMap)) {
+        if (!tree.nodes.has(nodeId)) {
+            delete idMap[nodeId];
+            changes.remove.push(entryId);
+        }
+    }
+
+    const adoptable = firstImport ? getUnmappedEntries(entries, idMap) : [];
+
+    // Parents come before their children, so a new folder is mapped before its contents are looked at
+    for (const node of tree.nodes.values()) {
+        if (!node.parentId || tree.rootKeys.has(node.id)) {
+            continue;
+        }
+
+        const entry = entries.get(idMap[node.id]);
+        const fields = getNodeFields(node, tree, idMap);
+
+        if (entry && !entry.deletedAt) {
+            const changed = isPending(node.id) ? diffNodeFields(entry, fields) : null;
+            if (changed) {
+                updates.set(entry.id, changed);
+            }
+            continue;
+        }
+
+        // Deleted in the vault (e.g. by a sync); write-back removes the node unless it was just edited
+        if (entry && !isPending(node.id)) {
+            continue;
+        }
+
+        const match = adoptable.findIndex(candidate => !diffNodeFields(candidate, fields));
+        if (match !== -1) {
+            idMap[node.id] = adoptable.splice(match, 1)[0].id;
+            continue;
+        }
+
+        const newEntry = { id: crypto.randomUUID(), ...fields, tags: [] };
+        idMap[node.id] = newEntry.id;
+        added.set(newEntry.id, newEntry);
+        changes.add.push(newEntry);
+    }
+
+    for (const folder of tree.nodes.values()) {
+        if (!folder.parentId || !folder.children) {
+            continue;
+        }
+        if (!isPending(folder.id) && !folder.children.some(child => isPending(child.id))) {
+            continue;
+        }
+
+        // Nodes that are not in the vault (e.g. ones the browser does not let us change) do not count
+        const parentId = getVaultId(folder.id, tree, idMap);
+        const children = folder.children
+            .map(child => added.get(idMap[child.id]) || entries.get(idMap[child.id]))
+            .filter(entry => entry && !entry.deletedAt);
+
+        const sorted = [...children].sort(compareSiblings);
+        const inOrder = sorted.every((entry, index) => entry === children[index]);
+        const moved = children.some(entry => added.has(entry.id) || entry.parentId !== parentId);
+        if (inOrder && !moved) {
+            continue;
+        }
+
+        children.forEach((entry, index) => {
+            if (added.has(entry.id)) {
+                entry.index = index;
+            } else if (entry.index !== index) {
+                updates.set(entry.id, { ...updates.get(entry.id), index });
+            }
+        });
     }
+
+    changes.update = [...updates].map(([id, fieldUpdates]) => ({ id, updates: fieldUpdates }));
+    return changes;
 }
 
 /**
- * Get bookmark folder path
+ * Write vault bookmarks into the browser tree
+ * Vault entries win over nodes with no pending change; those were handled above.
+ * Each folder's children are placed in vault order, creating and moving nodes as needed.
  */
-async function getBookmarkPath(parentId) {
-    const path = [];
-    let currentId = parentId;
+async function writeBack(tree, entries, idMap) {
+    const entryToNode = new Map(Object.entries(idMap).map(([nodeId, entryId]) => [entryId, nodeId]));
+    const live = entries.filter(entry => !entry.deletedAt && entry.kind);
+    const folderIds = new Set(live.filter(entry => entry.kind === 'folder').map(entry => entry.id));
+    const defaultRoot = tree.roots.has(DEFAULT_ROOT) ? DEFAULT_ROOT : tree.roots.keys().next().value;
 
-    while (currentId) {
-        try {
-            const parent = await Browser.bookmarks.get(currentId);
+    // Entries whose folder is gone or does not exist in this browser go to the default folder
+    const children = new Map();
+    for (const entry of live) {
+        const parentId = folderIds.has(entry.parentId) || tree.roots.has(entry.parentId) ? entry.parentId : defaultRoot;
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(entry);
+    }
+    children.forEach(list => list.sort(compareSiblings));
+
+    // Current layout of the tree, kept up to date as nodes are created and moved
+    const layout = new Map();
+    const parentOf = new Map();
+    for (const node of tree.nodes.values()) {
+        parentOf.set(node.id, node.parentId);
+        if (node.children) {
+            layout.set(node.id, node.children.map(child => child.id));
+        }
+    }
 
-            if (parent[0].title) {
-                path.unshift(parent[0].title);
+    const place = async (parentEntryId, folderNodeId) => {
+        const siblings = layout.get(folderNodeId);
+
+        for (const [index, entry] of (children.get(parentEntryId) || []).entries()) {
+            let nodeId = entryToNode.get(entry.id);
+            const node = nodeId ? tree.nodes.get(nodeId) : null;
+
+            try {
+                if (!node) {
+                    const created = await Browser.bookmarks.create({
+                        parentId: folderNodeId,
+                        index,
+                        title: entry.title || '',
+                        ...(entry.kind === 'bookmark' ? { url: entry.url } : {})
+                    });
+                    nodeId = created.id;
+                    idMap[nodeId] = entry.id;
+                    siblings.splice(index, 0, nodeId);
+                    parentOf.set(nodeId, folderNodeId);
+                    if (entry.kind === 'folder') {
+                        layout.set(nodeId, []);
+                    }
+                } else if (!node.unmodifiable) {
+                    if ((node.title || '') !== (entry.title || '') || (node.url && node.url !== entry.url)) {
+                        await Browser.bookmarks.update(nodeId, {
+                            title: entry.title || '',
+                            ...(node.url ? { url: entry.url } : {})
+                        });
+                    }
+
+                    // Earlier positions already hold placed siblings, so a node only ever moves
+                    // towards the front of its folder, where Chrome and Firefox read the index alike
+                    if (parentOf.get(nodeId) !== folderNodeId || siblings[index] !== nodeId) {
+                        await Browser.bookmarks.move(nodeId, { parentId: folderNodeId, index });
+                        const previous = layout.get(parentOf.get(nodeId));
+                        previous.splice(previous.indexOf(nodeId), 1);
+                        siblings.splice(index, 0, nodeId);
+                        parentOf.set(nodeId, folderNodeId);
+                    }
+                }
+            } catch (error) {
+                console.error('Bookmark write-back error:', entry.id, error);
+                continue;
+            }
+
+            if (entry.kind === 'folder' && layout.has(nodeId)) {
+                await place(entry.id, nodeId);
             }
+        }
+    };
+
+    for (const [rootKey, rootNode] of tree.roots) {
+        await place(rootKey, rootNode.id);
+    }
 
-            currentId = parent[0].parentId;
+    // Removed last, once anything still live has been moved out of deleted folders
+    for (const entry of entries) {
+        const nodeId = entry.deletedAt ? entryToNode.get(entry.id) : null;
+        if (!nodeId) {
+            continue;
+        }
+
+        // Unmap first so the removal event is not taken for a local delete
+        delete idMap[nodeId];
+
+        try {
+            const node = tree.nodes.get(nodeId);
+            if (node && node.children) {
+                await Browser.bookmarks.removeTree(nodeId);
+            } else if (node) {
+                await Browser.bookmarks.remove(nodeId);
+            }
         } catch (error) {
-            break;
+            // Already gone with a removed folder
+        }
+    }
+}
+
+/**
+ * Index the browser tree by node ID and find the top-level folders
+ * @returns {Object} - { nodes: Map(id -> node), rootKeys: Map(node ID -> key), roots: Map(key -> node) }
+ */
+function indexTree(tree) {
+    const nodes = new Map();
+    const rootKeys = new Map();
+    const roots = new Map();
+    const root = tree[0];
+
+    const visit = (node) => {
+        nodes.set(node.id, node);
+        (node.children || []).forEach(visit);
+    };
+    visit(root);
+
+    for (const topLevel of root.children || []) {
+        const key = ROOT_FOLDER_IDS[topLevel.id] || getRootKeyByTitle(topLevel.title) || `root:${topLevel.title}`;
+        rootKeys.set(topLevel.id, key);
+        if (!roots.has(key)) {
+            roots.set(key, topLevel);
+        }
+    }
+
+    return { nodes, rootKeys, roots };
+}
+
+/**
+ * Get the vault parent ID for a browser folder: a top-level folder key or a mapped entry ID
+ */
+function getVaultId(nodeId, tree, idMap) {
+    return tree.rootKeys.get(nodeId) || idMap[nodeId] || null;
+}
+
+/**
+ * Describe a browser node as vault entry fields
+ */
+function getNodeFields(node, tree, idMap) {
+    return {
+        kind: node.url ? 'bookmark' : 'folder',
+        title: node.title || '',
+        ...(node.url ? { url: node.url } : {}),
+        parentId: getVaultId(node.parentId, tree, idMap),
+        index: node.index
+    };
+}
+
+/**
+ * Get the fields of a node that differ from its vault entry
+ * @returns {Object|null} - Changed fields, or null if the entry matches
+ */
+function diffNodeFields(entry, fields) {
+    const changed = {};
+
+    for (const field of NODE_FIELDS) {
+        if ((entry[field] ?? '') !== (fields[field] ?? '')) {
+            changed[field] = fields[field];
         }
     }
 
-    return '/' + path.join('/');
+    return Object.keys(changed).length > 0 ? changed : null;
+}
+
+/**
+ * Sibling order: by index, with ties broken by ID so every device agrees
+ */
+function compareSiblings(a, b) {
+    return (a.index ?? Infinity) - (b.index ?? Infinity) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Find the top-level folder key for a folder name
+ */
+function getRootKeyByTitle(title) {
+    return Object.keys(ROOT_FOLDER_TITLES).find(key => ROOT_FOLDER_TITLES[key].includes(title)) || null;
+}
+
+/**
+ * All node IDs in a removed subtree
+ */
+function collectNodeIds(node) {
+    return [node.id, ...(node.children || []).flatMap(collectNodeIds)];
+}
+
+/**
+ * Live vault bookmarks and folders no browser node maps to yet
+ */
+function getUnmappedEntries(entries, idMap) {
+    const mapped = new Set(Object.values(idMap));
+    return [...entries.values()].filter(entry => !entry.deletedAt && entry.kind && !mapped.has(entry.id));
+}
+
+/**
+ * Browser bookmarks are only mirrored into the vault while bookmark sync is on
+ */
+async function isCaptureEnabled() {
+    return (await getSettings()).syncBookmarks;
 }
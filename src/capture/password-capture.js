@@ -1,11 +1,18 @@
 /**
  * Password capture content script
- * Detects login forms and captures credentials
+ * Detects login forms, captures credentials and autofills saved logins
+ * and their one-time codes
  */
 
 import Browser from '../utils/browser-polyfill.js';
 
 let detectedForms = new Set();
+let detectedCodeFields = new WeakSet();
+let autofillCandidates = null;
+let openPicker = null;
+
+// Names, ids and labels of inputs that take a one-time code
+const ONE_TIME_CODE_PATTERN = /one.?time|otp|2fa|mfa|two.?factor|verification.?code|security.?code|auth(entication)?.?code/i;
 
 /**
  * Initialize password capture
@@ -44,8 +51,243 @@ function detectLoginForms() {
         if (passwordField && emailField) {
             detectedForms.add(form);
             attachFormListener(form, emailField, passwordField);
+            attachAutofill(emailField, passwordField);
+        }
+    });
+
+    detectOneTimeCodeFields();
+}
+
+/**
+ * Find one-time code inputs, by autocomplete hint first and then by name
+ */
+function findOneTimeCodeFields(root = document) {
+    const inputs = root.querySelectorAll('input[type="text"], input[type="tel"], input[type="number"], input:not([type])');
+
+    return [...inputs].filter(input => {
+        if (input.autocomplete === 'one-time-code') {
+            return true;
         }
+
+        const label = [input.name, input.id, input.placeholder, input.getAttribute('aria-label')].join(' ');
+        return ONE_TIME_CODE_PATTERN.test(label);
+    });
+}
+
+/**
+ * Fill one-time code fields that appear after a login was filled on this tab
+ * Fields in a login form are filled together with the password instead
+ */
+function detectOneTimeCodeFields() {
+    const fields = findOneTimeCodeFields().filter(field =>
+        !detectedCodeFields.has(field) && !(field.form && detectedForms.has(field.form))
+    );
+
+    if (fields.length === 0) {
+        return;
+    }
+
+    fields.forEach(field => detectedCodeFields.add(field));
+
+    Browser.runtime.sendMessage({ type: 'GET_AUTOFILL_TOTP' })
+        .then((response) => {
+            if (!response || !response.success || response.origin !== window.location.origin) {
+                return;
+            }
+
+            // Only fill the first empty field; the user may be typing into another one
+            const field = fields.find(input => input.isConnected && !input.value);
+            if (field) {
+                setFieldValue(field, response.totp);
+            }
+        })
+        .catch(() => {});
+}
+
+/**
+ * Ask the background for saved logins matching this page
+ * The answer is kept for the page once the vault gives one; while it is
+ * locked nothing is kept, so the next call asks again.
+ */
+function getAutofillCandidates() {
+    if (!autofillCandidates) {
+        autofillCandidates = Browser.runtime.sendMessage({ type: 'GET_AUTOFILL_CANDIDATES' })
+            .then((response) => {
+                if (response && response.success) {
+                    return response.entries;
+                }
+                autofillCandidates = null;
+                return [];
+            })
+            .catch(() => {
+                autofillCandidates = null;
+                return [];
+            });
+    }
+    return autofillCandidates;
+}
+
+/**
+ * Show the key icon in the username field when saved logins exist
+ */
+async function attachAutofill(emailField, passwordField) {
+    const entries = await getAutofillCandidates();
+
+    if (!emailField.isConnected) {
+        return;
+    }
+
+    // The vault may have been locked; look again when the user comes back to the field
+    if (entries.length === 0) {
+        emailField.addEventListener('focus', () => attachAutofill(emailField, passwordField), { once: true });
+        return;
+    }
+
+    const icon = document.createElement('div');
+    icon.className = 'securesync-autofill-icon';
+    icon.textContent = '🔑';
+    icon.title = 'Fill with SecureSync';
+    icon.style.cssText = `
+    position: absolute;
+    width: 20px;
+    height: 20px;
+    line-height: 20px;
+    text-align: center;
+    font-size: 14px;
+    cursor: pointer;
+    z-index: 999998;
+    user-select: none;
+  `;
+
+    const positionIcon = () => {
+        const rect = emailField.getBoundingClientRect();
+        icon.style.display = rect.width === 0 ? 'none' : 'block';
+        icon.style.top = `${window.scrollY + rect.top + (rect.height - 20) / 2}px`;
+        icon.style.left = `${window.scrollX + rect.right - 26}px`;
+    };
+
+    positionIcon();
+    window.addEventListener('resize', positionIcon);
+    emailField.addEventListener('focus', positionIcon);
+
+    icon.addEventListener('mousedown', (event) => {
+        // Keep focus in the field
+        event.preventDefault();
+    });
+
+    icon.addEventListener('click', (event) => {
+        event.stopPropagation();
+        showAutofillPicker(emailField, passwordField, entries);
+    });
+
+    document.body.appendChild(icon);
+}
+
+/**
+ * Show the list of saved usernames under the username field
+ */
+function showAutofillPicker(emailField, passwordField, entries) {
+    closeAutofillPicker();
+
+    const rect = emailField.getBoundingClientRect();
+    const picker = document.createElement('div');
+    picker.id = 'securesync-autofill-picker';
+    picker.style.cssText = `
+    position: absolute;
+    top: ${window.scrollY + rect.bottom + 4}px;
+    left: ${window.scrollX + rect.left}px;
+    min-width: ${Math.max(rect.width, 200)}px;
+    background: white;
+    color: #1f2937;
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+    z-index: 999999;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+    overflow: hidden;
+  `;
+
+    const header = document.createElement('div');
+    header.textContent = '🔐 SecureSync';
+    header.style.cssText = 'padding: 8px 12px; font-weight: 600; color: white; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);';
+    picker.appendChild(header);
+
+    entries.forEach((entry) => {
+        const option = document.createElement('div');
+        // textContent keeps page-controlled strings out of the markup
+        option.textContent = entry.username;
+        option.style.cssText = 'padding: 10px 12px; cursor: pointer; border-top: 1px solid #e5e7eb;';
+        option.addEventListener('mouseenter', () => { option.style.background = '#f3f4f6'; });
+        option.addEventListener('mouseleave', () => { option.style.background = ''; });
+        option.addEventListener('mousedown', (event) => event.preventDefault());
+        option.addEventListener('click', async () => {
+            closeAutofillPicker();
+            await fillCredential(entry.id, emailField, passwordField);
+        });
+        picker.appendChild(option);
     });
+
+    document.body.appendChild(picker);
+    openPicker = picker;
+
+    setTimeout(() => {
+        document.addEventListener('click', closeAutofillPicker, { once: true });
+    }, 0);
+}
+
+/**
+ * Remove the autofill picker if it is open
+ */
+function closeAutofillPicker() {
+    if (openPicker) {
+        openPicker.remove();
+        openPicker = null;
+    }
+}
+
+/**
+ * Request a single credential from the background and fill the form
+ */
+async function fillCredential(id, emailField, passwordField) {
+    try {
+        const response = await Browser.runtime.sendMessage({
+            type: 'GET_AUTOFILL_CREDENTIAL',
+            id
+        });
+
+        if (!response || !response.success) {
+            console.warn('Autofill refused:', response && response.error);
+            return;
+        }
+
+        // The background already matched the origin; refuse if the page navigated meanwhile
+        if (response.origin !== window.location.origin) {
+            return;
+        }
+
+        setFieldValue(emailField, response.credential.username);
+        setFieldValue(passwordField, response.credential.password);
+
+        // Forms that ask for the code together with the password
+        if (response.credential.totp && passwordField.form) {
+            const [codeField] = findOneTimeCodeFields(passwordField.form);
+            if (codeField) {
+                setFieldValue(codeField, response.credential.totp);
+            }
+        }
+    } catch (error) {
+        console.error('Autofill error:', error);
+    }
+}
+
+/**
+ * Set an input value so that framework-controlled inputs notice the change
+ */
+function setFieldValue(field, value) {
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    setter.call(field, value);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
 }
 
 /**
@@ -134,24 +376,8 @@ async function promptSavePassword(credentials) {
     document.body.appendChild(overlay);
 
     // Handle button clicks
-    overlay.querySelector('.save-btn').addEventListener('click', async () => {
-        try {
-            // Send to background script to save
-            await Browser.runtime.sendMessage({
-                type: 'SAVE_PASSWORD',
-                data: credentials
-            });
-
-            overlay.style.background = 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)';
-            overlay.innerHTML = '<div style="font-weight: 600;">✓ Password saved securely!</div>';
-
-            setTimeout(() => {
-                overlay.remove();
-            }, 2000);
-        } catch (error) {
-            console.error('Save password error:', error);
-            overlay.remove();
-        }
+    overlay.querySelector('.save-btn').addEventListener('click', () => {
+        sendSaveRequest(overlay, credentials, false);
     });
 
     overlay.querySelector('.cancel-btn').addEventListener('click', () => {
@@ -166,6 +392,86 @@ async function promptSavePassword(credentials) {
     }, 15000);
 }
 
+/**
+ * Send captured credentials to the background and report the outcome
+ */
+async function sendSaveRequest(overlay, credentials, replaceExisting) {
+    try {
+        const response = await Browser.runtime.sendMessage({
+            type: 'SAVE_PASSWORD',
+            data: credentials,
+            replaceExisting
+        });
+
+        if (!response || !response.success) {
+            showPromptResult(overlay, `⚠️ ${(response && response.error) || 'Password was not saved'}`, false);
+            return;
+        }
+
+        switch (response.status) {
+            case 'exists':
+                showUpdatePrompt(overlay, credentials);
+                break;
+            case 'updated':
+                showPromptResult(overlay, '✓ Password updated!', true);
+                break;
+            case 'unchanged':
+                showPromptResult(overlay, '✓ This password is already saved', true);
+                break;
+            case 'queued':
+                showPromptResult(overlay, '🔒 Password will be saved when you unlock SecureSync', true);
+                break;
+            default:
+                showPromptResult(overlay, '✓ Password saved securely!', true);
+        }
+    } catch (error) {
+        console.error('Save password error:', error);
+        overlay.remove();
+    }
+}
+
+/**
+ * Offer to update the stored password of an existing login
+ */
+function showUpdatePrompt(overlay, credentials) {
+    const style = overlay.querySelector('style');
+    overlay.innerHTML = `
+    <div style="margin-bottom: 8px; font-weight: 600;">
+      🔐 Update saved password?
+    </div>
+    <div class="securesync-username" style="font-size: 12px; opacity: 0.9; margin-bottom: 12px;"></div>
+    <div>
+      <button class="save-btn">Update password</button>
+      <button class="cancel-btn">Keep existing</button>
+    </div>
+  `;
+    overlay.prepend(style);
+    overlay.querySelector('.securesync-username').textContent = `A different password is saved for ${credentials.username}`;
+
+    overlay.querySelector('.save-btn').addEventListener('click', () => {
+        sendSaveRequest(overlay, credentials, true);
+    });
+
+    overlay.querySelector('.cancel-btn').addEventListener('click', () => {
+        overlay.remove();
+    });
+}
+
+/**
+ * Replace the prompt contents with a short result message
+ */
+function showPromptResult(overlay, message, success) {
+    overlay.style.background = success
+        ? 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)'
+        : 'linear-gradient(135deg, #cb2d3e 0%, #ef473a 100%)';
+    overlay.innerHTML = '<div style="font-weight: 600;"></div>';
+    overlay.firstChild.textContent = message;
+
+    setTimeout(() => {
+        overlay.remove();
+    }, 2500);
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initialize);
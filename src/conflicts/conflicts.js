@@ -0,0 +1,266 @@
+/**
+ * Sync conflict review page
+ * Shows the local and remote version of each conflicting entry field by field
+ */
+
+import { getVaultStatus, getConflicts, resolveConflict } from '../crypto/vault-client.js';
+
+// Sync bookkeeping that is never offered as a choice
+const HIDDEN_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'deletedAt', 'syncBase']);
+
+// Values that are masked until the user reveals them
+const SECRET_FIELDS = new Set(['password', 'otpauth']);
+
+let conflictList, emptyMessage, lockedMessage;
+
+/**
+ * Initialize page
+ */
+async function initialize() {
+    conflictList = document.getElementById('conflict-list');
+    emptyMessage = document.getElementById('empty-message');
+    lockedMessage = document.getElementById('locked-message');
+
+    const { locked } = await getVaultStatus();
+    if (locked) {
+        lockedMessage.classList.remove('hidden');
+        return;
+    }
+
+    await loadConflicts();
+}
+
+/**
+ * Load and render all pending conflicts
+ */
+async function loadConflicts() {
+    try {
+        const conflicts = await getConflicts();
+
+        conflictList.innerHTML = '';
+        emptyMessage.classList.toggle('hidden', conflicts.length > 0);
+
+        for (const conflict of conflicts) {
+            conflictList.appendChild(createConflictCard(conflict));
+        }
+    } catch (error) {
+        console.error('Load conflicts error:', error);
+        showStatus(error.message, 'error');
+    }
+}
+
+/**
+ * Build the comparison card for one conflict
+ */
+function createConflictCard(conflict) {
+    const { local, remote } = conflict;
+    const card = document.createElement('section');
+    card.className = 'conflict-card';
+
+    const title = document.createElement('h2');
+    title.textContent = `${conflict.type === 'bookmark' ? '🔖' : '🔑'} ${local.title || local.url || remote.url || conflict.id}`;
+    card.appendChild(title);
+
+    const meta = document.createElement('p');
+    meta.className = 'conflict-meta';
+    meta.textContent = `Mine: ${formatTime(local.updatedAt)} · Theirs: ${formatTime(remote.updatedAt)}`;
+    card.appendChild(meta);
+
+    const table = document.createElement('table');
+    table.className = 'conflict-table';
+    table.innerHTML = '<thead><tr><th>Field</th><th>Mine (this device)</th><th>Theirs (other device)</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    for (const field of getFields(local, remote)) {
+        body.appendChild(createFieldRow(conflict, field));
+    }
+    table.appendChild(body);
+    card.appendChild(table);
+
+    const actions = document.createElement('div');
+    actions.className = 'conflict-actions';
+    actions.appendChild(createActionButton('Keep mine', 'btn-secondary', () => resolve(conflict, { ...local })));
+    actions.appendChild(createActionButton('Keep theirs', 'btn-secondary', () => resolve(conflict, { ...remote })));
+    actions.appendChild(createActionButton('Merge fields', 'btn-primary', () => resolve(conflict, mergeSelectedFields(card, conflict))));
+    card.appendChild(actions);
+
+    return card;
+}
+
+/**
+ * Build one field row with a mine/theirs choice when the values differ
+ */
+function createFieldRow(conflict, field) {
+    const row = document.createElement('tr');
+    const differs = !isSameValue(conflict.local[field], conflict.remote[field]);
+    row.classList.toggle('differs', differs);
+
+    const name = document.createElement('th');
+    name.textContent = field;
+    row.appendChild(name);
+
+    for (const side of ['local', 'remote']) {
+        const cell = document.createElement('td');
+        const value = createValue(field, conflict[side][field]);
+
+        if (differs) {
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `${conflict.type}-${conflict.id}-${field}`;
+            radio.value = side;
+            radio.dataset.field = field;
+            radio.checked = side === getDefaultSide(conflict, field);
+            label.appendChild(radio);
+            label.appendChild(value);
+            cell.appendChild(label);
+        } else {
+            cell.appendChild(value);
+        }
+
+        row.appendChild(cell);
+    }
+
+    return row;
+}
+
+/**
+ * Preselect the side that changed a field; true conflicts default to mine
+ */
+function getDefaultSide(conflict, field) {
+    const { local, base, fields } = conflict;
+
+    if (!base || (fields || []).includes(field)) {
+        return 'local';
+    }
+
+    return isSameValue(local[field], base[field]) ? 'remote' : 'local';
+}
+
+/**
+ * Render a field value, masking secrets until clicked
+ */
+function createValue(field, value) {
+    const span = document.createElement('span');
+    const text = formatValue(value);
+
+    if (text === null) {
+        span.className = 'field-empty';
+        span.textContent = '(empty)';
+        return span;
+    }
+
+    span.className = 'field-value';
+
+    if (SECRET_FIELDS.has(field)) {
+        span.textContent = '••••••••';
+        span.title = 'Click to reveal';
+        span.addEventListener('click', (e) => {
+            e.preventDefault();
+            span.textContent = span.textContent === text ? '••••••••' : text;
+        });
+    } else {
+        span.textContent = text;
+    }
+
+    return span;
+}
+
+/**
+ * Build an entry from the per-field choices in a card
+ */
+function mergeSelectedFields(card, conflict) {
+    const merged = { ...conflict.local };
+
+    card.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+        const field = radio.dataset.field;
+        const source = conflict[radio.value];
+
+        if (field in source) {
+            merged[field] = source[field];
+        } else {
+            delete merged[field];
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Store the chosen version and refresh the list
+ */
+async function resolve(conflict, entry) {
+    try {
+        await resolveConflict(conflict.type, conflict.id, entry);
+        showStatus('Conflict resolved. The result will sync on the next sync.', 'success');
+        await loadConflicts();
+    } catch (error) {
+        console.error('Resolve conflict error:', error);
+        showStatus(error.message, 'error');
+    }
+}
+
+/**
+ * Fields present in either version, in a stable order
+ */
+function getFields(local, remote) {
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    return [...fields].filter(field => !HIDDEN_FIELDS.has(field));
+}
+
+/**
+ * Compare two field values
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Format a field value for display, or null if empty
+ */
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : null;
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value, null, 2);
+    }
+    return String(value);
+}
+
+/**
+ * Format an ISO time for display
+ */
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : 'unknown';
+}
+
+/**
+ * Create an action button
+ */
+function createActionButton(text, className, onClick) {
+    const button = document.createElement('button');
+    button.className = `btn ${className}`;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type) {
+    const statusEl = document.getElementById('status-message');
+    statusEl.textContent = message;
+    statusEl.className = `status-message ${type}`;
+
+    setTimeout(() => {
+        statusEl.textContent = '';
+        statusEl.className = 'status-message';
+    }, 5000);
+}
+
+document.addEventListener('DOMContentLoaded', initialize);
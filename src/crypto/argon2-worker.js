@@ -0,0 +1,14 @@
+/**
+ * Dedicated worker that runs Argon2id off the calling thread
+ * Receives the argon2id() options and posts back { hash } or { error }
+ */
+
+import { argon2id } from './argon2.js';
+
+self.onmessage = ({ data }) => {
+    try {
+        self.postMessage({ hash: argon2id(data) });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
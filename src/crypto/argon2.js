@@ -0,0 +1,523 @@
+/**
+ * Pure JavaScript Argon2id (RFC 9106, version 0x13) with BLAKE2b (RFC 7693)
+ *
+ * Bundled so the extension needs no WASM or network download. 64-bit words
+ * are stored as little-endian pairs of 32-bit halves in Uint32Arrays.
+ */
+
+const ARGON2_VERSION = 0x13;
+const ARGON2_TYPE_ID = 2; // Argon2id
+const BLOCK_WORDS = 256; // 1024-byte block as 32-bit halves
+const SYNC_POINTS = 4;
+const ADDRESSES_IN_BLOCK = 128;
+const TWO_POW_32 = 0x100000000;
+
+// BLAKE2b initialization vector (low half first)
+const BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+// BLAKE2b message schedule, pre-multiplied by 2 for 32-bit indexing
+const BLAKE2B_SIGMA = new Uint8Array([
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+    11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+    7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+    9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+    2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+    12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+    13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+    6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+    10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+].map(x => x * 2));
+
+/**
+ * v[a] += v[b] (64-bit)
+ */
+function add64(v, a, b) {
+    const lo = v[a] + v[b];
+    v[a + 1] = v[a + 1] + v[b + 1] + (lo >= TWO_POW_32 ? 1 : 0);
+    v[a] = lo;
+}
+
+/**
+ * v[a] += (hi, lo) (64-bit)
+ */
+function add64Const(v, a, lo, hi) {
+    const sum = v[a] + lo;
+    v[a + 1] = v[a + 1] + hi + (sum >= TWO_POW_32 ? 1 : 0);
+    v[a] = sum;
+}
+
+/**
+ * BLAKE2b mixing function G
+ */
+function blake2bMix(v, m, a, b, c, d, ix, iy) {
+    add64(v, a, b);
+    add64Const(v, a, m[ix], m[ix + 1]);
+    let xor0 = v[d] ^ v[a];
+    let xor1 = v[d + 1] ^ v[a + 1];
+    v[d] = xor1;
+    v[d + 1] = xor0;
+
+    add64(v, c, d);
+    xor0 = v[b] ^ v[c];
+    xor1 = v[b + 1] ^ v[c + 1];
+    v[b] = (xor0 >>> 24) ^ (xor1 << 8);
+    v[b + 1] = (xor1 >>> 24) ^ (xor0 << 8);
+
+    add64(v, a, b);
+    add64Const(v, a, m[iy], m[iy + 1]);
+    xor0 = v[d] ^ v[a];
+    xor1 = v[d + 1] ^ v[a + 1];
+    v[d] = (xor0 >>> 16) ^ (xor1 << 16);
+    v[d + 1] = (xor1 >>> 16) ^ (xor0 << 16);
+
+    add64(v, c, d);
+    xor0 = v[b] ^ v[c];
+    xor1 = v[b + 1] ^ v[c + 1];
+    v[b] = (xor1 >>> 31) ^ (xor0 << 1);
+    v[b + 1] = (xor0 >>> 31) ^ (xor1 << 1);
+}
+
+/**
+ * BLAKE2b compression of one 128-byte block
+ */
+function blake2bCompress(h, block, counter, last) {
+    const v = new Uint32Array(32);
+    const m = new Uint32Array(32);
+
+    for (let i = 0; i < 16; i++) {
+        v[i] = h[i];
+        v[i + 16] = BLAKE2B_IV[i];
+    }
+
+    v[24] ^= counter % TWO_POW_32;
+    v[25] ^= Math.floor(counter / TWO_POW_32);
+
+    if (last) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+
+    for (let i = 0; i < 32; i++) {
+        m[i] = block[4 * i] | (block[4 * i + 1] << 8) | (block[4 * i + 2] << 16) | (block[4 * i + 3] << 24);
+    }
+
+    for (let round = 0; round < 12; round++) {
+        const s = round * 16;
+        blake2bMix(v, m, 0, 8, 16, 24, BLAKE2B_SIGMA[s], BLAKE2B_SIGMA[s + 1]);
+        blake2bMix(v, m, 2, 10, 18, 26, BLAKE2B_SIGMA[s + 2], BLAKE2B_SIGMA[s + 3]);
+        blake2bMix(v, m, 4, 12, 20, 28, BLAKE2B_SIGMA[s + 4], BLAKE2B_SIGMA[s + 5]);
+        blake2bMix(v, m, 6, 14, 22, 30, BLAKE2B_SIGMA[s + 6], BLAKE2B_SIGMA[s + 7]);
+        blake2bMix(v, m, 0, 10, 20, 30, BLAKE2B_SIGMA[s + 8], BLAKE2B_SIGMA[s + 9]);
+        blake2bMix(v, m, 2, 12, 22, 24, BLAKE2B_SIGMA[s + 10], BLAKE2B_SIGMA[s + 11]);
+        blake2bMix(v, m, 4, 14, 16, 26, BLAKE2B_SIGMA[s + 12], BLAKE2B_SIGMA[s + 13]);
+        blake2bMix(v, m, 6, 8, 18, 28, BLAKE2B_SIGMA[s + 14], BLAKE2B_SIGMA[s + 15]);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        h[i] ^= v[i] ^ v[i + 16];
+    }
+}
+
+/**
+ * Unkeyed BLAKE2b hash
+ * @param {Uint8Array} input - Data to hash
+ * @param {number} outLength - Digest length in bytes (1-64)
+ * @returns {Uint8Array} - Digest
+ */
+export function blake2b(input, outLength = 64) {
+    const h = new Uint32Array(BLAKE2B_IV);
+    h[0] ^= 0x01010000 ^ outLength;
+
+    const block = new Uint8Array(128);
+    let offset = 0;
+
+    // All blocks except the last are compressed without the final flag
+    while (input.length - offset > 128) {
+        block.set(input.subarray(offset, offset + 128));
+        offset += 128;
+        blake2bCompress(h, block, offset, false);
+    }
+
+    block.fill(0);
+    block.set(input.subarray(offset));
+    blake2bCompress(h, block, input.length, true);
+
+    const out = new Uint8Array(outLength);
+    for (let i = 0; i < outLength; i++) {
+        out[i] = h[i >> 2] >>> (8 * (i & 3));
+    }
+    return out;
+}
+
+/**
+ * Concatenate byte arrays
+ */
+function concatBytes(...parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Little-endian 32-bit encoding
+ */
+function le32(n) {
+    return new Uint8Array([n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff]);
+}
+
+/**
+ * Argon2 variable-length hash H'
+ */
+function hashLong(input, outLength) {
+    const prefixed = concatBytes(le32(outLength), input);
+
+    if (outLength <= 64) {
+        return blake2b(prefixed, outLength);
+    }
+
+    const out = new Uint8Array(outLength);
+    const rounds = Math.ceil(outLength / 32) - 2;
+    let previous = blake2b(prefixed, 64);
+    out.set(previous.subarray(0, 32), 0);
+
+    for (let i = 1; i < rounds; i++) {
+        previous = blake2b(previous, 64);
+        out.set(previous.subarray(0, 32), i * 32);
+    }
+
+    out.set(blake2b(previous, outLength - 32 * rounds), rounds * 32);
+    return out;
+}
+
+/**
+ * High 32 bits of the 64-bit product of two unsigned 32-bit numbers
+ */
+function mulHigh(a, b) {
+    const al = a & 0xffff;
+    const ah = a >>> 16;
+    const bl = b & 0xffff;
+    const bh = b >>> 16;
+    const lh = al * bh;
+    const hl = ah * bl;
+    const mid = ((al * bl) >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+    return ah * bh + (lh >>> 16) + (hl >>> 16) + Math.floor(mid / 0x10000);
+}
+
+/**
+ * v[a] = v[a] + v[b] + 2 * lo32(v[a]) * lo32(v[b]) (BlaMka multiply-add)
+ */
+function blaMka(v, a, b) {
+    const al = v[a];
+    const bl = v[b];
+    const productLo = Math.imul(al, bl) >>> 0;
+    const productHi = mulHigh(al, bl);
+    const doubledLo = (productLo << 1) >>> 0;
+    const doubledHi = ((productHi << 1) | (productLo >>> 31)) >>> 0;
+
+    const lo = al + bl + doubledLo;
+    v[a + 1] = v[a + 1] + v[b + 1] + doubledHi + Math.floor(lo / TWO_POW_32);
+    v[a] = lo;
+}
+
+/**
+ * Argon2 GB function on 64-bit words at 32-bit offsets a, b, c, d
+ */
+function argonMix(v, a, b, c, d) {
+    blaMka(v, a, b);
+    let xor0 = v[d] ^ v[a];
+    let xor1 = v[d + 1] ^ v[a + 1];
+    v[d] = xor1;
+    v[d + 1] = xor0;
+
+    blaMka(v, c, d);
+    xor0 = v[b] ^ v[c];
+    xor1 = v[b + 1] ^ v[c + 1];
+    v[b] = (xor0 >>> 24) ^ (xor1 << 8);
+    v[b + 1] = (xor1 >>> 24) ^ (xor0 << 8);
+
+    blaMka(v, a, b);
+    xor0 = v[d] ^ v[a];
+    xor1 = v[d + 1] ^ v[a + 1];
+    v[d] = (xor0 >>> 16) ^ (xor1 << 16);
+    v[d + 1] = (xor1 >>> 16) ^ (xor0 << 16);
+
+    blaMka(v, c, d);
+    xor0 = v[b] ^ v[c];
+    xor1 = v[b + 1] ^ v[c + 1];
+    v[b] = (xor1 >>> 31) ^ (xor0 << 1);
+    v[b + 1] = (xor0 >>> 31) ^ (xor1 << 1);
+}
+
+/**
+ * Argon2 permutation P over sixteen 64-bit words at the given 32-bit offsets
+ */
+function permute(v, o) {
+    argonMix(v, o[0], o[4], o[8], o[12]);
+    argonMix(v, o[1], o[5], o[9], o[13]);
+    argonMix(v, o[2], o[6], o[10], o[14]);
+    argonMix(v, o[3], o[7], o[11], o[15]);
+    argonMix(v, o[0], o[5], o[10], o[15]);
+    argonMix(v, o[1], o[6], o[11], o[12]);
+    argonMix(v, o[2], o[7], o[8], o[13]);
+    argonMix(v, o[3], o[4], o[9], o[14]);
+}
+
+// 32-bit offsets of the words P operates on, for each row and column of a block
+const ROW_OFFSETS = [];
+const COLUMN_OFFSETS = [];
+for (let i = 0; i < 8; i++) {
+    const row = [];
+    const column = [];
+    for (let j = 0; j < 16; j++) {
+        row.push(2 * (16 * i + j));
+        column.push(2 * (2 * i + 16 * (j >> 1) + (j & 1)));
+    }
+    ROW_OFFSETS.push(row);
+    COLUMN_OFFSETS.push(column);
+}
+
+/**
+ * Argon2 compression G: out = P(x ^ y) ^ (x ^ y), optionally XORed into out
+ */
+function compressBlock(memory, out, x, y, r, withXor) {
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+        r[i] = memory[x + i] ^ memory[y + i];
+    }
+
+    const q = r.slice();
+    for (let i = 0; i < 8; i++) {
+        permute(q, ROW_OFFSETS[i]);
+    }
+    for (let i = 0; i < 8; i++) {
+        permute(q, COLUMN_OFFSETS[i]);
+    }
+
+    if (withXor) {
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            memory[out + i] ^= q[i] ^ r[i];
+        }
+    } else {
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            memory[out + i] = q[i] ^ r[i];
+        }
+    }
+}
+
+/**
+ * Generate the next block of data-independent addresses
+ */
+function nextAddresses(addressBlock, inputBlock, zeroBlock, scratch) {
+    inputBlock[12]++; // counter lives in word 6
+    const work = new Uint32Array(BLOCK_WORDS * 3);
+    work.set(zeroBlock, 0);
+    work.set(inputBlock, BLOCK_WORDS);
+    compressBlock(work, 2 * BLOCK_WORDS, 0, BLOCK_WORDS, scratch, false);
+    work.set(work.subarray(2 * BLOCK_WORDS, 3 * BLOCK_WORDS), BLOCK_WORDS);
+    compressBlock(work, 2 * BLOCK_WORDS, 0, BLOCK_WORDS, scratch, false);
+    addressBlock.set(work.subarray(2 * BLOCK_WORDS, 3 * BLOCK_WORDS));
+}
+
+/**
+ * Fill one segment of one lane
+ */
+function fillSegment(memory, ctx, pass, lane, slice) {
+    const { laneLength, segmentLength, lanes, passes, memoryBlocks } = ctx;
+    const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+    const scratch = new Uint32Array(BLOCK_WORDS);
+
+    let addressBlock = null;
+    let inputBlock = null;
+    let zeroBlock = null;
+
+    if (dataIndependent) {
+        addressBlock = new Uint32Array(BLOCK_WORDS);
+        inputBlock = new Uint32Array(BLOCK_WORDS);
+        zeroBlock = new Uint32Array(BLOCK_WORDS);
+        inputBlock[0] = pass;
+        inputBlock[2] = lane;
+        inputBlock[4] = slice;
+        inputBlock[6] = memoryBlocks;
+        inputBlock[8] = passes;
+        inputBlock[10] = ARGON2_TYPE_ID;
+    }
+
+    let startIndex = 0;
+    if (pass === 0 && slice === 0) {
+        startIndex = 2;
+        if (dataIndependent) {
+            nextAddresses(addressBlock, inputBlock, zeroBlock, scratch);
+        }
+    }
+
+    let currentOffset = lane * laneLength + slice * segmentLength + startIndex;
+    let previousOffset = currentOffset % laneLength === 0
+        ? currentOffset + laneLength - 1
+        : currentOffset - 1;
+
+    for (let i = startIndex; i < segmentLength; i++, currentOffset++, previousOffset++) {
+        if (currentOffset % laneLength === 1) {
+            previousOffset = currentOffset - 1;
+        }
+
+        let j1;
+        let j2;
+        if (dataIndependent) {
+            if (i % ADDRESSES_IN_BLOCK === 0) {
+                nextAddresses(addressBlock, inputBlock, zeroBlock, scratch);
+            }
+            j1 = addressBlock[2 * (i % ADDRESSES_IN_BLOCK)];
+            j2 = addressBlock[2 * (i % ADDRESSES_IN_BLOCK) + 1];
+        } else {
+            j1 = memory[previousOffset * BLOCK_WORDS];
+            j2 = memory[previousOffset * BLOCK_WORDS + 1];
+        }
+
+        let refLane = j2 % lanes;
+        if (pass === 0 && slice === 0) {
+            refLane = lane;
+        }
+        const sameLane = refLane === lane;
+
+        let referenceAreaSize;
+        if (pass === 0) {
+            if (slice === 0) {
+                referenceAreaSize = i - 1;
+            } else if (sameLane) {
+                referenceAreaSize = slice * segmentLength + i - 1;
+            } else {
+                referenceAreaSize = slice * segmentLength + (i === 0 ? -1 : 0);
+            }
+        } else if (sameLane) {
+            referenceAreaSize = laneLength - segmentLength + i - 1;
+        } else {
+            referenceAreaSize = laneLength - segmentLength + (i === 0 ? -1 : 0);
+        }
+
+        const x = mulHigh(j1, j1);
+        const y = mulHigh(referenceAreaSize, x);
+        const relativePosition = referenceAreaSize - 1 - y;
+        const startPosition = pass !== 0 && slice !== SYNC_POINTS - 1
+            ? (slice + 1) * segmentLength
+            : 0;
+        const refIndex = (startPosition + relativePosition) % laneLength;
+        const refOffset = refLane * laneLength + refIndex;
+
+        compressBlock(
+            memory,
+            currentOffset * BLOCK_WORDS,
+            previousOffset * BLOCK_WORDS,
+            refOffset * BLOCK_WORDS,
+            scratch,
+            pass !== 0
+        );
+    }
+}
+
+/**
+ * Derive a key with Argon2id
+ * @param {Object} options - Argon2id inputs
+ * @param {Uint8Array} options.password - Password bytes
+ * @param {Uint8Array} options.salt - Salt bytes (at least 8)
+ * @param {number} options.memory - Memory cost in KiB
+ * @param {number} options.iterations - Number of passes
+ * @param {number} options.parallelism - Number of lanes
+ * @param {number} options.hashLength - Output length in bytes
+ * @param {Uint8Array} options.secret - Optional secret key
+ * @param {Uint8Array} options.associatedData - Optional associated data
+ * @returns {Uint8Array} - Derived bytes
+ */
+export function argon2id({
+    password,
+    salt,
+    memory,
+    iterations,
+    parallelism,
+    hashLength = 32,
+    secret = new Uint8Array(0),
+    associatedData = new Uint8Array(0)
+}) {
+    if (salt.length < 8) {
+        throw new Error('Argon2id salt must be at least 8 bytes');
+    }
+    if (iterations < 1 || parallelism < 1 || memory < 8 * parallelism) {
+        throw new Error('Invalid Argon2id parameters');
+    }
+
+    const initialHash = blake2b(concatBytes(
+        le32(parallelism),
+        le32(hashLength),
+        le32(memory),
+        le32(iterations),
+        le32(ARGON2_VERSION),
+        le32(ARGON2_TYPE_ID),
+        le32(password.length), password,
+        le32(salt.length), salt,
+        le32(secret.length), secret,
+        le32(associatedData.length), associatedData
+    ), 64);
+
+    const segmentLength = Math.floor(memory / (SYNC_POINTS * parallelism));
+    const memoryBlocks = segmentLength * SYNC_POINTS * parallelism;
+    const laneLength = segmentLength * SYNC_POINTS;
+    const ctx = {
+        lanes: parallelism,
+        passes: iterations,
+        memoryBlocks,
+        laneLength,
+        segmentLength
+    };
+
+    const blocks = new Uint32Array(memoryBlocks * BLOCK_WORDS);
+
+    // First two blocks of every lane come from the initial hash
+    for (let lane = 0; lane < parallelism; lane++) {
+        for (let column = 0; column < 2; column++) {
+            const bytes = hashLong(concatBytes(initialHash, le32(column), le32(lane)), 1024);
+            const offset = (lane * laneLength + column) * BLOCK_WORDS;
+            for (let i = 0; i < BLOCK_WORDS; i++) {
+                blocks[offset + i] = bytes[4 * i] | (bytes[4 * i + 1] << 8) | (bytes[4 * i + 2] << 16) | (bytes[4 * i + 3] << 24);
+            }
+        }
+    }
+
+    // Lanes are independent within a slice, so computing them in turn is equivalent
+    for (let pass = 0; pass < iterations; pass++) {
+        for (let slice = 0; slice < SYNC_POINTS; slice++) {
+            for (let lane = 0; lane < parallelism; lane++) {
+                fillSegment(blocks, ctx, pass, lane, slice);
+            }
+        }
+    }
+
+    // XOR the last block of every lane
+    const finalBlock = blocks.slice((laneLength - 1) * BLOCK_WORDS, laneLength * BLOCK_WORDS);
+    for (let lane = 1; lane < parallelism; lane++) {
+        const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            finalBlock[i] ^= blocks[offset + i];
+        }
+    }
+
+    const finalBytes = new Uint8Array(1024);
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+        finalBytes[4 * i] = finalBlock[i];
+        finalBytes[4 * i + 1] = finalBlock[i] >>> 8;
+        finalBytes[4 * i + 2] = finalBlock[i] >>> 16;
+        finalBytes[4 * i + 3] = finalBlock[i] >>> 24;
+    }
+
+    return hashLong(finalBytes, hashLength);
+}
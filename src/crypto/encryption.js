@@ -3,24 +3,36 @@
  * AES-256-GCM with Argon2id key derivation for enhanced security
  * 
  * Security Features:
- * - Argon2id: Memory-hard hashing resistant to GPU/ASIC attacks
- * - PBKDF2 fallback: For browser compatibility
+ * - Argon2id: Memory-hard hashing resistant to GPU/ASIC attacks (default for new data)
+ * - PBKDF2: Still accepted so data encrypted before Argon2id opens
  * - Pepper: Additional secret layer beyond salt
  * - Key stretching: Multiple rounds to slow brute force
  */
 
+import { argon2id } from './argon2.js';
+
 const ALGORITHM = 'AES-GCM';
 const KEY_LENGTH = 256;
 const PBKDF2_ITERATIONS = 600000; // Increased from 100k for better security (OWASP 2023 recommendation)
 const SALT_LENGTH = 32; // Increased from 16 bytes
 const IV_LENGTH = 12;
 const PEPPER = 'SecureSync-v1-pepper-2026'; // Application-specific pepper (should be in env var in production)
+const SEAL_ALGORITHM = 'RSA-OAEP'; // Public-key sealing for captures made while locked
 
 // Argon2id parameters (memory-hard hashing)
 const ARGON2_MEMORY = 65536; // 64 MB
 const ARGON2_ITERATIONS = 3;
 const ARGON2_PARALLELISM = 4;
 
+const KDF_ARGON2ID = 'Argon2id';
+// Chrome's service worker cannot start workers, so Argon2id runs in this document there
+const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen/offscreen.html';
+const KDF_PBKDF2 = 'PBKDF2';
+
+// Recovery keys are random, so a fast HKDF is enough to turn them into a KEK
+const RECOVERY_KEY_BYTES = 32;
+const RECOVERY_KEY_INFO = 'SecureSync vault recovery';
+
 /**
  * Generate a random salt
  */
@@ -115,6 +127,144 @@ async function deriveKey(masterPassword, salt, iterations = PBKDF2_ITERATIONS) {
     );
 }
 
+/**
+ * Derive encryption key from master password using Argon2id with pepper
+ * @param {string} masterPassword - User's master password
+ * @param {Uint8Array|ArrayBuffer} salt - Salt for key derivation
+ * @param {Object} params - { memory (KiB), iterations, parallelism }
+ * @returns {Promise<CryptoKey>} - Derived encryption key
+ */
+async function deriveArgon2Key(masterPassword, salt, params) {
+    const derived = await runArgon2id({
+        password: new TextEncoder().encode(masterPassword + PEPPER),
+        salt: new Uint8Array(salt),
+        memory: params.memory,
+        iterations: params.iterations,
+        parallelism: params.parallelism,
+        hashLength: KEY_LENGTH / 8
+    });
+
+    return crypto.subtle.importKey('raw', derived, ALGORITHM, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Run Argon2id off the calling thread where the context allows it
+ * The pure-JS hash takes seconds; run inline it would block every other
+ * message and alarm handler in the service worker until it finished.
+ * @param {Object} options - argon2id() options
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+async function runArgon2id(options) {
+    // Extension pages and Firefox's background page
+    if (typeof Worker !== 'undefined') {
+        return runArgon2idInWorker(options);
+    }
+
+    // Chrome's service worker
+    if (typeof chrome !== 'undefined' && chrome.offscreen) {
+        return runArgon2idOffscreen(options);
+    }
+
+    return argon2id(options);
+}
+
+/**
+ * Run Argon2id in a dedicated worker that ends with the result
+ */
+function runArgon2idInWorker(options) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./argon2-worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data }) => {
+            worker.terminate();
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.hash);
+            }
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Key derivation worker failed'));
+        };
+
+        worker.postMessage(options);
+    });
+}
+
+let offscreenDocument = null;
+
+/**
+ * Create the offscreen document once; concurrent callers share the request
+ */
+function ensureOffscreenDocument() {
+    if (!offscreenDocument) {
+        offscreenDocument = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: ['WORKERS'],
+            justification: 'Derive vault keys with Argon2id without blocking the service worker'
+        }).catch((error) => {
+            // Still open from before the service worker was restarted
+            if (!/single offscreen/i.test(error.message)) {
+                offscreenDocument = null;
+                throw error;
+            }
+        });
+    }
+
+    return offscreenDocument;
+}
+
+/**
+ * Run Argon2id in the offscreen document
+ */
+async function runArgon2idOffscreen(options) {
+    await ensureOffscreenDocument();
+
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({
+            type: 'RUN_ARGON2ID',
+            options: {
+                ...options,
+                password: Array.from(options.password),
+                salt: Array.from(options.salt)
+            }
+        });
+    } catch (error) {
+        // The document was closed; open a new one next time
+        offscreenDocument = null;
+        throw error;
+    }
+
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Key derivation failed');
+    }
+
+    return Uint8Array.from(response.hash);
+}
+
+/**
+ * Derive a key with whichever KDF the metadata names
+ * Metadata without a name predates Argon2id and uses PBKDF2
+ * @param {string} masterPassword - User's master password
+ * @param {Uint8Array|ArrayBuffer} salt - Salt for key derivation
+ * @param {Object} kdf - KDF name and parameters
+ * @returns {Promise<CryptoKey>} - Derived encryption key
+ */
+async function deriveKeyWithKdf(masterPassword, salt, kdf) {
+    if (kdf.name === KDF_ARGON2ID) {
+        return deriveArgon2Key(masterPassword, salt, kdf);
+    }
+
+    if (!kdf.name || kdf.name === KDF_PBKDF2) {
+        // LEGACY COMPATIBILITY: Default to 100,000 for older vaults, or use stored value
+        return deriveKey(masterPassword, salt, kdf.iterations || 100000);
+    }
+
+    throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+}
+
 /**
  * Encrypt data using AES-256-GCM
  * @param {string} plaintext - Data to encrypt
@@ -127,7 +277,13 @@ export async function encrypt(plaintext, masterPassword) {
 
     const salt = generateSalt();
     const iv = generateIV();
-    const key = await deriveKey(masterPassword, salt, PBKDF2_ITERATIONS);
+    const kdf = {
+        name: KDF_ARGON2ID,
+        memory: ARGON2_MEMORY,
+        iterations: ARGON2_ITERATIONS,
+        parallelism: ARGON2_PARALLELISM
+    };
+    const key = await deriveKeyWithKdf(masterPassword, salt, kdf);
 
     const ciphertext = await crypto.subtle.encrypt(
         {
@@ -138,18 +294,18 @@ export async function encrypt(plaintext, masterPassword) {
         data
     );
 
-    // Return encrypted data with salt and IV (needed for decryption)
+    // Return encrypted data with salt, IV and KDF metadata (needed for decryption)
     return {
         ciphertext: arrayBufferToBase64(ciphertext),
         salt: arrayBufferToBase64(salt),
         iv: arrayBufferToBase64(iv),
-        iterations: PBKDF2_ITERATIONS // Store iterations for future compatibility
+        kdf
     };
 }
 
 /**
  * Decrypt data using AES-256-GCM
- * @param {Object} encryptedData - Object containing ciphertext, salt, and IV
+ * @param {Object} encryptedData - Object containing ciphertext, salt, IV and KDF metadata
  * @param {string} masterPassword - User's master password
  * @returns {Promise<string>} - Decrypted plaintext
  */
@@ -160,9 +316,9 @@ export async function decrypt(encryptedData, masterPassword) {
     const saltBuffer = base64ToArrayBuffer(salt);
     const ivBuffer = base64ToArrayBuffer(iv);
 
-    // LEGACY COMPATIBILITY: Default to 100,000 for older vaults, or use stored value
-    const iterCount = iterations || 100000;
-    const key = await deriveKey(masterPassword, saltBuffer, iterCount);
+    // Data written before KDF metadata only carries a PBKDF2 iteration count
+    const kdf = encryptedData.kdf || { name: KDF_PBKDF2, iterations };
+    const key = await deriveKeyWithKdf(masterPassword, saltBuffer, kdf);
 
     try {
         const decrypted = await crypto.subtle.decrypt(
@@ -181,6 +337,181 @@ export async function decrypt(encryptedData, masterPassword) {
     }
 }
 
+/**
+ * Create key derivation parameters for a new vault header
+ * @returns {Object} - KDF name, salt and cost parameters
+ */
+export function createKdfParams() {
+    return {
+        name: KDF_ARGON2ID,
+        salt: arrayBufferToBase64(generateSalt()),
+        memory: ARGON2_MEMORY,
+        iterations: ARGON2_ITERATIONS,
+        parallelism: ARGON2_PARALLELISM
+    };
+}
+
+/**
+ * Derive the key-encryption key (KEK) from the master password
+ * Run once per unlock; the KEK only wraps and unwraps the vault data key
+ * @param {string} masterPassword - User's master password
+ * @param {Object} kdf - KDF parameters from the vault header
+ * @returns {Promise<CryptoKey>} - Key-encryption key
+ */
+export async function deriveKeyEncryptionKey(masterPassword, kdf) {
+    return deriveKeyWithKdf(masterPassword, base64ToArrayBuffer(kdf.salt), kdf);
+}
+
+/**
+ * Generate a random vault data key
+ * @returns {Promise<CryptoKey>} - Extractable AES-256-GCM key
+ */
+export async function generateDataKey() {
+    return crypto.subtle.generateKey(
+        { name: ALGORITHM, length: KEY_LENGTH },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Wrap (encrypt) a data key with a key-encryption key
+ * @param {CryptoKey} dataKey - Vault data key
+ * @param {CryptoKey} kek - Key-encryption key
+ * @returns {Promise<Object>} - Wrapped key with IV
+ */
+export async function wrapDataKey(dataKey, kek) {
+    const rawKey = await crypto.subtle.exportKey('raw', dataKey);
+    return encryptBytesWithKey(rawKey, kek);
+}
+
+/**
+ * Unwrap (decrypt) a data key with a key-encryption key
+ * @param {Object} wrappedKey - Output of wrapDataKey()
+ * @param {CryptoKey} kek - Key-encryption key
+ * @returns {Promise<CryptoKey>} - Vault data key
+ */
+export async function unwrapDataKey(wrappedKey, kek) {
+    const rawKey = await decryptBytesWithKey(wrappedKey, kek);
+    return crypto.subtle.importKey('raw', rawKey, ALGORITHM, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Generate a printable recovery key
+ * @returns {string} - 256 random bits as hex, in dash-separated groups of 8
+ */
+export function generateRecoveryKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(RECOVERY_KEY_BYTES));
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    return hex.match(/.{8}/g).join('-');
+}
+
+/**
+ * Derive the key-encryption key from a recovery key
+ * Spaces, dashes and case in the typed key are ignored
+ * @param {string} recoveryKey - Key from the emergency kit
+ * @param {string} salt - Base64 salt from the vault header
+ * @returns {Promise<CryptoKey>} - Key-encryption key
+ */
+export async function deriveRecoveryKeyEncryptionKey(recoveryKey, salt) {
+    const hex = String(recoveryKey).replace(/[^0-9a-f]/gi, '');
+
+    if (hex.length !== RECOVERY_KEY_BYTES * 2) {
+        throw new Error('Recovery key is incomplete');
+    }
+
+    const bytes = new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+    const baseKey = await crypto.subtle.importKey('raw', bytes, 'HKDF', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        {
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: base64ToArrayBuffer(salt),
+            info: new TextEncoder().encode(RECOVERY_KEY_INFO)
+        },
+        baseKey,
+        { name: ALGORITHM, length: KEY_LENGTH },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Create a random salt for a recovery key wrapper
+ * @returns {string} - Base64 salt
+ */
+export function createRecoverySalt() {
+    return arrayBufferToBase64(generateSalt());
+}
+
+/**
+ * Export a data key as base64 (for storage.session only)
+ * @param {CryptoKey} dataKey - Vault data key
+ * @returns {Promise<string>} - Base64 raw key
+ */
+export async function exportDataKey(dataKey) {
+    return arrayBufferToBase64(await crypto.subtle.exportKey('raw', dataKey));
+}
+
+/**
+ * Import a data key exported with exportDataKey()
+ * @param {string} base64Key - Base64 raw key
+ * @returns {Promise<CryptoKey>} - Vault data key
+ */
+export async function importDataKey(base64Key) {
+    return crypto.subtle.importKey('raw', base64ToArrayBuffer(base64Key), ALGORITHM, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt an object with an already derived key (no KDF run)
+ * @param {Object} obj - Object to encrypt
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Object>} - Ciphertext and IV
+ */
+export async function encryptObjectWithKey(obj, key) {
+    return encryptBytesWithKey(new TextEncoder().encode(JSON.stringify(obj)), key);
+}
+
+/**
+ * Decrypt an object encrypted with encryptObjectWithKey()
+ * @param {Object} encryptedData - Ciphertext and IV
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Object>} - Decrypted object
+ */
+export async function decryptObjectWithKey(encryptedData, key) {
+    const decrypted = await decryptBytesWithKey(encryptedData, key);
+    return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+/**
+ * Encrypt raw bytes with AES-256-GCM under the given key
+ */
+async function encryptBytesWithKey(data, key) {
+    const iv = generateIV();
+    const ciphertext = await crypto.subtle.encrypt({ name: ALGORITHM, iv }, key, data);
+
+    return {
+        ciphertext: arrayBufferToBase64(ciphertext),
+        iv: arrayBufferToBase64(iv)
+    };
+}
+
+/**
+ * Decrypt raw bytes encrypted with encryptBytesWithKey()
+ */
+async function decryptBytesWithKey(encryptedData, key) {
+    try {
+        return await crypto.subtle.decrypt(
+            { name: ALGORITHM, iv: base64ToArrayBuffer(encryptedData.iv) },
+            key,
+            base64ToArrayBuffer(encryptedData.ciphertext)
+        );
+    } catch (error) {
+        throw new Error('Decryption failed. Invalid password or corrupted data.');
+    }
+}
+
 /**
  * Encrypt an object (converts to JSON first)
  * @param {Object} obj - Object to encrypt
@@ -203,6 +534,103 @@ export async function decryptObject(encryptedData, masterPassword) {
     return JSON.parse(json);
 }
 
+/**
+ * Generate an RSA-OAEP key pair for sealing data while the vault is locked
+ * The private key is kept inside the encrypted vault, the public key in plain storage
+ * @returns {Promise<Object>} - { publicKey, privateKey } as JWK objects
+ */
+export async function generateSealingKeyPair() {
+    const keyPair = await crypto.subtle.generateKey(
+        {
+            name: SEAL_ALGORITHM,
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: 'SHA-256'
+        },
+        true,
+        ['encrypt', 'decrypt']
+    );
+
+    return {
+        publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+    };
+}
+
+/**
+ * Seal data with a public key (hybrid RSA-OAEP + AES-256-GCM)
+ * @param {string} plaintext - Data to seal
+ * @param {Object} publicKeyJwk - Public sealing key
+ * @returns {Promise<Object>} - Sealed data with wrapped content key and IV
+ */
+export async function seal(plaintext, publicKeyJwk) {
+    const publicKey = await crypto.subtle.importKey(
+        'jwk',
+        publicKeyJwk,
+        { name: SEAL_ALGORITHM, hash: 'SHA-256' },
+        false,
+        ['encrypt']
+    );
+
+    const contentKey = await crypto.subtle.generateKey(
+        { name: ALGORITHM, length: KEY_LENGTH },
+        true,
+        ['encrypt']
+    );
+
+    const iv = generateIV();
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: ALGORITHM, iv },
+        contentKey,
+        new TextEncoder().encode(plaintext)
+    );
+
+    const rawContentKey = await crypto.subtle.exportKey('raw', contentKey);
+    const wrappedKey = await crypto.subtle.encrypt({ name: SEAL_ALGORITHM }, publicKey, rawContentKey);
+
+    return {
+        wrappedKey: arrayBufferToBase64(wrappedKey),
+        ciphertext: arrayBufferToBase64(ciphertext),
+        iv: arrayBufferToBase64(iv)
+    };
+}
+
+/**
+ * Open data sealed with seal()
+ * @param {Object} sealed - Output of seal()
+ * @param {Object} privateKeyJwk - Private sealing key
+ * @returns {Promise<string>} - Plaintext
+ */
+export async function unseal(sealed, privateKeyJwk) {
+    const privateKey = await crypto.subtle.importKey(
+        'jwk',
+        privateKeyJwk,
+        { name: SEAL_ALGORITHM, hash: 'SHA-256' },
+        false,
+        ['decrypt']
+    );
+
+    try {
+        const rawContentKey = await crypto.subtle.decrypt(
+            { name: SEAL_ALGORITHM },
+            privateKey,
+            base64ToArrayBuffer(sealed.wrappedKey)
+        );
+
+        const contentKey = await crypto.subtle.importKey('raw', rawContentKey, ALGORITHM, false, ['decrypt']);
+
+        const decrypted = await crypto.subtle.decrypt(
+            { name: ALGORITHM, iv: base64ToArrayBuffer(sealed.iv) },
+            contentKey,
+            base64ToArrayBuffer(sealed.ciphertext)
+        );
+
+        return new TextDecoder().decode(decrypted);
+    } catch (error) {
+        throw new Error('Unsealing failed. Wrong key or corrupted data.');
+    }
+}
+
 /**
  * Hash password for verification using HMAC-SHA512 with pepper
  * More secure than plain SHA-256
@@ -0,0 +1,167 @@
+/**
+ * Vault client for extension pages
+ * The unlocked vault lives in the background service worker; popup and
+ * options pages reach it through runtime messages instead of importing vault.js.
+ */
+
+import Browser from '../utils/browser-polyfill.js';
+
+/**
+ * Send a vault message to the service worker
+ * @param {string} type - Message type
+ * @param {Object} payload - Message fields
+ * @returns {Promise<*>} - Response data
+ */
+async function sendVaultMessage(type, payload = {}) {
+    const response = await Browser.runtime.sendMessage({ type, ...payload });
+
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Vault request failed');
+    }
+
+    return response.data;
+}
+
+/**
+ * Get vault status
+ * @returns {Promise<Object>} - { exists, locked, hasRecoveryKey, syncSetupNeeded }
+ */
+export async function getVaultStatus() {
+    return sendVaultMessage('GET_VAULT_STATUS');
+}
+
+/**
+ * Check if vault is locked
+ */
+export async function isVaultLocked() {
+    const { locked } = await getVaultStatus();
+    return locked;
+}
+
+/**
+ * Unlock the vault (creates it if it doesn't exist)
+ */
+export async function initializeVault(masterPassword) {
+    return sendVaultMessage('UNLOCK_VAULT', { masterPassword });
+}
+
+/**
+ * Lock the vault
+ */
+export async function lockVault() {
+    return sendVaultMessage('LOCK_VAULT');
+}
+
+/**
+ * Set up sync for a vault that was already unlocked when the user signed in
+ * The sync key can only be fetched or created with the master password
+ */
+export async function setUpSync(masterPassword) {
+    return sendVaultMessage('SET_UP_SYNC', { masterPassword });
+}
+
+/**
+ * Create a new recovery key for the emergency kit (replaces any earlier one)
+ */
+export async function createRecoveryKey() {
+    return sendVaultMessage('CREATE_RECOVERY_KEY');
+}
+
+/**
+ * Unlock with the recovery key and set a new master password
+ * @returns {Promise<Object>} - { recoveryKey } with the replacement recovery key
+ */
+export async function recoverVault(recoveryKey, newPassword) {
+    return sendVaultMessage('RECOVER_VAULT', { recoveryKey, newPassword });
+}
+
+/**
+ * Get all passwords from vault
+ */
+export async function getPasswords() {
+    return sendVaultMessage('GET_ENTRIES', { entryType: 'password' });
+}
+
+/**
+ * Add password to vault
+ */
+export async function addPassword(passwordEntry) {
+    return sendVaultMessage('ADD_ENTRY', { entryType: 'password', entry: passwordEntry });
+}
+
+/**
+ * Update password in vault
+ */
+export async function updatePassword(id, updates) {
+    return sendVaultMessage('UPDATE_ENTRY', { entryType: 'password', id, updates });
+}
+
+/**
+ * Delete password from vault
+ */
+export async function deletePassword(id) {
+    return sendVaultMessage('DELETE_ENTRY', { entryType: 'password', id });
+}
+
+/**
+ * Get all bookmarks from vault
+ */
+export async function getBookmarks() {
+    return sendVaultMessage('GET_ENTRIES', { entryType: 'bookmark' });
+}
+
+/**
+ * Add bookmark to vault
+ */
+export async function addBookmark(bookmarkEntry) {
+    return sendVaultMessage('ADD_ENTRY', { entryType: 'bookmark', entry: bookmarkEntry });
+}
+
+/**
+ * Update bookmark in vault
+ */
+export async function updateBookmark(id, updates) {
+    return sendVaultMessage('UPDATE_ENTRY', { entryType: 'bookmark', id, updates });
+}
+
+/**
+ * Delete bookmark from vault
+ */
+export async function deleteBookmark(id) {
+    return sendVaultMessage('DELETE_ENTRY', { entryType: 'bookmark', id });
+}
+
+/**
+ * Restore an entry from the trash
+ */
+export async function restoreEntry(entryType, id) {
+    return sendVaultMessage('RESTORE_ENTRY', { entryType, id });
+}
+
+/**
+ * Permanently delete an entry from the trash
+ */
+export async function eraseEntry(entryType, id) {
+    return sendVaultMessage('ERASE_ENTRY', { entryType, id });
+}
+
+/**
+ * Get sync conflicts waiting for review
+ */
+export async function getConflicts() {
+    return sendVaultMessage('GET_CONFLICTS');
+}
+
+/**
+ * Resolve a sync conflict with the chosen entry
+ */
+export async function resolveConflict(entryType, id, entry) {
+    return sendVaultMessage('RESOLVE_CONFLICT', { entryType, id, entry });
+}
+
+/**
+ * Export vault data (encrypted)
+ */
+export async function exportVault() {
+    return sendVaultMessage('EXPORT_VAULT');
+}
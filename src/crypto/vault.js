@@ -1,17 +1,57 @@
 /**
  * Local encrypted vault for passwords and bookmarks
+ *
+ * Only the background service worker imports this module; extension pages
+ * talk to it through vault-client.js. The unlocked session is mirrored to
+ * storage.session so it survives service worker restarts.
+ *
+ * Key hierarchy (vault format 2): the master password derives a
+ * key-encryption key once per unlock, which wraps a random data key.
+ * Saves encrypt with the cached data key, so edits never re-run the KDF.
+ * An optional recovery key from the emergency kit wraps the same data key
+ * independently, so a forgotten master password can be replaced locally.
  */
 
-import { encryptObject, decryptObject } from './encryption.js';
+import {
+    decryptObject,
+    generateSealingKeyPair,
+    seal,
+    unseal,
+    createKdfParams,
+    deriveKeyEncryptionKey,
+    generateDataKey,
+    wrapDataKey,
+    unwrapDataKey,
+    exportDataKey,
+    importDataKey,
+    encryptObjectWithKey,
+    decryptObjectWithKey,
+    generateRecoveryKey,
+    deriveRecoveryKeyEncryptionKey,
+    createRecoverySalt
+} from './encryption.js';
 import Browser from '../utils/browser-polyfill.js';
+import { getOrigin } from '../utils/origin.js';
+import { getSettings } from '../storage/settings.js';
+import {
+    createBackup,
+    getBackups,
+    saveWithBackups,
+    addPendingCapture,
+    getPendingCaptures,
+    removePendingCaptures
+} from '../storage/local-storage.js';
 
 const VAULT_KEY = 'secure_vault';
-const VAULT_LOCK_KEY = 'vault_locked';
-const AUTO_LOCK_MINUTES = 15;
+const SESSION_KEY = 'vault_session';
+const CAPTURE_PUBLIC_KEY = 'capture_public_key';
+const VAULT_FORMAT_VERSION = 2;
+
+export const AUTO_LOCK_ALARM = 'vault-auto-lock';
 
 let vaultCache = null;
-let masterPasswordCache = null;
-let autoLockTimer = null;
+let dataKeyCache = null;
+let vaultHeader = null;
 
 /**
  * Initialize vault (create if doesn't exist)
@@ -22,7 +62,7 @@ export async function initializeVault(masterPassword) {
 
         if (!stored[VAULT_KEY]) {
             // Create new vault
-            const emptyVault = {
+            vaultCache = {
                 passwords: [],
                 bookmarks: [],
                 metadata: {
@@ -30,52 +70,158 @@ export async function initializeVault(masterPassword) {
                     version: '1.0.0'
                 }
             };
-
-            const encrypted = await encryptObject(emptyVault, masterPassword);
-            await Browser.storage.local.set({
-                [VAULT_KEY]: encrypted,
-                [VAULT_LOCK_KEY]: false
-            });
-            vaultCache = emptyVault;
+            dataKeyCache = await generateDataKey();
+            vaultHeader = await createVaultHeader(masterPassword, dataKeyCache);
+        } else if (stored[VAULT_KEY].version === VAULT_FORMAT_VERSION) {
+            // Verify password by unwrapping the data key
+            const opened = await openVault(stored[VAULT_KEY], masterPassword);
+            vaultCache = opened.vault;
+            dataKeyCache = opened.dataKey;
+            vaultHeader = opened.header;
         } else {
-            // Verify password by attempting to decrypt
+            // Legacy vault: decrypt with the password, then upgrade to a wrapped data key
             vaultCache = await decryptObject(stored[VAULT_KEY], masterPassword);
+            dataKeyCache = await generateDataKey();
+            vaultHeader = await createVaultHeader(masterPassword, dataKeyCache);
         }
 
-        masterPasswordCache = masterPassword;
-        await Browser.storage.local.set({ [VAULT_LOCK_KEY]: false });
-        resetAutoLockTimer();
+        if (!stored[VAULT_KEY] || stored[VAULT_KEY].version !== VAULT_FORMAT_VERSION) {
+            await writeVault();
+        }
 
-        return true;
+        await Browser.storage.session.set({
+            [SESSION_KEY]: { dataKey: await exportDataKey(dataKeyCache) }
+        });
+        resetAutoLockTimer();
     } catch (error) {
         console.error('Vault initialization failed:', error);
+        clearVaultCache();
         throw new Error('Invalid master password or corrupted vault');
     }
+
+    await ensureSealingKeys();
+
+    return true;
+}
+
+/**
+ * Create a vault header: KDF parameters plus the data key wrapped by the KEK
+ */
+async function createVaultHeader(masterPassword, dataKey) {
+    const kdf = createKdfParams();
+    const kek = await deriveKeyEncryptionKey(masterPassword, kdf);
+
+    return {
+        version: VAULT_FORMAT_VERSION,
+        kdf,
+        wrappedKey: await wrapDataKey(dataKey, kek)
+    };
+}
+
+/**
+ * Wrap the data key with a recovery key
+ * @returns {Promise<Object>} - Header recovery field: salt, wrapped key and creation time
+ */
+async function createRecoveryWrapper(dataKey, recoveryKey) {
+    const salt = createRecoverySalt();
+    const kek = await deriveRecoveryKeyEncryptionKey(recoveryKey, salt);
+
+    return {
+        salt,
+        wrappedKey: await wrapDataKey(dataKey, kek),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Set or remove the recovery wrapper of a vault or backup blob
+ */
+function withRecoveryWrapper(blob, recovery) {
+    const { recovery: previous, ...rest } = blob;
+    return recovery ? { ...rest, recovery } : rest;
+}
+
+/**
+ * Open a format 2 vault blob with the master password
+ * @returns {Promise<Object>} - { vault, dataKey, header }
+ */
+async function openVault(blob, masterPassword) {
+    const kek = await deriveKeyEncryptionKey(masterPassword, blob.kdf);
+    const dataKey = await unwrapDataKey(blob.wrappedKey, kek);
+    const vault = await decryptObjectWithKey(blob.payload, dataKey);
+    const { payload, ...header } = blob;
+
+    return { vault, dataKey, header };
+}
+
+/**
+ * Drop the in-memory vault state
+ */
+function clearVaultCache() {
+    vaultCache = null;
+    dataKeyCache = null;
+    vaultHeader = null;
 }
 
 /**
  * Lock the vault
  */
 export async function lockVault() {
-    vaultCache = null;
-    masterPasswordCache = null;
+    clearVaultCache();
     clearAutoLockTimer();
-    await Browser.storage.local.set({ [VAULT_LOCK_KEY]: true });
+    await Browser.storage.session.remove(SESSION_KEY);
 }
 
 /**
  * Check if vault is locked
  */
 export async function isVaultLocked() {
-    const result = await Browser.storage.local.get(VAULT_LOCK_KEY);
-    return result[VAULT_LOCK_KEY] !== false;
+    await restoreVaultSession();
+    return !vaultCache;
+}
+
+/**
+ * Check if a vault has been created on this device
+ */
+export async function vaultExists() {
+    const stored = await Browser.storage.local.get(VAULT_KEY);
+    return !!stored[VAULT_KEY];
+}
+
+/**
+ * Re-open the vault from storage.session after a service worker restart
+ * @returns {Promise<boolean>} - True if the vault is unlocked afterwards
+ */
+export async function restoreVaultSession() {
+    if (vaultCache && dataKeyCache) {
+        return true;
+    }
+
+    const session = await Browser.storage.session.get(SESSION_KEY);
+    if (!session[SESSION_KEY]) {
+        return false;
+    }
+
+    try {
+        const stored = await Browser.storage.local.get(VAULT_KEY);
+        const { payload, ...header } = stored[VAULT_KEY];
+
+        dataKeyCache = await importDataKey(session[SESSION_KEY].dataKey);
+        vaultCache = await decryptObjectWithKey(payload, dataKeyCache);
+        vaultHeader = header;
+        return true;
+    } catch (error) {
+        console.error('Vault session restore failed:', error);
+        await lockVault();
+        return false;
+    }
 }
 
 /**
  * Get all passwords from vault
  */
 export async function getPasswords() {
-    ensureUnlocked();
+    await ensureUnlocked();
     resetAutoLockTimer();
     return vaultCache.passwords;
 }
@@ -84,7 +230,7 @@ export async function getPasswords() {
  * Add password to vault
  */
 export async function addPassword(passwordEntry) {
-    ensureUnlocked();
+    await ensureUnlocked();
 
     const entry = {
         id: crypto.randomUUID(),
@@ -105,7 +251,7 @@ export async function addPassword(passwordEntry) {
  * Update password in vault
  */
 export async function updatePassword(id, updates) {
-    ensureUnlocked();
+    await ensureUnlocked();
 
     const index = vaultCache.passwords.findIndex(p => p.id === id);
     if (index === -1) {
@@ -128,24 +274,202 @@ export async function updatePassword(id, updates) {
  * Delete password from vault
  */
 export async function deletePassword(id) {
-    ensureUnlocked();
+    await ensureUnlocked();
 
     const index = vaultCache.passwords.findIndex(p => p.id === id);
     if (index === -1) {
         throw new Error('Password not found');
     }
 
-    // Soft delete
-    vaultCache.passwords[index].deletedAt = new Date().toISOString();
+    // Soft delete; bump updatedAt so the tombstone wins the next sync merge
+    const now = new Date().toISOString();
+    vaultCache.passwords[index].deletedAt = now;
+    vaultCache.passwords[index].updatedAt = now;
     await saveVault();
     resetAutoLockTimer();
+
+    return vaultCache.passwords[index];
+}
+
+/**
+ * Find an active password entry by exact origin and username
+ */
+function findActivePassword(url, username) {
+    const origin = getOrigin(url);
+    return vaultCache.passwords.find(p =>
+        !p.deletedAt && p.username === username && getOrigin(p.url) === origin
+    ) || null;
+}
+
+/**
+ * Find an active password entry by exact origin and username
+ */
+export async function findPassword(url, username) {
+    await ensureUnlocked();
+    return findActivePassword(url, username);
+}
+
+/**
+ * Save a captured login, detecting duplicates and changed passwords
+ * @param {Object} credentials - { url, username, password }
+ * @param {boolean} replaceExisting - Update the stored password of a matching entry
+ * @returns {Promise<Object>} - { status: 'added' | 'updated' | 'unchanged' | 'exists', entry }
+ */
+export async function saveCapturedPassword(credentials, replaceExisting = false) {
+    await ensureUnlocked();
+
+    const existing = findActivePassword(credentials.url, credentials.username);
+
+    if (!existing) {
+        const entry = await addPassword({
+            url: credentials.url,
+            username: credentials.username,
+            password: credentials.password,
+            notes: ''
+        });
+        return { status: 'added', entry };
+    }
+
+    if (existing.password === credentials.password) {
+        return { status: 'unchanged', entry: existing };
+    }
+
+    if (!replaceExisting) {
+        return { status: 'exists', entry: existing };
+    }
+
+    const entry = await updatePassword(existing.id, { password: credentials.password });
+    return { status: 'updated', entry };
+}
+
+/**
+ * Get the per-account sync key kept inside the vault
+ * @returns {Promise<CryptoKey|null>} - Sync key, or null if not provisioned yet
+ */
+export async function getSyncKey() {
+    await ensureUnlocked();
+    return vaultCache.syncKey ? importDataKey(vaultCache.syncKey) : null;
+}
+
+/**
+ * Store the per-account sync key inside the vault
+ * @param {CryptoKey} syncKey - Sync key shared by all of the account's devices
+ */
+export async function setSyncKey(syncKey) {
+    await ensureUnlocked();
+    vaultCache.syncKey = await exportDataKey(syncKey);
+    await saveVault();
+}
+
+/**
+ * Check a master password against the open vault
+ * Throws if it is not the one protecting the data key
+ */
+export async function verifyMasterPassword(masterPassword) {
+    await ensureUnlocked();
+
+    try {
+        const kek = await deriveKeyEncryptionKey(masterPassword, vaultHeader.kdf);
+        await unwrapDataKey(vaultHeader.wrappedKey, kek);
+    } catch (error) {
+        throw new Error('Master password is incorrect');
+    }
+}
+
+/**
+ * Queue a captured login while the vault is locked
+ * The capture is sealed with the vault's public key and imported on next unlock
+ */
+export async function queueLockedCapture(credentials) {
+    const stored = await Browser.storage.local.get(CAPTURE_PUBLIC_KEY);
+
+    if (!stored[CAPTURE_PUBLIC_KEY]) {
+        throw new Error('Unlock SecureSync once before saving passwords while locked');
+    }
+
+    const sealed = await seal(JSON.stringify(credentials), stored[CAPTURE_PUBLIC_KEY]);
+
+    await addPendingCapture(sealed);
+}
+
+/**
+ * Make sure the vault holds a sealing key pair and its public half is published
+ */
+async function ensureSealingKeys() {
+    if (!vaultCache.sealingKeys) {
+        vaultCache.sealingKeys = await generateSealingKeyPair();
+        await saveVault();
+    }
+
+    await Browser.storage.local.set({ [CAPTURE_PUBLIC_KEY]: vaultCache.sealingKeys.publicKey });
+}
+
+/**
+ * Import captures that were sealed while the vault was locked
+ * Newer captures replace the password of a matching entry. Captures that
+ * fail to import stay queued for the next unlock.
+ * @returns {Promise<Array>} - { action, entry } for each entry added or updated
+ */
+export async function importPendingCaptures() {
+    await ensureUnlocked();
+
+    const pending = await getPendingCaptures();
+    const processedIds = [];
+    const changes = [];
+    const now = new Date().toISOString();
+
+    for (const item of pending) {
+        let credentials;
+        try {
+            credentials = JSON.parse(await unseal(item.sealed, vaultCache.sealingKeys.privateKey));
+        } catch (error) {
+            console.error('Pending capture import failed:', error);
+            continue;
+        }
+
+        const existing = findActivePassword(credentials.url, credentials.username);
+
+        if (existing) {
+            if (existing.password !== credentials.password) {
+                existing.password = credentials.password;
+                existing.updatedAt = now;
+                changes.push({ action: 'update', entry: existing });
+            }
+        } else {
+            const entry = {
+                id: crypto.randomUUID(),
+                url: credentials.url,
+                username: credentials.username,
+                password: credentials.password,
+                notes: '',
+                createdAt: item.capturedAt || now,
+                updatedAt: now,
+                deletedAt: null
+            };
+            vaultCache.passwords.push(entry);
+            changes.push({ action: 'add', entry });
+        }
+
+        processedIds.push(item.id);
+    }
+
+    if (processedIds.length === 0) {
+        return [];
+    }
+
+    if (changes.length > 0) {
+        await saveVault();
+    }
+    await removePendingCaptures(processedIds);
+
+    return changes;
 }
 
 /**
  * Get all bookmarks from vault
  */
 export async function getBookmarks() {
-    ensureUnlocked();
+    await ensureUnlocked();
     resetAutoLockTimer();
     return vaultCache.bookmarks;
 }
@@ -154,7 +478,7 @@ export async function getBookmarks() {
  * Add bookmark to vault
  */
 export async function addBookmark(bookmarkEntry) {
-    ensureUnlocked();
+    await ensureUnlocked();
 
     const entry = {
         id: crypto.randomUUID(),
@@ -175,7 +499,7 @@ export async function addBookmark(bookmarkEntry) {
  * Update bookmark in vault
  */
 export async function updateBookmark(id, updates) {
-    ensureUnlocked();
+    await ensureUnlocked();
 
     const index = vaultCache.bookmarks.findIndex(b => b.id === id);
     if (index === -1) {
@@ -198,78 +522,623 @@ export async function updateBookmark(id, updates) {
  * Delete bookmark from vault
  */
 export async function deleteBookmark(id) {
-    ensureUnlocked();
+    await ensureUnlocked();
 
     const index = vaultCache.bookmarks.findIndex(b => b.id === id);
     if (index === -1) {
         throw new Error('Bookmark not found');
     }
 
-    // Soft delete
-    vaultCache.bookmarks[index].deletedAt = new Date().toISOString();
+    // Soft delete; bump updatedAt so the tombstone wins the next sync merge
+    const now = new Date().toISOString();
+    vaultCache.bookmarks[index].deletedAt = now;
+    vaultCache.bookmarks[index].updatedAt = now;
+    await saveVault();
+    resetAutoLockTimer();
+
+    return vaultCache.bookmarks[index];
+}
+
+/**
+ * Apply a batch of bookmark changes from the browser's bookmark tree with a single encrypted save
+ * @param {Object} changes - { add: [entry], update: [{ id, updates }], remove: [id] }
+ * @returns {Promise<Object>} - { added, updated, deleted } resulting entries, added in input order
+ */
+export async function applyBookmarkChanges({ add = [], update = [], remove = [] }) {
+    await ensureUnlocked();
+
+    const now = new Date().toISOString();
+    const result = { added: [], updated: [], deleted: [] };
+    const indexById = new Map(vaultCache.bookmarks.map((entry, index) => [entry.id, index]));
+
+    for (const bookmarkEntry of add) {
+        const entry = {
+            id: crypto.randomUUID(),
+            ...bookmarkEntry,
+            createdAt: now,
+            updatedAt: now,
+            deletedAt: null
+        };
+        vaultCache.bookmarks.push(entry);
+        result.added.push(entry);
+    }
+
+    for (const { id, updates } of update) {
+        const index = indexById.get(id);
+        if (index === undefined) {
+            continue;
+        }
+        vaultCache.bookmarks[index] = { ...vaultCache.bookmarks[index], ...updates, updatedAt: now };
+        result.updated.push(vaultCache.bookmarks[index]);
+    }
+
+    for (const id of remove) {
+        const index = indexById.get(id);
+        if (index === undefined || vaultCache.bookmarks[index].deletedAt) {
+            continue;
+        }
+        vaultCache.bookmarks[index] = { ...vaultCache.bookmarks[index], deletedAt: now, updatedAt: now };
+        result.deleted.push(vaultCache.bookmarks[index]);
+    }
+
+    if (result.added.length + result.updated.length + result.deleted.length > 0) {
+        await saveVault();
+    }
+    resetAutoLockTimer();
+
+    return result;
+}
+
+/**
+ * Write merged sync results into the vault with a single encrypted save
+ * @param {string} type - 'password' or 'bookmark'
+ * @param {Array} items - Merged entries from the sync
+ * @returns {Promise<Object>} - { added, updated, deleted } counts
+ */
+export async function applyRemoteChanges(type, items) {
+    await ensureUnlocked();
+
+    const collection = getCollection(type);
+    const indexById = new Map(collection.map((entry, index) => [entry.id, index]));
+    const counts = { added: 0, updated: 0, deleted: 0 };
+    let changed = false;
+
+    for (const item of items) {
+        const index = indexById.get(item.id);
+
+        if (index === undefined) {
+            // Nothing to tombstone for an entry this device never had
+            if (item.deletedAt) {
+                continue;
+            }
+            indexById.set(item.id, collection.length);
+            collection.push(item);
+            counts.added++;
+            changed = true;
+            continue;
+        }
+
+        const existing = collection[index];
+        if (JSON.stringify(existing) === JSON.stringify(item)) {
+            continue;
+        }
+
+        collection[index] = item;
+        changed = true;
+
+        // A new sync base alone is not a change the user would notice
+        if (hasSameContent(existing, item)) {
+            continue;
+        }
+
+        if (item.deletedAt && !existing.deletedAt) {
+            counts.deleted++;
+        } else {
+            counts.updated++;
+        }
+    }
+
+    if (changed) {
+        await saveVault();
+    }
+    resetAutoLockTimer();
+
+    return counts;
+}
+
+/**
+ * Compare two entries field by field, ignoring key order and the sync base
+ */
+function hasSameContent(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    fields.delete('syncBase');
+    return [...fields].every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+/**
+ * Get sync conflicts waiting for manual resolution
+ * @returns {Promise<Array>} - [{ id, type, local, remote, detectedAt }]
+ */
+export async function getConflicts() {
+    await ensureUnlocked();
+    resetAutoLockTimer();
+    return vaultCache.conflicts || [];
+}
+
+/**
+ * Store conflicts found by a sync so they survive until the user resolves them
+ * A newer conflict for the same entry replaces the older one
+ * @param {string} type - 'password' or 'bookmark'
+ * @param {Array} conflicts - Conflicts from mergeItems()
+ */
+export async function saveConflicts(type, conflicts) {
+    await ensureUnlocked();
+
+    const stored = (vaultCache.conflicts || []).filter(
+        c => c.type !== type || !conflicts.some(conflict => conflict.id === c.id)
+    );
+
+    for (const conflict of conflicts) {
+        stored.push({
+            id: conflict.id,
+            type,
+            local: conflict.local,
+            remote: conflict.remote,
+            base: conflict.base || null,
+            fields: conflict.fields || [],
+            detectedAt: new Date().toISOString()
+        });
+    }
+
+    vaultCache.conflicts = stored;
+    await saveVault();
+}
+
+/**
+ * Resolve a sync conflict with the version the user chose
+ * The result is stamped newer than both versions so it wins the next sync
+ * @param {string} type - 'password' or 'bookmark'
+ * @param {string} id - Entry ID
+ * @param {Object} resolved - Chosen or field-merged entry
+ * @returns {Promise<Object>} - Stored entry
+ */
+export async function resolveConflict(type, id, resolved) {
+    await ensureUnlocked();
+
+    const conflicts = vaultCache.conflicts || [];
+    const conflict = conflicts.find(c => c.type === type && c.id === id);
+    if (!conflict) {
+        throw new Error('Conflict not found');
+    }
+
+    // Stay ahead of both versions even if the other device's clock runs fast
+    const newest = Math.max(
+        Date.now(),
+        new Date(conflict.local.updatedAt).getTime() + 1 || 0,
+        new Date(conflict.remote.updatedAt).getTime() + 1 || 0
+    );
+
+    // The remote version is what the server holds, so it becomes the sync base
+    const { syncBase, ...remote } = conflict.remote;
+    const collection = getCollection(type);
+    const entry = {
+        ...resolved,
+        id,
+        updatedAt: new Date(newest).toISOString(),
+        syncBase: remote
+    };
+
+    const index = collection.findIndex(e => e.id === id);
+    if (index === -1) {
+        collection.push(entry);
+    } else {
+        collection[index] = entry;
+    }
+
+    vaultCache.conflicts = conflicts.filter(c => c.type !== type || c.id !== id);
+    await saveVault();
+    resetAutoLockTimer();
+
+    return entry;
+}
+
+/**
+ * Restore a soft-deleted entry from the trash
+ * @param {string} type - 'password' or 'bookmark'
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} - Restored entry
+ */
+export async function restoreEntry(type, id) {
+    await ensureUnlocked();
+
+    const collection = getCollection(type);
+    const index = collection.findIndex(e => e.id === id);
+    if (index === -1 || !collection[index].deletedAt) {
+        throw new Error('Entry not found in trash');
+    }
+
+    // Bump updatedAt so the restore wins over the tombstone on other devices
+    collection[index] = { ...collection[index], deletedAt: null, updatedAt: new Date().toISOString() };
+    await saveVault();
+    resetAutoLockTimer();
+
+    return collection[index];
+}
+
+/**
+ * Permanently delete an entry from the trash
+ * The contents are dropped at once; the bare tombstone stays until it is
+ * purged so other devices still learn about the deletion.
+ * @param {string} type - 'password' or 'bookmark'
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} - Remaining tombstone
+ */
+export async function eraseEntry(type, id) {
+    await ensureUnlocked();
+
+    const collection = getCollection(type);
+    const index = collection.findIndex(e => e.id === id);
+    if (index === -1 || !collection[index].deletedAt) {
+        throw new Error('Entry not found in trash');
+    }
+
+    // Sync merges an erased tombstone by its timestamps alone
+    const { createdAt, deletedAt } = collection[index];
+    collection[index] = {
+        id,
+        createdAt,
+        updatedAt: new Date().toISOString(),
+        deletedAt
+    };
     await saveVault();
     resetAutoLockTimer();
+
+    return collection[index];
+}
+
+/**
+ * Remove tombstones deleted before a cutoff from the vault for good
+ * @param {string} cutoff - ISO time; older tombstones are purged
+ * @param {Set} keepIds - Entry IDs that must stay (e.g. deletions not yet uploaded)
+ * @returns {Promise<number>} - Number of entries purged
+ */
+export async function purgeTombstones(cutoff, keepIds = new Set()) {
+    await ensureUnlocked();
+
+    const isExpired = (entry) => entry.deletedAt && entry.deletedAt < cutoff && !keepIds.has(entry.id);
+    const purged = vaultCache.passwords.filter(isExpired).length + vaultCache.bookmarks.filter(isExpired).length;
+
+    if (purged > 0) {
+        vaultCache.passwords = vaultCache.passwords.filter(entry => !isExpired(entry));
+        vaultCache.bookmarks = vaultCache.bookmarks.filter(entry => !isExpired(entry));
+        await saveVault();
+    }
+
+    return purged;
+}
+
+/**
+ * Get the vault collection for an entry type
+ */
+function getCollection(type) {
+    if (type === 'password') {
+        return vaultCache.passwords;
+    }
+    if (type === 'bookmark') {
+        return vaultCache.bookmarks;
+    }
+    throw new Error(`Unknown entry type: ${type}`);
 }
 
 /**
  * Save vault to storage (encrypted)
  */
 async function saveVault() {
-    ensureUnlocked();
+    await ensureUnlocked();
 
-    const encrypted = await encryptObject(vaultCache, masterPasswordCache);
-    await Browser.storage.local.set({ [VAULT_KEY]: encrypted });
+    const encrypted = await writeVault();
 
     // Create automatic backup
-    const { createBackup } = await import('../storage/local-storage.js');
     await createBackup(encrypted);
 }
 
 /**
- * Ensure vault is unlocked
+ * Encrypt the cached vault with the data key and write it with its header
+ * @returns {Promise<Object>} - Stored vault blob
  */
-function ensureUnlocked() {
-    if (!vaultCache || !masterPasswordCache) {
+async function writeVault() {
+    const encrypted = {
+        ...vaultHeader,
+        payload: await encryptObjectWithKey(vaultCache, dataKeyCache)
+    };
+
+    await Browser.storage.local.set({ [VAULT_KEY]: encrypted });
+    return encrypted;
+}
+
+/**
+ * Ensure vault is unlocked, restoring the session if the worker restarted
+ */
+async function ensureUnlocked() {
+    if (!vaultCache || !dataKeyCache) {
+        await restoreVaultSession();
+    }
+
+    if (!vaultCache || !dataKeyCache) {
         throw new Error('Vault is locked. Please unlock first.');
     }
 }
 
 /**
  * Reset auto-lock timer
+ * Uses an alarm because service worker timers die with the worker
  */
 function resetAutoLockTimer() {
-    clearAutoLockTimer();
+    scheduleAutoLock().catch(error => console.error('Auto-lock scheduling error:', error));
+}
+
+/**
+ * Schedule the auto-lock alarm from the autoLock / lockTimeout settings
+ */
+async function scheduleAutoLock() {
+    const { autoLock, lockTimeout } = await getSettings();
+
+    // The vault may have been locked while settings were loading
+    if (!vaultCache) {
+        return;
+    }
 
-    autoLockTimer = setTimeout(() => {
-        lockVault();
-    }, AUTO_LOCK_MINUTES * 60 * 1000);
+    if (!autoLock) {
+        clearAutoLockTimer();
+        return;
+    }
+
+    Browser.alarms.create(AUTO_LOCK_ALARM, {
+        delayInMinutes: lockTimeout
+    });
+}
+
+/**
+ * Re-apply auto-lock settings after they change
+ */
+export async function applyAutoLockSettings() {
+    if (vaultCache) {
+        await scheduleAutoLock();
+    }
 }
 
 /**
  * Clear auto-lock timer
  */
 function clearAutoLockTimer() {
-    if (autoLockTimer) {
-        clearTimeout(autoLockTimer);
-        autoLockTimer = null;
+    Browser.alarms.clear(AUTO_LOCK_ALARM).catch(() => {
+        // No alarm to clear
+    });
+}
+
+/**
+ * Change the master password and re-encrypt the vault and its backup history
+ *
+ * A fresh data key replaces the old one, so nothing written under the old
+ * password stays readable with the new key hierarchy. The new vault and the
+ * re-encrypted backups are committed in a single storage write: a crash before
+ * it leaves the old password working, a crash after it the new one.
+ */
+export async function changeMasterPassword(oldPassword, newPassword) {
+    await ensureUnlocked();
+
+    if (!newPassword) {
+        throw new Error('New master password is required');
+    }
+
+    const stored = await Browser.storage.local.get(VAULT_KEY);
+
+    try {
+        await openVault(stored[VAULT_KEY], oldPassword);
+    } catch (error) {
+        throw new Error('Current master password is incorrect');
     }
+
+    // Backups written since the same unlock share a header; derive each KEK only once
+    const dataKeysBySalt = new Map();
+
+    return rekeyVault(newPassword, blob => openBackup(blob, oldPassword, dataKeysBySalt));
+}
+
+/**
+ * Re-encrypt the open vault and its backups under a new master password and data key
+ * A vault that had a recovery key gets a new one, since the old one wraps the old data key.
+ * @param {string} newPassword - New master password
+ * @param {Function} openOldBackup - async (blob) => vault, throws for backups it cannot open
+ * @returns {Promise<Object>} - { backupsReencrypted, recoveryKey } (recoveryKey is null without a kit)
+ */
+async function rekeyVault(newPassword, openOldBackup) {
+    const newDataKey = await generateDataKey();
+    let newHeader = await createVaultHeader(newPassword, newDataKey);
+    let recoveryKey = null;
+
+    if (vaultHeader.recovery) {
+        recoveryKey = generateRecoveryKey();
+        newHeader = withRecoveryWrapper(newHeader, await createRecoveryWrapper(newDataKey, recoveryKey));
+    }
+
+    const newVaultBlob = {
+        ...newHeader,
+        payload: await encryptObjectWithKey(vaultCache, newDataKey)
+    };
+
+    const backups = await getBackups();
+    const reencryptedBackups = [];
+
+    for (const backup of backups) {
+        try {
+            const backupVault = await openOldBackup(backup.data);
+            reencryptedBackups.push({
+                ...backup,
+                data: {
+                    ...newHeader,
+                    payload: await encryptObjectWithKey(backupVault, newDataKey)
+                }
+            });
+        } catch (error) {
+            // Keeping it would leave data readable only with the old keys
+            console.warn(`Dropping backup from ${backup.timestamp}: it does not open with the current keys`);
+        }
+    }
+
+    await saveWithBackups({ [VAULT_KEY]: newVaultBlob }, reencryptedBackups);
+
+    dataKeyCache = newDataKey;
+    vaultHeader = newHeader;
+    await Browser.storage.session.set({
+        [SESSION_KEY]: { dataKey: await exportDataKey(dataKeyCache) }
+    });
+    resetAutoLockTimer();
+
+    return { backupsReencrypted: reencryptedBackups.length, recoveryKey };
+}
+
+/**
+ * Create a new recovery key for the open vault, replacing any earlier one
+ * Backups under the current data key take the new wrapper; older ones lose
+ * theirs, so a replaced key no longer opens anything.
+ * @returns {Promise<string>} - Recovery key to show in the emergency kit
+ */
+export async function createRecoveryKey() {
+    await ensureUnlocked();
+
+    const recoveryKey = generateRecoveryKey();
+    const recovery = await createRecoveryWrapper(dataKeyCache, recoveryKey);
+    vaultHeader = withRecoveryWrapper(vaultHeader, recovery);
+
+    const backups = (await getBackups()).map(backup => {
+        const sameDataKey = backup.data.kdf && backup.data.kdf.salt === vaultHeader.kdf.salt;
+        return { ...backup, data: withRecoveryWrapper(backup.data, sameDataKey ? recovery : null) };
+    });
+
+    await saveWithBackups({
+        [VAULT_KEY]: {
+            ...vaultHeader,
+            payload: await encryptObjectWithKey(vaultCache, dataKeyCache)
+        }
+    }, backups);
+    resetAutoLockTimer();
+
+    return recoveryKey;
+}
+
+/**
+ * Check whether the stored vault can be opened with a recovery key
+ * Works while locked; the header is not encrypted
+ * @returns {Promise<Object>} - { enabled, createdAt }
+ */
+export async function getRecoveryStatus() {
+    const stored = await Browser.storage.local.get(VAULT_KEY);
+    const recovery = stored[VAULT_KEY] && stored[VAULT_KEY].recovery;
+
+    return {
+        enabled: !!recovery,
+        createdAt: recovery ? recovery.createdAt : null
+    };
+}
+
+/**
+ * Unlock the vault with its recovery key and set a new master password
+ * Runs entirely on this device; the recovery key and new password never leave it.
+ * @param {string} recoveryKey - Key from the emergency kit
+ * @param {string} newPassword - New master password
+ * @returns {Promise<Object>} - { backupsReencrypted, recoveryKey } with the replacement recovery key
+ */
+export async function recoverVault(recoveryKey, newPassword) {
+    if (!newPassword) {
+        throw new Error('New master password is required');
+    }
+
+    const stored = (await Browser.storage.local.get(VAULT_KEY))[VAULT_KEY];
+
+    if (!stored || stored.version !== VAULT_FORMAT_VERSION || !stored.recovery) {
+        throw new Error('This vault has no recovery key');
+    }
+
+    const kek = await deriveRecoveryKeyEncryptionKey(recoveryKey, stored.recovery.salt);
+
+    let dataKey;
+    let vault;
+    try {
+        dataKey = await unwrapDataKey(stored.recovery.wrappedKey, kek);
+        vault = await decryptObjectWithKey(stored.payload, dataKey);
+    } catch (error) {
+        throw new Error('Recovery key is incorrect');
+    }
+
+    const { payload, ...header } = stored;
+    vaultCache = vault;
+    dataKeyCache = dataKey;
+    vaultHeader = header;
+
+    let result;
+    try {
+        // Only backups under the same data key can be carried over without the old password
+        result = await rekeyVault(newPassword, async (blob) => {
+            if (blob.version !== VAULT_FORMAT_VERSION || blob.kdf.salt !== header.kdf.salt) {
+                throw new Error('Backup uses an older key');
+            }
+            return decryptObjectWithKey(blob.payload, dataKey);
+        });
+    } catch (error) {
+        clearVaultCache();
+        throw error;
+    }
+
+    await ensureSealingKeys();
+
+    return result;
+}
+
+/**
+ * Decrypt a backup blob (format 2 or legacy) with the master password
+ */
+async function openBackup(blob, masterPassword, dataKeysBySalt) {
+    if (blob.version !== VAULT_FORMAT_VERSION) {
+        return decryptObject(blob, masterPassword);
+    }
+
+    let dataKey = dataKeysBySalt.get(blob.kdf.salt);
+    if (!dataKey) {
+        const kek = await deriveKeyEncryptionKey(masterPassword, blob.kdf);
+        dataKey = await unwrapDataKey(blob.wrappedKey, kek);
+        dataKeysBySalt.set(blob.kdf.salt, dataKey);
+    }
+
+    return decryptObjectWithKey(blob.payload, dataKey);
 }
 
 /**
  * Export vault data (encrypted)
+ * The export carries its header, so it opens with the master password alone
  */
 export async function exportVault() {
-    ensureUnlocked();
-    const encrypted = await encryptObject(vaultCache, masterPasswordCache);
-    return encrypted;
+    await ensureUnlocked();
+    return {
+        ...vaultHeader,
+        payload: await encryptObjectWithKey(vaultCache, dataKeyCache)
+    };
 }
 
 /**
  * Import vault data (encrypted)
+ * Accepts both format 2 exports and legacy password-encrypted exports
  */
 export async function importVault(encryptedData, masterPassword) {
-    const vault = await decryptObject(encryptedData, masterPassword);
+    const vault = encryptedData.version === VAULT_FORMAT_VERSION
+        ? (await openVault(encryptedData, masterPassword)).vault
+        : await decryptObject(encryptedData, masterPassword);
+
     vaultCache = vault;
-    masterPasswordCache = masterPassword;
+    dataKeyCache = await generateDataKey();
+    vaultHeader = await createVaultHeader(masterPassword, dataKeyCache);
+    await Browser.storage.session.set({
+        [SESSION_KEY]: { dataKey: await exportDataKey(dataKeyCache) }
+    });
     await saveVault();
 }
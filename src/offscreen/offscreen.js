@@ -0,0 +1,25 @@
+/**
+ * Offscreen document for Chrome, whose service worker cannot start workers
+ * Runs Argon2id for the service worker so unlocking does not stall its event loop.
+ * Byte arrays travel as plain arrays, since runtime messages are JSON.
+ */
+
+import { argon2id } from '../crypto/argon2.js';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'RUN_ARGON2ID' || sender.id !== chrome.runtime.id) {
+        return false;
+    }
+
+    try {
+        const hash = argon2id({
+            ...message.options,
+            password: Uint8Array.from(message.options.password),
+            salt: Uint8Array.from(message.options.salt)
+        });
+        sendResponse({ success: true, hash: Array.from(hash) });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+    return false;
+});
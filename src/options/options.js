@@ -1,7 +1,23 @@
 // Options page functionality
+import { getSettings, saveSettings, validateSetting } from '../storage/settings.js';
+import { saveLastSyncTimestamp } from '../storage/local-storage.js';
+import { checkHealth, requestHostPermission } from '../utils/api-endpoint.js';
+import { isAuthenticated } from '../auth/auth-service.js';
+import { downloadEmergencyKit } from '../utils/emergency-kit.js';
+
+// Settings as last saved, to tell what the user changed
+let savedSettings = null;
+
+// Recovery key created on this page, kept only until the page is closed
+let recoveryKitKey = null;
+
+// Whether the user edited the hint field; an untouched field leaves the server hint alone
+let masterHintEdited = false;
+
 document.addEventListener('DOMContentLoaded', async () => {
     await loadSettings();
     await loadUserInfo();
+    await loadRecoveryStatus();
     setupEventListeners();
 });
 
@@ -10,16 +26,7 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadSettings() {
     try {
-        const settings = await chrome.storage.sync.get({
-            syncPasswords: true,
-            syncBookmarks: true,
-            autoSync: true,
-            syncInterval: 5,
-            masterPassword: false,
-            autoLock: false,
-            lockTimeout: 15,
-            apiUrl: 'http://localhost:3000'
-        });
+        const settings = await getSettings();
 
         // Populate form fields
         document.getElementById('sync-passwords').checked = settings.syncPasswords;
@@ -29,7 +36,10 @@ async function loadSettings() {
         document.getElementById('master-password').checked = settings.masterPassword;
         document.getElementById('auto-lock').checked = settings.autoLock;
         document.getElementById('lock-timeout').value = settings.lockTimeout;
+        document.getElementById('trash-retention').value = settings.trashRetentionDays;
         document.getElementById('api-url').value = settings.apiUrl;
+        savedSettings = settings;
+        document.getElementById('conflict-resolution').value = settings.conflictResolution;
     } catch (error) {
         console.error('Failed to load settings:', error);
         showStatus('Failed to load settings', 'error');
@@ -47,11 +57,13 @@ async function loadUserInfo() {
             document.getElementById('user-email').textContent = user.email;
             document.getElementById('account-status').textContent = 'Active';
             document.getElementById('account-status').style.color = '#10b981';
+            document.getElementById('two-factor-btn').style.display = 'inline-block';
             document.getElementById('logout-btn').style.display = 'inline-block';
         } else {
             document.getElementById('user-email').textContent = 'Not logged in';
             document.getElementById('account-status').textContent = 'Inactive';
             document.getElementById('account-status').style.color = '#ef4444';
+            document.getElementById('two-factor-btn').style.display = 'none';
         }
 
         if (lastSync) {
@@ -68,7 +80,12 @@ async function loadUserInfo() {
  */
 function setupEventListeners() {
     // Save button
-    document.getElementById('save-btn').addEventListener('click', saveSettings);
+    document.getElementById('save-btn').addEventListener('click', saveOptions);
+
+    // Two-factor settings live on the auth page
+    document.getElementById('two-factor-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('src/auth/auth.html#two-factor') });
+    });
 
     // Logout button
     document.getElementById('logout-btn').addEventListener('click', logout);
@@ -84,12 +101,146 @@ function setupEventListeners() {
 
     // Clear data
     document.getElementById('clear-data-btn').addEventListener('click', clearData);
+
+    // Change master password
+    document.getElementById('change-master-form').addEventListener('submit', changeMasterPassword);
+    document.getElementById('new-master-hint').addEventListener('input', () => {
+        masterHintEdited = true;
+    });
+
+    // Recovery key
+    document.getElementById('create-recovery-key-btn').addEventListener('click', createRecoveryKey);
+    document.getElementById('download-kit-btn').addEventListener('click', downloadKit);
+}
+
+/**
+ * Show whether the vault has a recovery key
+ */
+async function loadRecoveryStatus() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_VAULT_STATUS' });
+        const status = document.getElementById('recovery-key-status');
+
+        if (response && response.success && response.data.hasRecoveryKey) {
+            status.textContent = 'Set up';
+            status.style.color = '#10b981';
+        } else {
+            status.textContent = 'Not set up';
+            status.style.color = '#ef4444';
+        }
+    } catch (error) {
+        console.error('Failed to load recovery key status:', error);
+    }
+}
+
+/**
+ * Create a recovery key, replacing the current one
+ */
+async function createRecoveryKey() {
+    if (!confirm('Create a new recovery key? Your current emergency kit will stop working.')) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'CREATE_RECOVERY_KEY' });
+
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Could not create a recovery key');
+        }
+
+        showRecoveryKit(response.data);
+        await loadRecoveryStatus();
+        showStatus('New recovery key created. Download your emergency kit.', 'success');
+    } catch (error) {
+        console.error('Recovery key creation failed:', error);
+        showStatus(error.message, 'error');
+    }
+}
+
+/**
+ * Show a new recovery key with its download button
+ */
+function showRecoveryKit(recoveryKey) {
+    recoveryKitKey = recoveryKey;
+    document.getElementById('recovery-kit-key').textContent = recoveryKey;
+    document.getElementById('recovery-kit').style.display = 'block';
+}
+
+/**
+ * Download the emergency kit for the recovery key shown on the page
+ */
+async function downloadKit() {
+    const { user } = await chrome.storage.local.get('user');
+    downloadEmergencyKit(recoveryKitKey, user ? user.email : null);
+}
+
+/**
+ * Change master password (the service worker re-encrypts the vault)
+ */
+async function changeMasterPassword(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const currentPassword = document.getElementById('current-master-password').value;
+    const newPassword = document.getElementById('new-master-password').value;
+    const confirmPassword = document.getElementById('confirm-master-password').value;
+    const masterPasswordHint = document.getElementById('new-master-hint').value.trim();
+
+    if (newPassword !== confirmPassword) {
+        showStatus('New master passwords do not match', 'error');
+        return;
+    }
+
+    if (newPassword === currentPassword) {
+        showStatus('New master password must be different', 'error');
+        return;
+    }
+
+    const button = document.getElementById('change-master-btn');
+    button.disabled = true;
+    showStatus('Re-encrypting vault... this can take a few seconds', 'success');
+
+    try {
+        const message = { type: 'CHANGE_MASTER_PASSWORD', currentPassword, newPassword };
+
+        // The hint lives on the server; send it only when there is something to update
+        if (masterHintEdited && await isAuthenticated()) {
+            message.masterPasswordHint = masterPasswordHint;
+        }
+
+        const response = await chrome.runtime.sendMessage(message);
+
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Master password change failed');
+        }
+
+        form.reset();
+        masterHintEdited = false;
+
+        // The recovery key is replaced along with the vault key
+        if (response.data.recoveryKey) {
+            showRecoveryKit(response.data.recoveryKey);
+        }
+
+        if (response.data.hintUpdated === false) {
+            showStatus('Master password changed. The hint was not updated on the server.', 'error');
+        } else {
+            showStatus(response.data.recoveryKey
+                ? 'Master password changed. Download the emergency kit for your new recovery key.'
+                : 'Master password changed successfully!', 'success');
+        }
+    } catch (error) {
+        console.error('Master password change failed:', error);
+        showStatus(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
 }
 
 /**
  * Save settings
  */
-async function saveSettings() {
+async function saveOptions() {
     try {
         const settings = {
             syncPasswords: document.getElementById('sync-passwords').checked,
@@ -99,7 +250,9 @@ async function saveSettings() {
             masterPassword: document.getElementById('master-password').checked,
             autoLock: document.getElementById('auto-lock').checked,
             lockTimeout: parseInt(document.getElementById('lock-timeout').value),
-            apiUrl: document.getElementById('api-url').value.trim()
+            trashRetentionDays: parseInt(document.getElementById('trash-retention').value),
+            apiUrl: document.getElementById('api-url').value.trim(),
+            conflictResolution: document.getElementById('conflict-resolution').value
         };
 
         // Validate
@@ -113,20 +266,88 @@ async function saveSettings() {
             return;
         }
 
+        if (settings.trashRetentionDays < 1 || settings.trashRetentionDays > 365) {
+            showStatus('Trash retention must be between 1 and 365 days', 'error');
+            return;
+        }
+
         if (!settings.apiUrl) {
             showStatus('API URL is required', 'error');
             return;
         }
 
-        await chrome.storage.sync.set(settings);
+        settings.apiUrl = validateSetting('apiUrl', settings.apiUrl);
+        const serverChanged = settings.apiUrl !== savedSettings.apiUrl;
+
+        if (serverChanged) {
+            // The permission prompt needs the click's user gesture, so ask before anything else
+            if (!await requestHostPermission(settings.apiUrl)) {
+                showStatus('SecureSync needs permission to reach this server', 'error');
+                return;
+            }
+
+            showStatus('Checking server...', 'success');
+
+            if (!await checkHealth(settings.apiUrl)) {
+                showStatus(`No SecureSync server answered at ${settings.apiUrl}/health`, 'error');
+                return;
+            }
+        }
+
+        // Schema validation rejects anything the checks above let through
+        const previous = savedSettings;
+        savedSettings = await saveSettings(settings);
+
+        if (serverChanged) {
+            // Revision cursors belong to the old server; fetch everything from the new one
+            await saveLastSyncTimestamp({ password: 0, bookmark: 0 });
+            document.getElementById('api-url').value = settings.apiUrl;
+        }
 
-        // Notify background script of settings change
-        chrome.runtime.sendMessage({ type: 'SETTINGS_UPDATED', settings });
+        // Notify background script so alarms pick up the new values
+        await chrome.runtime.sendMessage({ type: 'SETTINGS_UPDATED' });
 
         showStatus('Settings saved successfully!', 'success');
+
+        if (!serverChanged) {
+            await offerServerDataDeletion(previous, savedSettings);
+        }
     } catch (error) {
         console.error('Failed to save settings:', error);
-        showStatus('Failed to save settings', 'error');
+        showStatus(`Failed to save settings: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Offer to delete a type's data from the server when its sync was turned off
+ */
+async function offerServerDataDeletion(previous, settings) {
+    const turnedOff = [
+        { type: 'password', label: 'passwords', off: previous.syncPasswords && !settings.syncPasswords },
+        { type: 'bookmark', label: 'bookmarks', off: previous.syncBookmarks && !settings.syncBookmarks }
+    ].filter(item => item.off);
+
+    if (turnedOff.length === 0 || !await isAuthenticated()) {
+        return;
+    }
+
+    for (const { type, label } of turnedOff) {
+        if (!confirm(`Sync for ${label} is now off. Also delete your synced ${label} from the server?\n\n` +
+            `Entries on this device are kept. Other devices will stop syncing ${label} and keep their local copies; ` +
+            `turning ${label} sync back on there uploads all of theirs again.`)) {
+            continue;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'DELETE_SYNCED_DATA', entryType: type });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Request failed');
+            }
+            showStatus(`Deleted ${response.data.deleted} synced ${label} from the server`, 'success');
+        } catch (error) {
+            console.error('Delete synced data error:', error);
+            showStatus(`Failed to delete synced ${label}: ${error.message}`, 'error');
+        }
     }
 }
 
@@ -3,21 +3,53 @@
  */
 
 import Browser from '../utils/browser-polyfill.js';
-import { isVaultLocked, initializeVault, lockVault, getPasswords } from '../crypto/vault.js';
-import { isAuthenticated } from '../auth/auth-service.js';
+import {
+    getVaultStatus,
+    initializeVault,
+    lockVault,
+    getPasswords,
+    updatePassword,
+    getBookmarks,
+    getConflicts,
+    restoreEntry,
+    eraseEntry,
+    createRecoveryKey,
+    recoverVault,
+    setUpSync
+} from '../crypto/vault-client.js';
+import { isAuthenticated, getCurrentUserEmail } from '../auth/auth-service.js';
+import { generateTOTPFromUri, toOtpauthUri } from '../auth/two-factor-auth.js';
+import { getSettings } from '../storage/settings.js';
+import { downloadEmergencyKit } from '../utils/emergency-kit.js';
+
+// Fields a permanently deleted entry keeps until its tombstone is purged
+const TOMBSTONE_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'deletedAt', 'syncBase']);
 
 // DOM elements
-let lockedView, unlockedView, loginView, setupView;
-let unlockForm, masterPasswordInput, unlockError, showHintBtn, masterHintDisplay;
+let lockedView, unlockedView, loginView, setupView, recoverView, recoveryKitView;
+let unlockForm, masterPasswordInput, unlockError, showHintBtn, masterHintDisplay, useRecoveryKeyBtn;
+let recoverForm, recoveryKeyInput, recoverPassword, recoverPasswordConfirm, recoverError, cancelRecoverBtn;
+let recoveryKeyDisplay, downloadKitBtn, copyRecoveryKeyBtn, recoveryKitDoneBtn;
 let setupForm, setupPassword, setupPasswordConfirm, setupError;
 let passwordList, emptyState, searchInput;
-let syncBtn, lockBtn, addPasswordBtn, openSettingsBtn, gotoLoginBtn, exportVaultBtn, logoutBtn;
-let syncStatus;
+let syncBtn, lockBtn, addPasswordBtn, openSettingsBtn, gotoLoginBtn, exportVaultBtn, logoutBtn, openBookmarksBtn;
+let syncStatus, conflictsBanner, conflictsText, reviewConflictsBtn;
+let syncSetupBanner, syncSetupPassword, syncSetupError;
+let trashBtn, closeTrashBtn, passwordsPanel, trashPanel, trashList, trashEmpty, trashNote;
 let addPasswordModal, addPasswordForm, closeModalBtn, cancelAddBtn;
-let manualWebsite, manualUsername, manualPassword, manualNotes, addPasswordError;
+let manualWebsite, manualUsername, manualPassword, manualOtpauth, manualNotes, addPasswordError, passwordModalTitle;
 
 let unlockAttempts = 0;
 
+// Entry being edited in the password modal, or null when adding
+let editingPasswordId = null;
+
+// Ticks the one-time codes shown in the password list
+let totpTimer = null;
+
+// Recovery key shown in the emergency kit view; cleared once the user is done
+let pendingRecoveryKey = null;
+
 /**
  * Initialize popup
  */
@@ -27,12 +59,27 @@ async function initialize() {
     unlockedView = document.getElementById('unlocked-view');
     loginView = document.getElementById('login-view');
     setupView = document.getElementById('setup-view');
+    recoverView = document.getElementById('recover-view');
+    recoveryKitView = document.getElementById('recovery-kit-view');
 
     unlockForm = document.getElementById('unlock-form');
     masterPasswordInput = document.getElementById('master-password');
     unlockError = document.getElementById('unlock-error');
     showHintBtn = document.getElementById('show-hint-btn');
     masterHintDisplay = document.getElementById('master-hint-display');
+    useRecoveryKeyBtn = document.getElementById('use-recovery-key-btn');
+
+    recoverForm = document.getElementById('recover-form');
+    recoveryKeyInput = document.getElementById('recovery-key-input');
+    recoverPassword = document.getElementById('recover-password');
+    recoverPasswordConfirm = document.getElementById('recover-password-confirm');
+    recoverError = document.getElementById('recover-error');
+    cancelRecoverBtn = document.getElementById('cancel-recover-btn');
+
+    recoveryKeyDisplay = document.getElementById('recovery-key-display');
+    downloadKitBtn = document.getElementById('download-kit-btn');
+    copyRecoveryKeyBtn = document.getElementById('copy-recovery-key-btn');
+    recoveryKitDoneBtn = document.getElementById('recovery-kit-done-btn');
 
     setupForm = document.getElementById('setup-form');
     setupPassword = document.getElementById('setup-password');
@@ -49,8 +96,22 @@ async function initialize() {
     openSettingsBtn = document.getElementById('open-settings-btn');
     gotoLoginBtn = document.getElementById('goto-login-btn');
     exportVaultBtn = document.getElementById('export-vault-btn');
+    openBookmarksBtn = document.getElementById('open-bookmarks-btn');
     logoutBtn = document.getElementById('logout-btn');
     syncStatus = document.getElementById('sync-status');
+    conflictsBanner = document.getElementById('conflicts-banner');
+    conflictsText = document.getElementById('conflicts-text');
+    reviewConflictsBtn = document.getElementById('review-conflicts-btn');
+    syncSetupBanner = document.getElementById('sync-setup-banner');
+    syncSetupPassword = document.getElementById('sync-setup-password');
+    syncSetupError = document.getElementById('sync-setup-error');
+    trashBtn = document.getElementById('trash-btn');
+    closeTrashBtn = document.getElementById('close-trash-btn');
+    passwordsPanel = document.getElementById('passwords-panel');
+    trashPanel = document.getElementById('trash-panel');
+    trashList = document.getElementById('trash-list');
+    trashEmpty = document.getElementById('trash-empty');
+    trashNote = document.getElementById('trash-note');
 
     // Modal elements
     addPasswordModal = document.getElementById('add-password-modal');
@@ -60,13 +121,21 @@ async function initialize() {
     manualWebsite = document.getElementById('manual-website');
     manualUsername = document.getElementById('manual-username');
     manualPassword = document.getElementById('manual-password');
+    manualOtpauth = document.getElementById('manual-otpauth');
     manualNotes = document.getElementById('manual-notes');
     addPasswordError = document.getElementById('add-password-error');
+    passwordModalTitle = document.getElementById('password-modal-title');
 
     // Attach event listeners
     unlockForm.addEventListener('submit', handleUnlock);
     setupForm.addEventListener('submit', handleSetup);
     if (showHintBtn) showHintBtn.addEventListener('click', handleShowHint);
+    useRecoveryKeyBtn.addEventListener('click', () => showView('recover'));
+    recoverForm.addEventListener('submit', handleRecover);
+    cancelRecoverBtn.addEventListener('click', () => showView('locked'));
+    downloadKitBtn.addEventListener('click', handleDownloadKit);
+    copyRecoveryKeyBtn.addEventListener('click', () => copyToClipboard(pendingRecoveryKey, 'Recovery key copied!'));
+    recoveryKitDoneBtn.addEventListener('click', handleRecoveryKitDone);
     lockBtn.addEventListener('click', handleLock);
     syncBtn.addEventListener('click', handleSync);
     searchInput.addEventListener('input', handleSearch);
@@ -74,7 +143,12 @@ async function initialize() {
     openSettingsBtn.addEventListener('click', openSettings);
     gotoLoginBtn.addEventListener('click', openSettings);
     exportVaultBtn.addEventListener('click', handleExportVault);
+    openBookmarksBtn.addEventListener('click', openBookmarks);
     logoutBtn.addEventListener('click', handleLogout);
+    reviewConflictsBtn.addEventListener('click', openConflicts);
+    syncSetupBanner.addEventListener('submit', handleSyncSetup);
+    trashBtn.addEventListener('click', openTrash);
+    closeTrashBtn.addEventListener('click', closeTrash);
     addPasswordForm.addEventListener('submit', handleAddPassword);
     closeModalBtn.addEventListener('click', closeAddPasswordModal);
     cancelAddBtn.addEventListener('click', closeAddPasswordModal);
@@ -104,6 +178,11 @@ async function initialize() {
         if (message.type === 'SYNC_COMPLETED') {
             hideSyncStatus();
             loadPasswords();
+            if (!trashPanel.classList.contains('hidden')) {
+                loadTrash();
+            }
+            updateConflictsBanner();
+            showSyncSummary(message.data);
         }
     });
 
@@ -125,19 +204,19 @@ async function checkStatus() {
     }
 
     // Check if vault exists
-    const stored = await Browser.storage.local.get('secure_vault');
-    if (!stored.secure_vault) {
+    const { exists, locked } = await getVaultStatus();
+    if (!exists) {
         showView('setup');
         return;
     }
 
-    const locked = await isVaultLocked();
-
     if (locked) {
         showView('locked');
     } else {
         showView('unlocked');
         await loadPasswords();
+        await updateConflictsBanner();
+        await updateSyncSetupBanner();
     }
 }
 
@@ -149,6 +228,8 @@ function showView(view) {
     unlockedView.classList.add('hidden');
     loginView.classList.add('hidden');
     setupView.classList.add('hidden');
+    recoverView.classList.add('hidden');
+    recoveryKitView.classList.add('hidden');
 
     if (view === 'locked') {
         lockedView.classList.remove('hidden');
@@ -157,6 +238,13 @@ function showView(view) {
         unlockAttempts = 0;
         if (showHintBtn) showHintBtn.classList.add('hidden');
         if (masterHintDisplay) masterHintDisplay.classList.add('hidden');
+        updateRecoveryLink();
+    } else if (view === 'recover') {
+        recoverView.classList.remove('hidden');
+        recoverError.classList.add('hidden');
+        recoveryKeyInput.focus();
+    } else if (view === 'recovery-kit') {
+        recoveryKitView.classList.remove('hidden');
     } else if (view === 'unlocked') {
         unlockedView.classList.remove('hidden');
     } else if (view === 'login') {
@@ -181,6 +269,8 @@ async function handleUnlock(e) {
         unlockError.classList.add('hidden');
         showView('unlocked');
         await loadPasswords();
+        await updateConflictsBanner();
+        await updateSyncSetupBanner();
     } catch (error) {
         unlockAttempts++;
         unlockError.textContent = 'Invalid master password';
@@ -211,37 +301,109 @@ async function handleSetup(e) {
 
     try {
         await initializeVault(password);
-        showView('unlocked');
-        showToast('✅ Vault created successfully!');
     } catch (error) {
         setupError.textContent = `Setup failed: ${error.message}`;
         setupError.classList.remove('hidden');
+        return;
     }
+
+    try {
+        const recoveryKey = await createRecoveryKey();
+        showRecoveryKit(recoveryKey);
+    } catch (error) {
+        // The vault works without one; a key can still be created from settings
+        console.error('Recovery key error:', error);
+        showView('unlocked');
+    }
+    showToast('✅ Vault created successfully!');
+}
+
+/**
+ * Offer the recovery key link only when the vault has a recovery key
+ */
+async function updateRecoveryLink() {
+    try {
+        const { hasRecoveryKey } = await getVaultStatus();
+        useRecoveryKeyBtn.classList.toggle('hidden', !hasRecoveryKey);
+    } catch (error) {
+        useRecoveryKeyBtn.classList.add('hidden');
+    }
+}
+
+/**
+ * Handle recovery form submission
+ * Sets a new master password with the recovery key; the key itself is replaced
+ */
+async function handleRecover(e) {
+    e.preventDefault();
+
+    const password = recoverPassword.value;
+
+    if (password !== recoverPasswordConfirm.value) {
+        recoverError.textContent = 'Passwords do not match';
+        recoverError.classList.remove('hidden');
+        return;
+    }
+
+    try {
+        const { recoveryKey } = await recoverVault(recoveryKeyInput.value, password);
+        recoverForm.reset();
+        showRecoveryKit(recoveryKey);
+        showToast('✅ Vault recovered. Save your new recovery key.');
+    } catch (error) {
+        recoverError.textContent = error.message;
+        recoverError.classList.remove('hidden');
+    }
+}
+
+/**
+ * Show the emergency kit view for a freshly created recovery key
+ */
+function showRecoveryKit(recoveryKey) {
+    pendingRecoveryKey = recoveryKey;
+    recoveryKeyDisplay.textContent = recoveryKey;
+    showView('recovery-kit');
+}
+
+/**
+ * Handle download kit button click
+ */
+async function handleDownloadKit() {
+    downloadEmergencyKit(pendingRecoveryKey, await getCurrentUserEmail());
+}
+
+/**
+ * Leave the emergency kit view; the key is not kept around afterwards
+ */
+async function handleRecoveryKitDone() {
+    pendingRecoveryKey = null;
+    recoveryKeyDisplay.textContent = '';
+    showView('unlocked');
+    await loadPasswords();
+    await updateConflictsBanner();
+    await updateSyncSetupBanner();
 }
 
 /**
  * Handle show hint button click
+ * The hint is only sent to the account's email, never shown to whoever holds the device
  */
 async function handleShowHint() {
     try {
-        const { forgotPassword } = await import('../auth/auth-service.js');
+        const { sendMasterPasswordHint } = await import('../auth/auth-service.js');
         const email = await Browser.storage.local.get('user_email');
 
         if (!email.user_email) {
             masterHintDisplay.textContent = 'Hint: Email not found.';
         } else {
-            const hints = await forgotPassword(email.user_email);
-            if (hints.masterPasswordHint) {
-                masterHintDisplay.textContent = `💡 Your Hint: ${hints.masterPasswordHint}`;
-            } else {
-                masterHintDisplay.textContent = '💡 No hint available for this vault.';
-            }
+            await sendMasterPasswordHint(email.user_email);
+            masterHintDisplay.textContent = `📧 Your hint was sent to ${email.user_email}.`;
         }
         masterHintDisplay.classList.remove('hidden');
         showHintBtn.classList.add('hidden');
     } catch (error) {
         console.error('Show hint error:', error);
-        masterHintDisplay.textContent = '❌ Could not retrieve hint.';
+        masterHintDisplay.textContent = '❌ Could not send hint.';
         masterHintDisplay.classList.remove('hidden');
     }
 }
@@ -251,6 +413,7 @@ async function handleShowHint() {
  */
 async function handleLock() {
     await lockVault();
+    closeTrash();
     showView('locked');
 }
 
@@ -261,7 +424,11 @@ async function handleSync() {
     showSyncStatus();
 
     try {
-        await Browser.runtime.sendMessage({ type: 'SYNC_NOW' });
+        const response = await Browser.runtime.sendMessage({ type: 'SYNC_NOW' });
+        if (!response || !response.success) {
+            hideSyncStatus();
+            showToast(`❌ Sync failed${response && response.error ? `: ${response.error}` : ''}`);
+        }
     } catch (error) {
         console.error('Sync error:', error);
         hideSyncStatus();
@@ -313,6 +480,8 @@ async function loadPasswords(filter = '') {
         if (filtered.length === 0) {
             passwordList.classList.add('hidden');
             emptyState.classList.remove('hidden');
+            passwordList.innerHTML = '';
+            startTotpTimer();
             return;
         }
 
@@ -320,46 +489,249 @@ async function loadPasswords(filter = '') {
         emptyState.classList.add('hidden');
 
         // Render password items
-        passwordList.innerHTML = filtered.map(p => createPasswordItem(p)).join('');
+        passwordList.innerHTML = '';
+        filtered.forEach(p => passwordList.appendChild(createPasswordItem(p)));
 
-        // Attach copy button listeners
-        document.querySelectorAll('.copy-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const password = e.target.dataset.password;
-                copyToClipboard(password);
-            });
-        });
+        await refreshTotpCodes();
+        startTotpTimer();
     } catch (error) {
         console.error('Load passwords error:', error);
     }
 }
 
 /**
- * Create password item HTML
+ * Create password item element
  */
 function createPasswordItem(password) {
-    const domain = new URL(password.url).hostname;
+    const row = document.createElement('div');
+    row.className = 'password-item';
+
+    const info = document.createElement('div');
+    info.className = 'password-info';
+
+    const domain = document.createElement('div');
+    domain.className = 'password-domain';
+    domain.textContent = getHostname(password.url);
+
+    const username = document.createElement('div');
+    username.className = 'password-username';
+    username.textContent = password.username;
+
+    info.appendChild(domain);
+    info.appendChild(username);
+    row.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'password-actions';
+
+    // Live one-time code for entries with an authenticator key
+    if (password.otpauth) {
+        const totp = document.createElement('button');
+        totp.className = 'totp-code';
+        totp.dataset.otpauth = password.otpauth;
+        totp.title = 'Copy one-time code';
+        totp.innerHTML = '<span class="totp-value">······</span><span class="totp-timer"></span>';
+        totp.addEventListener('click', () => {
+            copyToClipboard(totp.dataset.code, 'Code copied!');
+        });
+        actions.appendChild(totp);
+    }
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'copy-btn';
+    editBtn.title = 'Edit';
+    editBtn.textContent = '✏️';
+    editBtn.addEventListener('click', () => openEditPasswordModal(password));
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'copy-btn';
+    copyBtn.title = 'Copy password';
+    copyBtn.textContent = '📋';
+    copyBtn.addEventListener('click', () => copyToClipboard(password.password));
+
+    actions.appendChild(editBtn);
+    actions.appendChild(copyBtn);
+    row.appendChild(actions);
+
+    return row;
+}
+
+/**
+ * Update every one-time code in the password list and its countdown
+ */
+async function refreshTotpCodes() {
+    const elements = passwordList.querySelectorAll('.totp-code');
+
+    for (const element of elements) {
+        try {
+            const { code, remaining } = await generateTOTPFromUri(element.dataset.otpauth);
+            element.dataset.code = code;
+            element.querySelector('.totp-value').textContent = code;
+            element.querySelector('.totp-timer').textContent = `${remaining}s`;
+            element.classList.toggle('expiring', remaining <= 5);
+        } catch (error) {
+            element.disabled = true;
+            element.title = error.message;
+            element.querySelector('.totp-value').textContent = 'Invalid key';
+        }
+    }
+}
+
+/**
+ * Tick the one-time codes every second while any are shown
+ */
+function startTotpTimer() {
+    clearInterval(totpTimer);
+    totpTimer = null;
+
+    if (passwordList.querySelector('.totp-code')) {
+        totpTimer = setInterval(refreshTotpCodes, 1000);
+    }
+}
+
+/**
+ * Show the trash instead of the password list
+ */
+async function openTrash() {
+    passwordsPanel.classList.add('hidden');
+    trashPanel.classList.remove('hidden');
+    await loadTrash();
+}
+
+/**
+ * Go back from the trash to the password list
+ */
+function closeTrash() {
+    trashPanel.classList.add('hidden');
+    passwordsPanel.classList.remove('hidden');
+}
+
+/**
+ * Load and display deleted passwords and bookmarks, newest first
+ */
+async function loadTrash() {
+    try {
+        const [passwords, bookmarks, settings] = await Promise.all([getPasswords(), getBookmarks(), getSettings()]);
+
+        const items = [
+            ...passwords.map(entry => ({ type: 'password', entry })),
+            ...bookmarks.map(entry => ({ type: 'bookmark', entry }))
+        ]
+            .filter(({ entry }) => entry.deletedAt && Object.keys(entry).some(field => !TOMBSTONE_FIELDS.has(field)))
+            .sort((a, b) => b.entry.deletedAt.localeCompare(a.entry.deletedAt));
+
+        trashNote.textContent = `Items are removed for good ${settings.trashRetentionDays} days after they were deleted.`;
+        trashList.innerHTML = '';
+        trashList.classList.toggle('hidden', items.length === 0);
+        trashEmpty.classList.toggle('hidden', items.length > 0);
+
+        for (const item of items) {
+            trashList.appendChild(createTrashItem(item));
+        }
+    } catch (error) {
+        console.error('Load trash error:', error);
+    }
+}
+
+/**
+ * Build the trash row for one deleted entry
+ */
+function createTrashItem({ type, entry }) {
+    const row = document.createElement('div');
+    row.className = 'password-item';
+
+    const info = document.createElement('div');
+    info.className = 'password-info';
 
-    return `
-    <div class="password-item">
-      <div class="password-info">
-        <div class="password-domain">${domain}</div>
-        <div class="password-username">${password.username}</div>
-      </div>
-      <button class="copy-btn" data-password="${password.password}" title="Copy password">
-        📋
-      </button>
-    </div>
-  `;
+    const name = document.createElement('div');
+    name.className = 'password-domain';
+    const detail = document.createElement('div');
+    detail.className = 'password-username';
+
+    if (type === 'password') {
+        name.textContent = `🔑 ${getHostname(entry.url)}`;
+        detail.textContent = `${entry.username || ''} · deleted ${new Date(entry.deletedAt).toLocaleDateString()}`;
+    } else {
+        name.textContent = `${entry.kind === 'folder' ? '📁' : '🔖'} ${entry.title || entry.url || 'Untitled'}`;
+        detail.textContent = `deleted ${new Date(entry.deletedAt).toLocaleDateString()}`;
+    }
+
+    info.appendChild(name);
+    info.appendChild(detail);
+    row.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'trash-actions';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'copy-btn';
+    restoreBtn.title = 'Restore';
+    restoreBtn.textContent = '♻️';
+    restoreBtn.addEventListener('click', () => handleRestore(type, entry.id));
+    actions.appendChild(restoreBtn);
+
+    const eraseBtn = document.createElement('button');
+    eraseBtn.className = 'copy-btn danger';
+    eraseBtn.title = 'Delete forever';
+    eraseBtn.textContent = '✖';
+    eraseBtn.addEventListener('click', () => handleErase(type, entry.id));
+    actions.appendChild(eraseBtn);
+
+    row.appendChild(actions);
+    return row;
+}
+
+/**
+ * Restore an entry from the trash
+ */
+async function handleRestore(type, id) {
+    try {
+        await restoreEntry(type, id);
+        await loadTrash();
+        await loadPasswords();
+        showToast('♻️ Restored');
+    } catch (error) {
+        console.error('Restore error:', error);
+        showToast(`❌ Restore failed: ${error.message}`);
+    }
+}
+
+/**
+ * Permanently delete an entry from the trash after confirmation
+ */
+async function handleErase(type, id) {
+    if (!confirm('Delete this item forever? It cannot be restored afterwards.')) {
+        return;
+    }
+
+    try {
+        await eraseEntry(type, id);
+        await loadTrash();
+        showToast('🗑️ Deleted forever');
+    } catch (error) {
+        console.error('Erase error:', error);
+        showToast(`❌ Delete failed: ${error.message}`);
+    }
+}
+
+/**
+ * Hostname of a saved URL, or the text as stored if it is not a URL
+ */
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return url || '';
+    }
 }
 
 /**
  * Copy text to clipboard
  */
-async function copyToClipboard(text) {
+async function copyToClipboard(text, message = 'Password copied!') {
     try {
         await navigator.clipboard.writeText(text);
-        showToast('Password copied!');
+        showToast(message);
     } catch (error) {
         console.error('Copy error:', error);
     }
@@ -407,12 +779,103 @@ function hideSyncStatus() {
     syncBtn.disabled = false;
 }
 
+/**
+ * Show what a completed sync changed locally
+ */
+function showSyncSummary(result) {
+    if (!result || result.status !== 'success') {
+        return;
+    }
+
+    if (result.resets && result.resets.length > 0) {
+        const names = result.resets.map(type => (type === 'password' ? 'Password' : 'Bookmark'));
+        showToast(`⚠️ ${names.join(' and ')} sync was turned off: the synced data was deleted on another device`);
+        return;
+    }
+
+    const totals = { added: 0, updated: 0, deleted: 0 };
+    for (const part of [result.passwords, result.bookmarks]) {
+        if (!part) continue;
+        totals.added += part.added || 0;
+        totals.updated += part.updated || 0;
+        totals.deleted += part.deleted || 0;
+    }
+
+    const changes = Object.entries(totals)
+        .filter(([, count]) => count > 0)
+        .map(([kind, count]) => `${count} ${kind}`);
+
+    showToast(changes.length > 0 ? `🔄 Synced: ${changes.join(', ')}` : '✅ Already up to date');
+}
+
+/**
+ * Show how many sync conflicts are waiting for review
+ */
+async function updateConflictsBanner() {
+    try {
+        const conflicts = await getConflicts();
+        conflictsText.textContent = `⚠️ ${conflicts.length} sync conflict${conflicts.length === 1 ? '' : 's'} to review`;
+        conflictsBanner.classList.toggle('hidden', conflicts.length === 0);
+    } catch (error) {
+        conflictsBanner.classList.add('hidden');
+    }
+}
+
+/**
+ * Ask for the master password when the vault was unlocked before signing in
+ */
+async function updateSyncSetupBanner() {
+    try {
+        const { syncSetupNeeded } = await getVaultStatus();
+        syncSetupBanner.classList.toggle('hidden', !syncSetupNeeded);
+    } catch (error) {
+        syncSetupBanner.classList.add('hidden');
+    }
+}
+
+/**
+ * Handle sync setup form submission
+ */
+async function handleSyncSetup(e) {
+    e.preventDefault();
+
+    try {
+        await setUpSync(syncSetupPassword.value);
+        syncSetupBanner.reset();
+        syncSetupError.classList.add('hidden');
+        syncSetupBanner.classList.add('hidden');
+        showToast('✅ Sync is set up');
+    } catch (error) {
+        syncSetupError.textContent = error.message;
+        syncSetupError.classList.remove('hidden');
+        syncSetupPassword.select();
+    }
+}
+
+/**
+ * Open the conflict review page
+ */
+function openConflicts() {
+    Browser.tabs.create({
+        url: Browser.runtime.getURL('src/conflicts/conflicts.html')
+    });
+}
+
+/**
+ * Open the bookmark manager in a tab
+ */
+function openBookmarks() {
+    Browser.tabs.create({
+        url: Browser.runtime.getURL('src/bookmarks/bookmarks.html')
+    });
+}
+
 /**
  * Handle export vault button click
  */
 async function handleExportVault() {
     try {
-        const { exportVault } = await import('../crypto/vault.js');
+        const { exportVault } = await import('../crypto/vault-client.js');
         const vaultData = await exportVault();
 
         // Create JSON blob
@@ -460,6 +923,8 @@ async function openSettings() {
  * Open add password modal
  */
 function openAddPasswordModal() {
+    editingPasswordId = null;
+    passwordModalTitle.textContent = 'Add Password Manually';
     addPasswordModal.classList.remove('hidden');
     manualWebsite.focus();
     // Clear previous values
@@ -467,17 +932,33 @@ function openAddPasswordModal() {
     addPasswordError.classList.add('hidden');
 }
 
+/**
+ * Open the password modal filled with an existing entry
+ */
+function openEditPasswordModal(password) {
+    openAddPasswordModal();
+
+    editingPasswordId = password.id;
+    passwordModalTitle.textContent = 'Edit Password';
+    manualWebsite.value = password.url;
+    manualUsername.value = password.username;
+    manualPassword.value = password.password;
+    manualOtpauth.value = password.otpauth || '';
+    manualNotes.value = password.notes || '';
+}
+
 /**
  * Close add password modal
  */
 function closeAddPasswordModal() {
+    editingPasswordId = null;
     addPasswordModal.classList.add('hidden');
     addPasswordForm.reset();
     addPasswordError.classList.add('hidden');
 }
 
 /**
- * Handle add password form submission
+ * Handle add/edit password form submission
  */
 async function handleAddPassword(e) {
     e.preventDefault();
@@ -493,22 +974,47 @@ async function handleAddPassword(e) {
         return;
     }
 
-    try {
-        const { addPassword } = await import('../crypto/vault.js');
+    // Store authenticator keys as otpauth URIs so algorithm, digits and period travel with them
+    let otpauth = '';
+    if (manualOtpauth.value.trim()) {
+        try {
+            otpauth = toOtpauthUri(manualOtpauth.value, username, getHostname(website));
+        } catch (error) {
+            addPasswordError.textContent = error.message;
+            addPasswordError.classList.remove('hidden');
+            return;
+        }
+    }
 
-        await addPassword({
-            url: website,
-            username: username,
-            password: password,
-            notes: notes || ''
-        });
+    try {
+        if (editingPasswordId) {
+            // An empty string clears the key; undefined would not survive messaging
+            await updatePassword(editingPasswordId, {
+                url: website,
+                username,
+                password,
+                otpauth,
+                notes
+            });
+        } else {
+            const { addPassword } = await import('../crypto/vault-client.js');
+
+            await addPassword({
+                url: website,
+                username: username,
+                password: password,
+                notes: notes || '',
+                ...(otpauth ? { otpauth } : {})
+            });
+        }
 
+        const edited = !!editingPasswordId;
         closeAddPasswordModal();
-        await loadPasswords();
-        showToast('✅ Password added successfully!');
+        await loadPasswords(searchInput.value);
+        showToast(edited ? '✅ Password updated!' : '✅ Password added successfully!');
     } catch (error) {
-        console.error('Add password error:', error);
-        addPasswordError.textContent = 'Failed to add password. Please try again.';
+        console.error('Save password error:', error);
+        addPasswordError.textContent = 'Failed to save password. Please try again.';
         addPasswordError.classList.remove('hidden');
     }
 }
@@ -11,8 +11,11 @@ const STORAGE_KEYS = {
     DEVICE_ID: 'device_id',
     LAST_SYNC: 'last_sync_timestamp',
     SYNC_QUEUE: 'sync_queue',
-    SETTINGS: 'user_settings',
-    VAULT_BACKUP: 'vault_backup' // Automatic backup storage
+    LAST_SYNC_ERROR: 'last_sync_error',
+    VAULT_BACKUP: 'vault_backup', // Automatic backup storage
+    PENDING_CAPTURES: 'pending_captures', // Sealed captures waiting for unlock
+    BOOKMARK_ID_MAP: 'bookmark_id_map', // Browser bookmark node ID -> vault entry ID
+    PENDING_BOOKMARK_NODES: 'pending_bookmark_nodes' // Browser nodes changed since the last import
 };
 
 /**
@@ -81,41 +84,102 @@ export async function getDeviceId() {
 }
 
 /**
- * Save last sync timestamp
+ * Save the server revision cursors reached by the last sync
+ * @param {Object} cursor - { password, bookmark } server revisions
  */
-export async function saveLastSyncTimestamp(timestamp) {
-    await Browser.storage.local.set({ [STORAGE_KEYS.LAST_SYNC]: timestamp });
+export async function saveLastSyncTimestamp(cursor) {
+    await Browser.storage.local.set({ [STORAGE_KEYS.LAST_SYNC]: cursor });
 }
 
 /**
- * Get last sync timestamp
+ * Get the server revision cursors reached by the last sync
+ * @returns {Promise<Object>} - { password, bookmark }; 0 means fetch everything
  */
 export async function getLastSyncTimestamp() {
     const result = await Browser.storage.local.get(STORAGE_KEYS.LAST_SYNC);
-    return result[STORAGE_KEYS.LAST_SYNC] || null;
+    const cursor = result[STORAGE_KEYS.LAST_SYNC];
+
+    // Older versions stored a client ISO time here, which is not a server cursor
+    if (!cursor || typeof cursor !== 'object') {
+        return { password: 0, bookmark: 0 };
+    }
+
+    return {
+        password: cursor.password || 0,
+        bookmark: cursor.bookmark || 0
+    };
 }
 
 /**
- * Add item to sync queue
+ * Add a change to the sync outbox
+ * Repeated changes to the same entry collapse into one item carrying the
+ * latest data; a delete supersedes everything but a restore from the trash,
+ * and an add stays an add.
+ * @param {Object} item - { type, action, data } where data.id is the entry ID
  */
 export async function addToSyncQueue(item) {
-    const result = await Browser.storage.local.get(STORAGE_KEYS.SYNC_QUEUE);
-    const queue = result[STORAGE_KEYS.SYNC_QUEUE] || [];
+    const queue = await getSyncQueue();
+    const now = new Date().toISOString();
+    const index = queue.findIndex(queued => queued.type === item.type && queued.data.id === item.data.id);
+
+    if (index === -1) {
+        queue.push({
+            ...item,
+            action: item.action === 'restore' ? 'update' : item.action,
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            queuedAt: now,
+            updatedAt: now
+        });
+    } else {
+        const existing = queue[index];
+        let action;
+        if (item.action === 'restore') {
+            action = existing.action === 'add' ? 'add' : 'update';
+        } else if (item.action === 'delete' || existing.action === 'delete') {
+            action = 'delete';
+        } else {
+            action = existing.action === 'add' ? 'add' : item.action;
+        }
 
-    queue.push({
-        ...item,
-        queuedAt: new Date().toISOString()
-    });
+        queue[index] = {
+            ...existing,
+            action,
+            data: { ...existing.data, ...item.data },
+            updatedAt: now
+        };
+    }
 
-    await Browser.storage.local.set({ [STORAGE_KEYS.SYNC_QUEUE]: queue });
+    await saveSyncQueue(queue);
 }
 
 /**
- * Get sync queue
+ * Get sync outbox
  */
 export async function getSyncQueue() {
     const result = await Browser.storage.local.get(STORAGE_KEYS.SYNC_QUEUE);
-    return result[STORAGE_KEYS.SYNC_QUEUE] || [];
+    const queue = result[STORAGE_KEYS.SYNC_QUEUE] || [];
+
+    // Items queued by older versions may hold a whole plaintext entry, or no
+    // entry ID at all and so cannot be delivered; rewrite them out of storage
+    const isLegacy = item => !item || !item.data || !item.data.id || Object.keys(item.data).length > 1;
+    if (!queue.some(isLegacy)) {
+        return queue;
+    }
+
+    const migrated = queue
+        .filter(item => item && item.data && item.data.id)
+        .map(item => ({ ...item, data: { id: item.data.id } }));
+    await saveSyncQueue(migrated);
+    return migrated;
+}
+
+/**
+ * Replace the sync outbox
+ */
+export async function saveSyncQueue(queue) {
+    await Browser.storage.local.set({ [STORAGE_KEYS.SYNC_QUEUE]: queue });
 }
 
 /**
@@ -126,24 +190,119 @@ export async function clearSyncQueue() {
 }
 
 /**
- * Save user settings
+ * Save the last sync error, or null once syncing works again
+ * @param {string|null} message - Error message
  */
-export async function saveSettings(settings) {
-    await Browser.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+export async function saveLastSyncError(message) {
+    await Browser.storage.local.set({
+        [STORAGE_KEYS.LAST_SYNC_ERROR]: message ? { message, at: new Date().toISOString() } : null
+    });
 }
 
 /**
- * Get user settings
+ * Get the last sync error
+ * @returns {Promise<Object|null>} - { message, at } or null
  */
-export async function getSettings() {
-    const result = await Browser.storage.local.get(STORAGE_KEYS.SETTINGS);
-    return result[STORAGE_KEYS.SETTINGS] || {
-        autoLockMinutes: 15,
-        syncFrequencyMinutes: 5,
-        conflictResolution: 'last-write-wins',
-        darkMode: true,
-        autoFillEnabled: true
-    };
+export async function getLastSyncError() {
+    const result = await Browser.storage.local.get(STORAGE_KEYS.LAST_SYNC_ERROR);
+    return result[STORAGE_KEYS.LAST_SYNC_ERROR] || null;
+}
+
+/**
+ * Add a sealed password capture to the pending queue
+ */
+export async function addPendingCapture(sealedCapture) {
+    const result = await Browser.storage.local.get(STORAGE_KEYS.PENDING_CAPTURES);
+    const pending = result[STORAGE_KEYS.PENDING_CAPTURES] || [];
+
+    pending.push({
+        id: crypto.randomUUID(),
+        sealed: sealedCapture,
+        capturedAt: new Date().toISOString()
+    });
+
+    await Browser.storage.local.set({ [STORAGE_KEYS.PENDING_CAPTURES]: pending });
+}
+
+/**
+ * Get sealed password captures waiting for unlock
+ */
+export async function getPendingCaptures() {
+    const result = await Browser.storage.local.get(STORAGE_KEYS.PENDING_CAPTURES);
+    return result[STORAGE_KEYS.PENDING_CAPTURES] || [];
+}
+
+/**
+ * Remove pending password captures that were imported
+ * Captures added in the meantime stay
+ * @param {Array<string>} ids - IDs of the captures to remove
+ */
+export async function removePendingCaptures(ids) {
+    const done = new Set(ids);
+    const pending = await getPendingCaptures();
+    const remaining = pending.filter(item => !done.has(item.id));
+
+    if (remaining.length === 0) {
+        await Browser.storage.local.remove(STORAGE_KEYS.PENDING_CAPTURES);
+    } else {
+        await Browser.storage.local.set({ [STORAGE_KEYS.PENDING_CAPTURES]: remaining });
+    }
+}
+
+/**
+ * Get the map from browser bookmark node IDs to vault entry IDs
+ * @returns {Promise<Object|null>} - null until the browser's bookmarks were first imported
+ */
+export async function getBookmarkIdMap() {
+    const result = await Browser.storage.local.get(STORAGE_KEYS.BOOKMARK_ID_MAP);
+    return result[STORAGE_KEYS.BOOKMARK_ID_MAP] || null;
+}
+
+/**
+ * Save the map from browser bookmark node IDs to vault entry IDs
+ */
+export async function saveBookmarkIdMap(idMap) {
+    await Browser.storage.local.set({ [STORAGE_KEYS.BOOKMARK_ID_MAP]: idMap });
+}
+
+/**
+ * Remember browser bookmark nodes whose changes still need to reach the vault
+ * @param {Array<string>} nodeIds - Browser bookmark node IDs
+ */
+export async function addPendingBookmarkNodes(nodeIds) {
+    const pending = await getPendingBookmarkNodes();
+
+    // Count changes per node so one that changes again while being handled stays pending
+    for (const id of nodeIds) {
+        pending[id] = (pending[id] || 0) + 1;
+    }
+
+    await Browser.storage.local.set({ [STORAGE_KEYS.PENDING_BOOKMARK_NODES]: pending });
+}
+
+/**
+ * Get browser bookmark nodes whose changes still need to reach the vault
+ * @returns {Promise<Object>} - Node ID -> change count
+ */
+export async function getPendingBookmarkNodes() {
+    const result = await Browser.storage.local.get(STORAGE_KEYS.PENDING_BOOKMARK_NODES);
+    return result[STORAGE_KEYS.PENDING_BOOKMARK_NODES] || {};
+}
+
+/**
+ * Forget pending browser bookmark nodes once their changes are in the vault
+ * @param {Object} handled - Node ID -> change count as read before handling
+ */
+export async function removePendingBookmarkNodes(handled) {
+    const pending = await getPendingBookmarkNodes();
+
+    for (const [id, count] of Object.entries(handled)) {
+        if (pending[id] === count) {
+            delete pending[id];
+        }
+    }
+
+    await Browser.storage.local.set({ [STORAGE_KEYS.PENDING_BOOKMARK_NODES]: pending });
 }
 
 /**
@@ -185,6 +344,19 @@ export async function getBackups() {
     return result[STORAGE_KEYS.VAULT_BACKUP] || [];
 }
 
+/**
+ * Write storage items together with a replacement backup list
+ * Both go in a single storage.set call, so they land together or not at all
+ * @param {Object} items - Other storage items to write
+ * @param {Array} backups - Complete new backup list
+ */
+export async function saveWithBackups(items, backups) {
+    await Browser.storage.local.set({
+        ...items,
+        [STORAGE_KEYS.VAULT_BACKUP]: backups
+    });
+}
+
 /**
  * Restore vault from backup
  */
@@ -0,0 +1,210 @@
+/**
+ * Typed extension settings
+ *
+ * Single source of truth for everything the options page, service worker
+ * and vault read. Older versions kept settings in two places with different
+ * names (`user_settings` in local storage and flat keys in sync storage);
+ * those are migrated on first read and then removed.
+ */
+
+import Browser from '../utils/browser-polyfill.js';
+
+const SETTINGS_KEY = 'settings';
+const LEGACY_LOCAL_KEY = 'user_settings';
+const LEGACY_SYNC_KEYS = [
+    'syncPasswords',
+    'syncBookmarks',
+    'autoSync',
+    'syncInterval',
+    'masterPassword',
+    'lockTimeout',
+    'apiUrl'
+];
+
+// The old options page pre-filled this placeholder; it never pointed at a real server
+const LEGACY_PLACEHOLDER_API_URL = 'http://localhost:3000';
+
+export const DEFAULT_API_URL = 'https://securesync-backend-ww8n.onrender.com';
+
+// Migration in progress, shared so concurrent first reads do not each run it
+let migration = null;
+
+/**
+ * Settings schema: type, bounds and default of every setting
+ */
+export const SETTINGS_SCHEMA = {
+    syncPasswords: { type: 'boolean', default: true },
+    syncBookmarks: { type: 'boolean', default: true },
+    autoSync: { type: 'boolean', default: true },
+    syncInterval: { type: 'integer', min: 1, max: 60, default: 5 },
+    conflictResolution: { type: 'enum', values: ['last-write-wins', 'manual'], default: 'last-write-wins' },
+    masterPassword: { type: 'boolean', default: false },
+    autoLock: { type: 'boolean', default: true },
+    lockTimeout: { type: 'integer', min: 1, max: 60, default: 15 },
+    trashRetentionDays: { type: 'integer', min: 1, max: 365, default: 30 },
+    apiUrl: { type: 'url', default: DEFAULT_API_URL },
+    autoFillEnabled: { type: 'boolean', default: true },
+    darkMode: { type: 'boolean', default: true },
+    biometricAuth: { type: 'object', default: null }
+};
+
+/**
+ * Validate one setting value against the schema
+ * @param {string} name - Setting name
+ * @param {*} value - Value to check
+ * @returns {*} - Normalized value
+ * @throws {Error} - If the value does not fit the schema
+ */
+export function validateSetting(name, value) {
+    const field = SETTINGS_SCHEMA[name];
+
+    if (!field) {
+        throw new Error(`Unknown setting: ${name}`);
+    }
+
+    switch (field.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw new Error(`${name} must be true or false`);
+            }
+            return value;
+
+        case 'integer':
+            if (!Number.isInteger(value) || value < field.min || value > field.max) {
+                throw new Error(`${name} must be a whole number between ${field.min} and ${field.max}`);
+            }
+            return value;
+
+        case 'enum':
+            if (!field.values.includes(value)) {
+                throw new Error(`${name} must be one of: ${field.values.join(', ')}`);
+            }
+            return value;
+
+        case 'url': {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (error) {
+                throw new Error(`${name} must be a valid URL`);
+            }
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                throw new Error(`${name} must use http or https`);
+            }
+            return url.href.replace(/\/+$/, '');
+        }
+
+        case 'object':
+            if (value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+                throw new Error(`${name} must be an object`);
+            }
+            return value;
+
+        default:
+            throw new Error(`Unsupported setting type for ${name}`);
+    }
+}
+
+/**
+ * Fill in defaults and drop anything that does not fit the schema
+ */
+function normalizeSettings(values) {
+    const settings = {};
+
+    for (const [name, field] of Object.entries(SETTINGS_SCHEMA)) {
+        try {
+            settings[name] = values[name] === undefined ? field.default : validateSetting(name, values[name]);
+        } catch (error) {
+            console.warn(`Ignoring invalid stored setting: ${error.message}`);
+            settings[name] = field.default;
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Get all settings
+ * @returns {Promise<Object>} - Complete, validated settings
+ */
+export async function getSettings() {
+    const result = await Browser.storage.local.get(SETTINGS_KEY);
+
+    if (!result[SETTINGS_KEY]) {
+        if (!migration) {
+            migration = migrateLegacySettings().finally(() => {
+                migration = null;
+            });
+        }
+        return migration;
+    }
+
+    return normalizeSettings(result[SETTINGS_KEY]);
+}
+
+/**
+ * Validate and save some or all settings
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} - Complete settings after the change
+ * @throws {Error} - If any value does not fit the schema; nothing is saved then
+ */
+export async function saveSettings(updates) {
+    const settings = await getSettings();
+
+    for (const [name, value] of Object.entries(updates)) {
+        settings[name] = validateSetting(name, value);
+    }
+
+    await Browser.storage.local.set({ [SETTINGS_KEY]: settings });
+    return settings;
+}
+
+/**
+ * Build settings from the keys older versions used
+ * Options-page values win over `user_settings`, since they are what the user saw.
+ * The old `autoLock` checkbox was never applied and defaulted to off, so it is
+ * not carried over; auto-lock stays on until the user turns it off here.
+ */
+async function migrateLegacySettings() {
+    // A read that raced an earlier migration may arrive after it finished
+    const current = (await Browser.storage.local.get(SETTINGS_KEY))[SETTINGS_KEY];
+    if (current) {
+        return normalizeSettings(current);
+    }
+
+    const local = (await Browser.storage.local.get(LEGACY_LOCAL_KEY))[LEGACY_LOCAL_KEY] || {};
+
+    let synced = {};
+    try {
+        synced = await Browser.storage.sync.get(LEGACY_SYNC_KEYS);
+    } catch (error) {
+        console.warn('Could not read legacy synced settings:', error);
+    }
+
+    const migrated = {
+        syncInterval: local.syncFrequencyMinutes,
+        lockTimeout: local.autoLockMinutes,
+        conflictResolution: local.conflictResolution,
+        autoFillEnabled: local.autoFillEnabled,
+        darkMode: local.darkMode,
+        biometricAuth: local.biometricAuth,
+        ...synced
+    };
+
+    if (migrated.apiUrl === LEGACY_PLACEHOLDER_API_URL) {
+        delete migrated.apiUrl;
+    }
+
+    const settings = normalizeSettings(migrated);
+    await Browser.storage.local.set({ [SETTINGS_KEY]: settings });
+
+    // Only remove the old keys once the new settings are stored
+    await Browser.storage.local.remove(LEGACY_LOCAL_KEY);
+    try {
+        await Browser.storage.sync.remove(LEGACY_SYNC_KEYS);
+    } catch (error) {
+        console.warn('Could not remove legacy synced settings:', error);
+    }
+
+    return settings;
+}
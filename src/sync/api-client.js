@@ -4,27 +4,35 @@
 
 import { authenticatedFetch } from '../auth/auth-service.js';
 import { getDeviceId } from '../storage/local-storage.js';
+import { getApiBaseUrl } from '../utils/api-endpoint.js';
 
-const API_BASE_URL = 'https://securesync-backend-ww8n.onrender.com/api';
 /**
  * Fetch encrypted passwords from server
- * @param {string} lastSyncTimestamp - Optional timestamp for delta sync
- * @returns {Promise<Array>} - Array of encrypted password entries
+ * @param {number} sinceRevision - Server revision cursor for delta sync (0 for everything)
+ * @returns {Promise<Object>} - { passwords, revision, resetRevision } with the server's current revision and last deletion
  */
-export async function fetchPasswords(lastSyncTimestamp = null) {
+export async function fetchPasswords(sinceRevision = 0) {
     try {
-        const url = lastSyncTimestamp
-            ? `${API_BASE_URL}/sync/passwords?since=${lastSyncTimestamp}`
-            : `${API_BASE_URL}/sync/passwords`;
+        const apiBaseUrl = await getApiBaseUrl();
 
-        const response = await authenticatedFetch(url);
+        // The device ID tells the server how far this device has read, so tombstones can be purged
+        const query = new URLSearchParams({ deviceId: await getDeviceId() });
+        if (sinceRevision) {
+            query.set('sinceRevision', sinceRevision);
+        }
+
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/passwords?${query}`);
 
         if (!response.ok) {
             throw new Error('Failed to fetch passwords');
         }
 
         const data = await response.json();
-        return data.passwords || [];
+        return {
+            passwords: data.passwords || [],
+            revision: data.revision || 0,
+            resetRevision: data.resetRevision || 0
+        };
     } catch (error) {
         console.error('Fetch passwords error:', error);
         throw error;
@@ -34,24 +42,28 @@ export async function fetchPasswords(lastSyncTimestamp = null) {
 /**
  * Upload encrypted passwords to server
  * @param {Array} passwords - Array of encrypted password entries
+ * @param {number} sinceRevision - Revision this device last read; the server refuses the upload if the list was deleted after it
  * @returns {Promise<Object>} - Sync result
  */
-export async function uploadPasswords(passwords) {
+export async function uploadPasswords(passwords, sinceRevision = 0) {
     try {
-        const deviceId = await getDeviceId();
+        const apiBaseUrl = await getApiBaseUrl();
 
-        const response = await authenticatedFetch(`${API_BASE_URL}/sync/passwords`, {
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/passwords`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 passwords,
-                deviceId,
-                timestamp: new Date().toISOString()
+                sinceRevision
             })
         });
 
+        if (response.status === 409) {
+            throw new Error('Synced passwords were deleted from another device');
+        }
+
         if (!response.ok) {
             throw new Error('Failed to upload passwords');
         }
@@ -65,23 +77,30 @@ export async function uploadPasswords(passwords) {
 
 /**
  * Fetch encrypted bookmarks from server
- * @param {string} lastSyncTimestamp - Optional timestamp for delta sync
- * @returns {Promise<Array>} - Array of encrypted bookmark entries
+ * @param {number} sinceRevision - Server revision cursor for delta sync (0 for everything)
+ * @returns {Promise<Object>} - { bookmarks, revision, resetRevision } with the server's current revision and last deletion
  */
-export async function fetchBookmarks(lastSyncTimestamp = null) {
+export async function fetchBookmarks(sinceRevision = 0) {
     try {
-        const url = lastSyncTimestamp
-            ? `${API_BASE_URL}/sync/bookmarks?since=${lastSyncTimestamp}`
-            : `${API_BASE_URL}/sync/bookmarks`;
+        const apiBaseUrl = await getApiBaseUrl();
 
-        const response = await authenticatedFetch(url);
+        const query = new URLSearchParams({ deviceId: await getDeviceId() });
+        if (sinceRevision) {
+            query.set('sinceRevision', sinceRevision);
+        }
+
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/bookmarks?${query}`);
 
         if (!response.ok) {
             throw new Error('Failed to fetch bookmarks');
         }
 
         const data = await response.json();
-        return data.bookmarks || [];
+        return {
+            bookmarks: data.bookmarks || [],
+            revision: data.revision || 0,
+            resetRevision: data.resetRevision || 0
+        };
     } catch (error) {
         console.error('Fetch bookmarks error:', error);
         throw error;
@@ -91,24 +110,28 @@ export async function fetchBookmarks(lastSyncTimestamp = null) {
 /**
  * Upload encrypted bookmarks to server
  * @param {Array} bookmarks - Array of encrypted bookmark entries
+ * @param {number} sinceRevision - Revision this device last read; the server refuses the upload if the list was deleted after it
  * @returns {Promise<Object>} - Sync result
  */
-export async function uploadBookmarks(bookmarks) {
+export async function uploadBookmarks(bookmarks, sinceRevision = 0) {
     try {
-        const deviceId = await getDeviceId();
+        const apiBaseUrl = await getApiBaseUrl();
 
-        const response = await authenticatedFetch(`${API_BASE_URL}/sync/bookmarks`, {
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/bookmarks`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 bookmarks,
-                deviceId,
-                timestamp: new Date().toISOString()
+                sinceRevision
             })
         });
 
+        if (response.status === 409) {
+            throw new Error('Synced bookmarks were deleted from another device');
+        }
+
         if (!response.ok) {
             throw new Error('Failed to upload bookmarks');
         }
@@ -120,6 +143,82 @@ export async function uploadBookmarks(bookmarks) {
     }
 }
 
+/**
+ * Delete every synced entry of one type from the server
+ * @param {string} listName - 'passwords' or 'bookmarks'
+ * @returns {Promise<Object>} - { deleted } count of removed entries
+ */
+export async function deleteSyncedItems(listName) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/${listName}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to delete synced ${listName}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Delete synced data error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch the account's wrapped sync key
+ * @returns {Promise<Object|null>} - { kdf, wrappedKey } or null if none exists yet
+ */
+export async function fetchSyncKey() {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/key`);
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch sync key');
+        }
+
+        const data = await response.json();
+        return data.syncKey || null;
+    } catch (error) {
+        console.error('Fetch sync key error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Upload the account's wrapped sync key
+ * @param {Object} syncKey - { kdf, wrappedKey }
+ * @param {boolean} replace - Overwrite an existing key (master password change)
+ * @returns {Promise<boolean>} - False if a key already existed and replace was not set
+ */
+export async function uploadSyncKey(syncKey, replace = false) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/key`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ syncKey, replace })
+        });
+
+        if (response.status === 409) {
+            return false;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to upload sync key');
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Upload sync key error:', error);
+        throw error;
+    }
+}
+
 /**
  * Report conflict to server for resolution
  * @param {Object} conflict - Conflict details
@@ -127,7 +226,8 @@ export async function uploadBookmarks(bookmarks) {
  */
 export async function reportConflict(conflict) {
     try {
-        const response = await authenticatedFetch(`${API_BASE_URL}/sync/conflict`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authenticatedFetch(`${apiBaseUrl}/sync/conflict`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1,7 +1,122 @@
 /**
  * Conflict resolution for sync conflicts
+ *
+ * Entries carry a `syncBase` snapshot of the version they were last synced
+ * from. Merges are three-way and per field: a field only conflicts when both
+ * sides changed it away from the base to different values.
  */
 
+// Bookkeeping fields that never take part in a field merge
+const META_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'syncBase']);
+
+/**
+ * Compare two field values
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compare the content of two entries, ignoring key order and timestamps
+ */
+function isSameContent(a, b) {
+    return getMergeFields(a, b).every(field => isSameValue(a[field], b[field]));
+}
+
+/**
+ * Set a field, removing it if the source did not have it
+ */
+function setField(entry, field, value) {
+    if (value === undefined) {
+        delete entry[field];
+    } else {
+        entry[field] = value;
+    }
+}
+
+/**
+ * Get an entry without its sync base
+ * @param {Object} entry - Vault entry
+ * @returns {Object} - Entry as it is uploaded
+ */
+export function stripSyncBase(entry) {
+    const { syncBase, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * Record the entry's current content as the base for the next merge
+ * @param {Object} entry - Entry as agreed by this sync
+ * @returns {Object} - Entry with syncBase set
+ */
+export function withSyncBase(entry) {
+    const content = stripSyncBase(entry);
+    return { ...content, syncBase: content };
+}
+
+/**
+ * Fields that take part in a merge of the given versions
+ */
+function getMergeFields(...entries) {
+    const fields = new Set();
+    for (const entry of entries) {
+        Object.keys(entry || {}).forEach(field => fields.add(field));
+    }
+    return [...fields].filter(field => !META_FIELDS.has(field));
+}
+
+/**
+ * Check whether an entry is a tombstone erased from the trash
+ * Its content is gone, so it is merged by time instead of field by field
+ */
+function isErased(entry) {
+    return Boolean(entry.deletedAt) && getMergeFields(entry).every(field => field === 'deletedAt');
+}
+
+/**
+ * Pick between an erased tombstone and another version by updatedAt
+ * An edit made after the erase brings the entry back; ties keep it erased
+ */
+function pickErased(local, remote) {
+    const localTime = new Date(local.updatedAt).getTime() || 0;
+    const remoteTime = new Date(remote.updatedAt).getTime() || 0;
+
+    if (localTime === remoteTime) {
+        return isErased(local) ? local : remote;
+    }
+    return localTime > remoteTime ? local : remote;
+}
+
+/**
+ * Three-way merge of a single entry against its sync base
+ * Without a base every differing field counts as changed on both sides
+ * @param {Object} local - Local entry
+ * @param {Object} remote - Remote entry
+ * @returns {Object} - { merged, conflictFields }
+ */
+export function mergeEntry(local, remote) {
+    const base = local.syncBase || null;
+    const merged = stripSyncBase(local);
+    const conflictFields = [];
+
+    for (const field of getMergeFields(local, remote, base)) {
+        if (isSameValue(local[field], remote[field])) {
+            continue;
+        }
+
+        const localChanged = !base || !isSameValue(local[field], base[field]);
+        const remoteChanged = !base || !isSameValue(remote[field], base[field]);
+
+        if (remoteChanged && !localChanged) {
+            setField(merged, field, remote[field]);
+        } else if (localChanged && remoteChanged) {
+            conflictFields.push(field);
+        }
+    }
+
+    return { merged, conflictFields };
+}
+
 /**
  * Detect conflicts between local and remote data
  * @param {Array} localItems - Local items
@@ -16,20 +131,12 @@ export function detectConflicts(localItems, remoteItems) {
     for (const localItem of localItems) {
         const remoteItem = remoteMap.get(localItem.id);
 
-        if (remoteItem) {
-            // Same ID exists in both
-            const localTime = new Date(localItem.updatedAt).getTime();
-            const remoteTime = new Date(remoteItem.updatedAt).getTime();
-
-            // Check if they're different and have different timestamps
-            if (JSON.stringify(localItem) !== JSON.stringify(remoteItem) && localTime !== remoteTime) {
-                conflicts.push({
-                    id: localItem.id,
-                    local: localItem,
-                    remote: remoteItem,
-                    localTime,
-                    remoteTime
-                });
+        if (remoteItem && !isErased(localItem) && !isErased(remoteItem)) {
+            const { conflictFields } = mergeEntry(localItem, remoteItem);
+
+            // Only fields both sides changed to different values conflict
+            if (conflictFields.length > 0) {
+                conflicts.push(createConflict(localItem, remoteItem, conflictFields));
             }
         }
     }
@@ -38,92 +145,109 @@ export function detectConflicts(localItems, remoteItems) {
 }
 
 /**
- * Resolve conflicts using last-write-wins strategy
+ * Describe a conflict between two versions of an entry
+ */
+function createConflict(local, remote, fields) {
+    return {
+        id: local.id,
+        local: stripSyncBase(local),
+        remote,
+        base: local.syncBase || null,
+        fields,
+        localTime: new Date(local.updatedAt).getTime(),
+        remoteTime: new Date(remote.updatedAt).getTime()
+    };
+}
+
+/**
+ * Resolve conflicts using last-write-wins per conflicting field
+ * Fields only one side changed are merged as usual
  * @param {Array} conflicts - Array of conflicts
- * @returns {Object} - Resolution result with winners
+ * @returns {Array} - Resolved entries
  */
 export function resolveConflictsLastWriteWins(conflicts) {
-    const resolved = {
-        keepLocal: [],
-        keepRemote: []
-    };
+    return conflicts.map(conflict => {
+        const { merged } = mergeEntry({ ...conflict.local, syncBase: conflict.base }, conflict.remote);
+        const winner = conflict.localTime > conflict.remoteTime ? conflict.local : conflict.remote;
 
-    for (const conflict of conflicts) {
-        if (conflict.localTime > conflict.remoteTime) {
-            resolved.keepLocal.push(conflict.local);
-        } else {
-            resolved.keepRemote.push(conflict.remote);
+        for (const field of conflict.fields) {
+            setField(merged, field, winner[field]);
         }
+
+        return stampMerged(merged, conflict.local, conflict.remote);
+    });
+}
+
+/**
+ * Give a merged entry an updatedAt that lets it win wherever it differs
+ * Matching the remote keeps its timestamp; anything else must beat both sides
+ */
+function stampMerged(merged, local, remote) {
+    const localTime = new Date(local.updatedAt).getTime() || 0;
+    const remoteTime = new Date(remote.updatedAt).getTime() || 0;
+
+    if (isSameContent(merged, remote) && remoteTime >= localTime) {
+        return { ...merged, updatedAt: remote.updatedAt };
+    }
+
+    if (isSameContent(merged, local) && localTime > remoteTime) {
+        return { ...merged, updatedAt: local.updatedAt };
     }
 
-    return resolved;
+    return {
+        ...merged,
+        updatedAt: new Date(Math.max(Date.now(), localTime + 1, remoteTime + 1)).toISOString()
+    };
 }
 
 /**
- * Merge two arrays of items, preferring newer items
+ * Merge two arrays of items field by field
  * @param {Array} localItems - Local items
  * @param {Array} remoteItems - Remote items
  * @param {string} strategy - Resolution strategy ('last-write-wins' or 'manual')
  * @returns {Object} - Merged items and conflicts
  */
 export function mergeItems(localItems, remoteItems, strategy = 'last-write-wins') {
-    const conflicts = detectConflicts(localItems, remoteItems);
-
-    if (conflicts.length === 0) {
-        // No conflicts, simple merge
-        const localMap = new Map(localItems.map(item => [item.id, item]));
-        const remoteMap = new Map(remoteItems.map(item => [item.id, item]));
-
-        // Combine all unique items
-        const allIds = new Set([...localMap.keys(), ...remoteMap.keys()]);
-        const merged = [];
-
-        for (const id of allIds) {
-            const local = localMap.get(id);
-            const remote = remoteMap.get(id);
-
-            if (local && remote) {
-                // Both exist, take newer one
-                const localTime = new Date(local.updatedAt).getTime();
-                const remoteTime = new Date(remote.updatedAt).getTime();
-                merged.push(localTime > remoteTime ? local : remote);
-            } else {
-                // Only one exists
-                merged.push(local || remote);
-            }
+    const localMap = new Map(localItems.map(item => [item.id, item]));
+    const remoteMap = new Map(remoteItems.map(item => [item.id, item]));
+
+    // Combine all unique items
+    const allIds = new Set([...localMap.keys(), ...remoteMap.keys()]);
+    const merged = [];
+    const conflicts = [];
+
+    for (const id of allIds) {
+        const local = localMap.get(id);
+        const remote = remoteMap.get(id);
+
+        if (!local || !remote) {
+            // Only one exists
+            merged.push(local || remote);
+            continue;
         }
 
-        return { merged, conflicts: [] };
-    }
+        if (isErased(local) || isErased(remote)) {
+            merged.push(pickErased(local, remote));
+            continue;
+        }
 
-    // Handle conflicts based on strategy
-    if (strategy === 'last-write-wins') {
-        const resolution = resolveConflictsLastWriteWins(conflicts);
-
-        // Build merged list
-        const conflictIds = new Set(conflicts.map(c => c.id));
-        const nonConflictLocal = localItems.filter(item => !conflictIds.has(item.id));
-        const nonConflictRemote = remoteItems.filter(item => !conflictIds.has(item.id));
-
-        const merged = [
-            ...nonConflictLocal,
-            ...nonConflictRemote,
-            ...resolution.keepLocal,
-            ...resolution.keepRemote
-        ];
-
-        // Remove duplicates
-        const uniqueMap = new Map(merged.map(item => [item.id, item]));
-
-        return {
-            merged: Array.from(uniqueMap.values()),
-            conflicts: []
-        };
-    } else {
-        // Manual resolution required
-        return {
-            merged: localItems, // Keep local for now
-            conflicts
-        };
+        const { merged: entry, conflictFields } = mergeEntry(local, remote);
+
+        if (conflictFields.length === 0) {
+            merged.push(stampMerged(entry, local, remote));
+            continue;
+        }
+
+        const conflict = createConflict(local, remote, conflictFields);
+
+        if (strategy === 'last-write-wins') {
+            merged.push(...resolveConflictsLastWriteWins([conflict]));
+        } else {
+            // Manual resolution required: keep local until the user picks
+            conflicts.push(conflict);
+            merged.push(local);
+        }
     }
+
+    return { merged, conflicts };
 }
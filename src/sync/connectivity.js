@@ -0,0 +1,96 @@
+/**
+ * Backend connectivity tracking for the service worker
+ *
+ * A sync that fails with a network error marks the backend offline. While
+ * offline, the /health route is probed on an alarm with exponential backoff
+ * until it answers, and the caller syncs straight away on reconnect.
+ */
+
+import Browser from '../utils/browser-polyfill.js';
+import { checkHealth } from '../utils/api-endpoint.js';
+
+export const PROBE_ALARM = 'connectivity-probe';
+
+// Session storage survives service worker restarts, not browser restarts
+const STATE_KEY = 'connectivity_state';
+
+// Probe backoff: 30s, 1m, 2m, ... capped at 15 minutes
+const PROBE_BASE_DELAY_MINUTES = 0.5;
+const PROBE_MAX_DELAY_MINUTES = 15;
+
+/**
+ * Get stored connectivity state
+ * @returns {Promise<Object>} - { online, failures, since }
+ */
+async function getState() {
+    const result = await Browser.storage.session.get(STATE_KEY);
+    return result[STATE_KEY] || { online: true, failures: 0, since: null };
+}
+
+/**
+ * Check whether the backend is considered reachable
+ */
+export async function isOnline() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return false;
+    }
+    return (await getState()).online;
+}
+
+/**
+ * Tell network failures apart from HTTP and application errors
+ * fetch() rejects with a TypeError when the request never gets a response
+ * @param {Error} error - Error thrown by a sync
+ */
+export function isNetworkError(error) {
+    return error instanceof TypeError || (error && error.name === 'AbortError');
+}
+
+/**
+ * Mark the backend unreachable and schedule the next health probe
+ */
+export async function markOffline() {
+    const state = await getState();
+    const failures = state.online ? 1 : state.failures + 1;
+    const delayInMinutes = Math.min(PROBE_BASE_DELAY_MINUTES * 2 ** (failures - 1), PROBE_MAX_DELAY_MINUTES);
+
+    await Browser.storage.session.set({
+        [STATE_KEY]: {
+            online: false,
+            failures,
+            since: state.online ? new Date().toISOString() : state.since
+        }
+    });
+
+    Browser.alarms.create(PROBE_ALARM, { delayInMinutes });
+}
+
+/**
+ * Mark the backend reachable and stop probing
+ * @returns {Promise<boolean>} - True if it was offline before
+ */
+export async function markOnline() {
+    const state = await getState();
+
+    if (state.online) {
+        return false;
+    }
+
+    await Browser.storage.session.set({ [STATE_KEY]: { online: true, failures: 0, since: null } });
+    await Browser.alarms.clear(PROBE_ALARM);
+
+    return true;
+}
+
+/**
+ * Probe the backend health route and update the state
+ * @returns {Promise<boolean>} - True if the backend came back
+ */
+export async function probe() {
+    if (await checkHealth()) {
+        return markOnline();
+    }
+
+    await markOffline();
+    return false;
+}
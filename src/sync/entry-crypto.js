@@ -0,0 +1,74 @@
+/**
+ * End-to-end encryption of individual sync entries
+ * Only the id, timestamps, a bookmark's place in the tree and an opaque
+ * blob ever reach the server
+ */
+
+import { encryptObjectWithKey, decryptObjectWithKey } from '../crypto/encryption.js';
+import { stripSyncBase } from './conflict-resolver.js';
+
+/**
+ * Encrypt a vault entry for upload
+ * @param {Object} entry - Plaintext password or bookmark entry
+ * @param {CryptoKey} syncKey - Per-account sync key
+ * @returns {Promise<Object>} - { id, blob, createdAt, updatedAt, deletedAt } plus kind, parentId and index for bookmarks
+ */
+export async function encryptEntry(entry, syncKey) {
+    return {
+        id: entry.id,
+        // The sync base is local merge state and never leaves the device
+        blob: await encryptObjectWithKey(stripSyncBase(entry), syncKey),
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt,
+        deletedAt: entry.deletedAt || null,
+        // Lets the server keep the folder tree; titles and URLs stay encrypted
+        ...(entry.kind ? { kind: entry.kind, parentId: entry.parentId, index: entry.index } : {})
+    };
+}
+
+/**
+ * Decrypt an entry fetched from the server
+ * @param {Object} item - Server item with an encrypted blob
+ * @param {CryptoKey} syncKey - Per-account sync key
+ * @returns {Promise<Object>} - Plaintext entry
+ */
+export async function decryptEntry(item, syncKey) {
+    const entry = await decryptObjectWithKey(item.blob, syncKey);
+
+    // Reject blobs the server moved to a different id
+    if (entry.id !== item.id) {
+        throw new Error(`Sync entry ${item.id} does not match its encrypted contents`);
+    }
+
+    return entry;
+}
+
+/**
+ * Decrypt a list of server items, skipping any that fail to open
+ * @param {Array} items - Server items
+ * @param {CryptoKey} syncKey - Per-account sync key
+ * @returns {Promise<Array>} - Plaintext entries
+ */
+export async function decryptEntries(items, syncKey) {
+    const entries = [];
+
+    for (const item of items) {
+        try {
+            entries.push(await decryptEntry(item, syncKey));
+        } catch (error) {
+            console.warn('Skipping undecryptable sync entry:', item.id, error.message);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Encrypt a list of entries for upload
+ * @param {Array} entries - Plaintext entries
+ * @param {CryptoKey} syncKey - Per-account sync key
+ * @returns {Promise<Array>} - Server items
+ */
+export async function encryptEntries(entries, syncKey) {
+    return Promise.all(entries.map(entry => encryptEntry(entry, syncKey)));
+}
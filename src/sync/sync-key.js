@@ -0,0 +1,80 @@
+/**
+ * Per-account sync key management
+ *
+ * Every entry is encrypted with a random sync key before upload. The key
+ * lives inside each device's vault; the server only keeps a copy wrapped by
+ * a key derived from the master password, so a new device can unwrap it.
+ */
+
+import {
+    createKdfParams,
+    deriveKeyEncryptionKey,
+    generateDataKey,
+    wrapDataKey,
+    unwrapDataKey
+} from '../crypto/encryption.js';
+import { getSyncKey, setSyncKey } from '../crypto/vault.js';
+import { fetchSyncKey, uploadSyncKey } from './api-client.js';
+
+/**
+ * Make sure the vault holds the account's sync key
+ * Unwraps the server copy, or creates and uploads one for a new account
+ * @param {string} masterPassword - Master password used for this unlock
+ */
+export async function ensureSyncKey(masterPassword) {
+    if (await getSyncKey()) {
+        return;
+    }
+
+    const remote = await fetchSyncKey();
+
+    if (remote) {
+        let syncKey;
+        try {
+            const kek = await deriveKeyEncryptionKey(masterPassword, remote.kdf);
+            syncKey = await unwrapDataKey(remote.wrappedKey, kek);
+        } catch (error) {
+            throw new Error('This master password does not match the one protecting your synced data');
+        }
+
+        await setSyncKey(syncKey);
+        return;
+    }
+
+    const syncKey = await generateDataKey();
+    const uploaded = await uploadSyncKey(await wrapSyncKey(syncKey, masterPassword), false);
+
+    if (!uploaded) {
+        // Another device created the key first; use theirs
+        return ensureSyncKey(masterPassword);
+    }
+
+    await setSyncKey(syncKey);
+}
+
+/**
+ * Re-wrap the sync key under a new master password and replace the server copy
+ * @param {string} masterPassword - New master password
+ */
+export async function rewrapSyncKey(masterPassword) {
+    const syncKey = await getSyncKey();
+
+    if (!syncKey) {
+        return;
+    }
+
+    await uploadSyncKey(await wrapSyncKey(syncKey, masterPassword), true);
+}
+
+/**
+ * Wrap the sync key with a key derived from the master password
+ */
+async function wrapSyncKey(syncKey, masterPassword) {
+    const kdf = createKdfParams();
+    const kek = await deriveKeyEncryptionKey(masterPassword, kdf);
+
+    return {
+        kdf,
+        wrappedKey: await wrapDataKey(syncKey, kek)
+    };
+}
@@ -2,13 +2,28 @@
  * Sync service for bidirectional synchronization of passwords and bookmarks
  */
 
-import { getPasswords, getBookmarks, addPassword, addBookmark, updatePassword, updateBookmark } from '../crypto/vault.js';
-import { fetchPasswords, fetchBookmarks, uploadPasswords, uploadBookmarks } from './api-client.js';
-import { mergeItems } from './conflict-resolver.js';
-import { getLastSyncTimestamp, saveLastSyncTimestamp, getSyncQueue, clearSyncQueue, addToSyncQueue, getSettings } from '../storage/local-storage.js';
+import { getPasswords, getBookmarks, getSyncKey, applyRemoteChanges, saveConflicts } from '../crypto/vault.js';
+import { fetchPasswords, fetchBookmarks, uploadPasswords, uploadBookmarks, deleteSyncedItems } from './api-client.js';
+import { encryptEntries, decryptEntries } from './entry-crypto.js';
+import { mergeItems, withSyncBase } from './conflict-resolver.js';
+import {
+    getLastSyncTimestamp,
+    saveLastSyncTimestamp,
+    getSyncQueue,
+    saveSyncQueue,
+    addToSyncQueue,
+    saveLastSyncError,
+    getLastSyncError
+} from '../storage/local-storage.js';
+import { getSettings, saveSettings } from '../storage/settings.js';
 import { isAuthenticated } from '../auth/auth-service.js';
 
+// Outbox retry backoff: 30s, 1m, 2m, ... capped at an hour
+const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+
 let isSyncing = false;
+let isFlushing = false;
 
 /**
  * Perform full bidirectional sync
@@ -24,63 +39,153 @@ export async function performSync() {
         throw new Error('Not authenticated. Please login first.');
     }
 
+    const settings = await getSettings();
+    if (!settings.syncPasswords && !settings.syncBookmarks) {
+        throw new Error('Password and bookmark sync are both turned off in settings.');
+    }
+
     isSyncing = true;
 
     try {
-        const lastSync = await getLastSyncTimestamp();
-        const settings = await getSettings();
-
-        // Sync passwords
-        const passwordResult = await syncPasswords(lastSync, settings.conflictResolution);
+        const cursor = await getLastSyncTimestamp();
 
-        // Sync bookmarks
-        const bookmarkResult = await syncBookmarks(lastSync, settings.conflictResolution);
+        // Entries are encrypted end-to-end; nothing is sent without the sync key
+        const syncKey = await getSyncKey();
+        if (!syncKey) {
+            throw new Error('Sync is not set up on this device yet. Enter your master password in the popup to finish setting it up.');
+        }
 
-        // Process sync queue (offline changes)
+        // Push queued offline changes first
         await processSyncQueue();
+        const queued = await getSyncQueue();
+
+        // Types turned off in settings are neither fetched nor uploaded
+        const passwordResult = settings.syncPasswords
+            ? await syncPasswords(cursor.password, settings.conflictResolution, syncKey)
+            : null;
+
+        const bookmarkResult = settings.syncBookmarks
+            ? await syncBookmarks(cursor.bookmark, settings.conflictResolution, syncKey)
+            : null;
 
-        // Update last sync timestamp
+        // Remember the server revisions reached for the next delta sync
         const now = new Date().toISOString();
-        await saveLastSyncTimestamp(now);
+        await saveLastSyncTimestamp({
+            password: passwordResult ? passwordResult.revision : cursor.password,
+            bookmark: bookmarkResult ? bookmarkResult.revision : cursor.bookmark
+        });
 
+        // The full upload carried every queued change of the synced types along with it
+        const carried = queued.filter(item =>
+            isTypeEnabled(settings, item.type) && !(item.type === 'password' ? passwordResult : bookmarkResult).reset
+        );
+        await recordOutboxOutcomes(new Map(carried.map(item => [item, null])));
+
+        const resets = [
+            passwordResult && passwordResult.reset ? 'password' : null,
+            bookmarkResult && bookmarkResult.reset ? 'bookmark' : null
+        ].filter(Boolean);
+
+        if (resets.length > 0) {
+            await stopSyncingTypes(resets);
+        }
+
+        await saveLastSyncError(null);
         isSyncing = false;
 
         return {
             status: 'success',
             timestamp: now,
             passwords: passwordResult,
-            bookmarks: bookmarkResult
+            bookmarks: bookmarkResult,
+            resets
         };
     } catch (error) {
         isSyncing = false;
         console.error('Sync error:', error);
+        await saveLastSyncError(error.message);
         throw error;
     }
 }
 
+/**
+ * Check whether the server list was deleted after this device last read it
+ * A full fetch (no cursor) is unaffected by earlier deletions
+ */
+function wasResetSince(fetched, sinceRevision) {
+    return sinceRevision > 0 && fetched.resetRevision > sinceRevision;
+}
+
+/**
+ * Turn off sync for types whose server data another device deleted
+ * Their queued changes are dropped; re-enabling starts a full upload from cursor 0
+ */
+async function stopSyncingTypes(types) {
+    await saveSettings(Object.fromEntries(types.map(type =>
+        [type === 'password' ? 'syncPasswords' : 'syncBookmarks', false]
+    )));
+    await discardDisabledQueueItems();
+}
+
+/**
+ * Work out the revision cursor to keep after fetching and uploading
+ * Only skips past our own upload if no other device wrote in between
+ */
+function nextCursor(fetchedRevision, uploadResult) {
+    const { revision, stored } = uploadResult || {};
+
+    if (Number.isInteger(revision) && Number.isInteger(stored) && revision - stored === fetchedRevision) {
+        return revision;
+    }
+
+    return fetchedRevision;
+}
+
+/**
+ * Record the merged entries as the base for the next three-way merge
+ * Unresolved conflicts keep their old base so the conflict stays visible
+ */
+function rebase(merged, conflicts) {
+    const conflictIds = new Set(conflicts.map(c => c.id));
+    return merged.map(item => conflictIds.has(item.id) ? item : withSyncBase(item));
+}
+
 /**
  * Sync passwords
  */
-async function syncPasswords(lastSync, conflictResolution) {
+async function syncPasswords(sinceRevision, conflictResolution, syncKey) {
     try {
         // Get local passwords
         const localPasswords = await getPasswords();
 
-        // Fetch remote passwords
-        const remotePasswords = await fetchPasswords(lastSync);
+        // Fetch and decrypt remote passwords
+        const fetched = await fetchPasswords(sinceRevision);
+        // Another device deleted the server copy; uploading ours would undo that
+        if (wasResetSince(fetched, sinceRevision)) {
+            return { reset: true, revision: 0 };
+        }
+
+        const remotePasswords = await decryptEntries(fetched.passwords, syncKey);
 
         // Merge and resolve conflicts
         const { merged, conflicts } = mergeItems(localPasswords, remotePasswords, conflictResolution);
 
+        // Keep conflicts for the review screen (manual strategy only)
+        if (conflicts.length > 0) {
+            await saveConflicts('password', conflicts);
+        }
+
         // Update local vault with merged data
-        // (In a real implementation, you'd update the vault more efficiently)
+        const changes = await applyRemoteChanges('password', rebase(merged, conflicts));
 
-        // Upload merged data to server
-        await uploadPasswords(merged);
+        // Encrypt and upload merged data to server
+        const uploaded = await uploadPasswords(await encryptEntries(merged, syncKey), sinceRevision);
 
         return {
             synced: merged.length,
-            conflicts: conflicts.length
+            conflicts: conflicts.length,
+            revision: nextCursor(fetched.revision, uploaded),
+            ...changes
         };
     } catch (error) {
         console.error('Password sync error:', error);
@@ -91,23 +196,39 @@ async function syncPasswords(lastSync, conflictResolution) {
 /**
  * Sync bookmarks
  */
-async function syncBookmarks(lastSync, conflictResolution) {
+async function syncBookmarks(sinceRevision, conflictResolution, syncKey) {
     try {
         // Get local bookmarks
         const localBookmarks = await getBookmarks();
 
-        // Fetch remote bookmarks
-        const remoteBookmarks = await fetchBookmarks(lastSync);
+        // Fetch and decrypt remote bookmarks
+        const fetched = await fetchBookmarks(sinceRevision);
+        // Another device deleted the server copy; uploading ours would undo that
+        if (wasResetSince(fetched, sinceRevision)) {
+            return { reset: true, revision: 0 };
+        }
+
+        const remoteBookmarks = await decryptEntries(fetched.bookmarks, syncKey);
 
         // Merge and resolve conflicts
         const { merged, conflicts } = mergeItems(localBookmarks, remoteBookmarks, conflictResolution);
 
-        // Upload merged data to server
-        await uploadBookmarks(merged);
+        // Keep conflicts for the review screen (manual strategy only)
+        if (conflicts.length > 0) {
+            await saveConflicts('bookmark', conflicts);
+        }
+
+        // Update local vault with merged data
+        const changes = await applyRemoteChanges('bookmark', rebase(merged, conflicts));
+
+        // Encrypt and upload merged data to server
+        const uploaded = await uploadBookmarks(await encryptEntries(merged, syncKey), sinceRevision);
 
         return {
             synced: merged.length,
-            conflicts: conflicts.length
+            conflicts: conflicts.length,
+            revision: nextCursor(fetched.revision, uploaded),
+            ...changes
         };
     } catch (error) {
         console.error('Bookmark sync error:', error);
@@ -116,44 +237,203 @@ async function syncBookmarks(lastSync, conflictResolution) {
 }
 
 /**
- * Process offline sync queue
+ * Deliver due outbox items to the server
+ * Delivered items leave the outbox; failed ones stay with an attempt count
+ * and back off exponentially. Items changed while in flight are kept as is.
+ * @returns {Promise<Object>} - { delivered, failed }
  */
-async function processSyncQueue() {
-    const queue = await getSyncQueue();
+export async function processSyncQueue() {
+    if (isFlushing) {
+        return { delivered: 0, failed: 0 };
+    }
 
-    if (queue.length === 0) {
-        return;
+    const now = Date.now();
+    const settings = await getSettings();
+    const due = (await getSyncQueue()).filter(item =>
+        isTypeEnabled(settings, item.type) && new Date(item.nextAttemptAt).getTime() <= now
+    );
+
+    if (due.length === 0) {
+        return { delivered: 0, failed: 0 };
     }
 
-    for (const item of queue) {
-        try {
-            if (item.type === 'password') {
-                if (item.action === 'add') {
-                    await addPassword(item.data);
-                } else if (item.action === 'update') {
-                    await updatePassword(item.data.id, item.data);
-                }
-            } else if (item.type === 'bookmark') {
-                if (item.action === 'add') {
-                    await addBookmark(item.data);
-                } else if (item.action === 'update') {
-                    await updateBookmark(item.data.id, item.data);
-                }
+    // Nothing leaves the device unencrypted; wait for the next unlock
+    const syncKey = await getSyncKey();
+    if (!syncKey) {
+        return { delivered: 0, failed: 0 };
+    }
+
+    isFlushing = true;
+
+    try {
+        const outcomes = new Map();
+        const cursor = await getLastSyncTimestamp();
+
+        for (const type of ['password', 'bookmark']) {
+            const items = due.filter(item => item.type === type);
+            if (items.length === 0) {
+                continue;
+            }
+
+            try {
+                const entries = await getOutboxEntries(type, items);
+                const upload = type === 'password' ? uploadPasswords : uploadBookmarks;
+                await upload(await encryptEntries(entries, syncKey), cursor[type]);
+                items.forEach(item => outcomes.set(item, null));
+            } catch (error) {
+                items.forEach(item => outcomes.set(item, error.message));
             }
-        } catch (error) {
-            console.error('Queue item processing error:', error);
         }
+
+        return await recordOutboxOutcomes(outcomes);
+    } finally {
+        isFlushing = false;
+    }
+}
+
+/**
+ * Build the entries to upload for outbox items
+ * Uses the vault's current version so the latest edit is what gets sent
+ */
+async function getOutboxEntries(type, items) {
+    const entries = type === 'password' ? await getPasswords() : await getBookmarks();
+    const entryMap = new Map(entries.map(entry => [entry.id, entry]));
+
+    return items.map(item => {
+        const entry = entryMap.get(item.data.id);
+
+        if (!entry) {
+            // Removed from the vault since it was queued; nothing left to send
+            return null;
+        }
+
+        if (item.action === 'delete' && !entry.deletedAt) {
+            const deletedAt = item.updatedAt;
+            return { ...entry, deletedAt, updatedAt: deletedAt };
+        }
+
+        return entry;
+    }).filter(Boolean);
+}
+
+/**
+ * Write delivery results back into the outbox
+ * @param {Map} outcomes - Outbox item -> error message (null if delivered)
+ */
+async function recordOutboxOutcomes(outcomes) {
+    const sent = new Map([...outcomes].map(([item, error]) => [`${item.type}:${item.data.id}`, { item, error }]));
+    const result = { delivered: 0, failed: 0 };
+    let lastError = null;
+
+    const queue = (await getSyncQueue()).flatMap(item => {
+        const outcome = sent.get(`${item.type}:${item.data.id}`);
+
+        // Untouched, or edited again while the upload was in flight
+        if (!outcome || outcome.item.updatedAt !== item.updatedAt) {
+            return [item];
+        }
+
+        if (outcome.error === null) {
+            result.delivered++;
+            return [];
+        }
+
+        result.failed++;
+        lastError = outcome.error;
+        const attempts = item.attempts + 1;
+        const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+
+        return [{
+            ...item,
+            attempts,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            lastError: outcome.error
+        }];
+    });
+
+    await saveSyncQueue(queue);
+    if (lastError) {
+        await saveLastSyncError(lastError);
     }
 
-    // Clear queue after processing
-    await clearSyncQueue();
+    return result;
 }
 
 /**
- * Queue item for sync (when offline)
+ * Queue a local change for delivery to the server
+ * @param {string} type - 'password' or 'bookmark'
+ * @param {string} action - 'add', 'update', 'delete' or 'restore'
+ * @param {Object} data - Entry (must include its id)
  */
 export async function queueForSync(type, action, data) {
-    await addToSyncQueue({ type, action, data });
+    if (!data || !data.id) {
+        throw new Error('Sync queue items need an entry id');
+    }
+
+    // Changes to a type that is not synced never leave the device
+    if (!isTypeEnabled(await getSettings(), type)) {
+        return;
+    }
+
+    // Only the id is kept: the outbox is plain local storage, the entry is read from the vault on delivery
+    await addToSyncQueue({ type, action, data: { id: data.id } });
+}
+
+/**
+ * Drop queued changes of entry types that are no longer synced
+ * @returns {Promise<number>} - Number of items dropped
+ */
+export async function discardDisabledQueueItems() {
+    const settings = await getSettings();
+    const queue = await getSyncQueue();
+    const kept = queue.filter(item => isTypeEnabled(settings, item.type));
+
+    if (kept.length !== queue.length) {
+        await saveSyncQueue(kept);
+    }
+
+    return queue.length - kept.length;
+}
+
+/**
+ * Delete all of one entry type's synced data from the server
+ * Local entries stay; the next sync after re-enabling uploads them again
+ * @param {string} type - 'password' or 'bookmark'
+ * @returns {Promise<Object>} - { deleted } count of server entries removed
+ */
+export async function deleteRemoteData(type) {
+    if (type !== 'password' && type !== 'bookmark') {
+        throw new Error(`Unknown entry type: ${type}`);
+    }
+
+    const result = await deleteSyncedItems(type === 'password' ? 'passwords' : 'bookmarks');
+
+    // Fetch everything again if this type is ever turned back on
+    const cursor = await getLastSyncTimestamp();
+    await saveLastSyncTimestamp({ ...cursor, [type]: 0 });
+
+    return { deleted: result.deleted || 0 };
+}
+
+/**
+ * Check whether an entry type is synced under the given settings
+ */
+function isTypeEnabled(settings, type) {
+    return type === 'password' ? settings.syncPasswords : settings.syncBookmarks;
+}
+
+/**
+ * Get outbox depth and the last sync error
+ * @returns {Promise<Object>} - { queueDepth, failedItems, lastError }
+ */
+export async function getSyncQueueStatus() {
+    const queue = await getSyncQueue();
+
+    return {
+        queueDepth: queue.length,
+        failedItems: queue.filter(item => item.attempts > 0).length,
+        lastError: await getLastSyncError()
+    };
 }
 
 /**
@@ -0,0 +1,59 @@
+/**
+ * Backend endpoint configuration
+ *
+ * The server URL comes from the `apiUrl` setting so self-hosted backends work.
+ * Every API caller builds its URLs from here instead of a hard-coded host.
+ */
+
+import Browser from './browser-polyfill.js';
+import { getSettings } from '../storage/settings.js';
+
+const HEALTH_TIMEOUT_MS = 10000;
+
+/**
+ * Get the base URL of the REST API
+ * @returns {Promise<string>} - e.g. https://sync.example.com/api
+ */
+export async function getApiBaseUrl() {
+    const { apiUrl } = await getSettings();
+    return `${apiUrl}/api`;
+}
+
+/**
+ * Check whether a backend answers on its /health route
+ * @param {string} apiUrl - Server URL; defaults to the configured one
+ * @returns {Promise<boolean>} - True if the health route answered OK
+ */
+export async function checkHealth(apiUrl = null) {
+    const serverUrl = apiUrl || (await getSettings()).apiUrl;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${serverUrl}/health`, { cache: 'no-store', signal: controller.signal });
+        return response.ok;
+    } catch (error) {
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Get the host permission pattern covering a server URL
+ * @param {string} apiUrl - Server URL
+ * @returns {string} - Match pattern for the server's origin
+ */
+export function getHostPermission(apiUrl) {
+    return `${new URL(apiUrl).origin}/*`;
+}
+
+/**
+ * Ask the user for access to a server
+ * Must be called from a user gesture, before any other await
+ * @param {string} apiUrl - Server URL
+ * @returns {Promise<boolean>} - True if access is granted
+ */
+export async function requestHostPermission(apiUrl) {
+    return Browser.permissions.request({ origins: [getHostPermission(apiUrl)] });
+}
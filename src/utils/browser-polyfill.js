@@ -47,6 +47,17 @@ export const Browser = {
         ? () => browserAPI.storage.local.clear()
         : promisify(browserAPI.storage.local.clear, browserAPI.storage.local)
     },
+    session: {
+      get: isFirefox
+        ? (keys) => browserAPI.storage.session.get(keys)
+        : promisify(browserAPI.storage.session.get, browserAPI.storage.session),
+      set: isFirefox
+        ? (items) => browserAPI.storage.session.set(items)
+        : promisify(browserAPI.storage.session.set, browserAPI.storage.session),
+      remove: isFirefox
+        ? (keys) => browserAPI.storage.session.remove(keys)
+        : promisify(browserAPI.storage.session.remove, browserAPI.storage.session)
+    },
     sync: {
       get: isFirefox
         ? (keys) => browserAPI.storage.sync.get(keys)
@@ -68,18 +79,30 @@ export const Browser = {
     getTree: isFirefox
       ? () => browserAPI.bookmarks.getTree()
       : promisify(browserAPI.bookmarks.getTree, browserAPI.bookmarks),
+    getChildren: isFirefox
+      ? (id) => browserAPI.bookmarks.getChildren(id)
+      : promisify(browserAPI.bookmarks.getChildren, browserAPI.bookmarks),
     create: isFirefox
       ? (bookmark) => browserAPI.bookmarks.create(bookmark)
       : promisify(browserAPI.bookmarks.create, browserAPI.bookmarks),
     update: isFirefox
       ? (id, changes) => browserAPI.bookmarks.update(id, changes)
       : promisify(browserAPI.bookmarks.update, browserAPI.bookmarks),
+    move: isFirefox
+      ? (id, destination) => browserAPI.bookmarks.move(id, destination)
+      : promisify(browserAPI.bookmarks.move, browserAPI.bookmarks),
     remove: isFirefox
       ? (id) => browserAPI.bookmarks.remove(id)
       : promisify(browserAPI.bookmarks.remove, browserAPI.bookmarks),
+    removeTree: isFirefox
+      ? (id) => browserAPI.bookmarks.removeTree(id)
+      : promisify(browserAPI.bookmarks.removeTree, browserAPI.bookmarks),
     onCreated: browserAPI.bookmarks.onCreated,
     onChanged: browserAPI.bookmarks.onChanged,
-    onRemoved: browserAPI.bookmarks.onRemoved
+    onMoved: browserAPI.bookmarks.onMoved,
+    onRemoved: browserAPI.bookmarks.onRemoved,
+    // Not available in Firefox
+    onChildrenReordered: browserAPI.bookmarks.onChildrenReordered
   },
 
   // Tabs API
@@ -114,8 +137,27 @@ export const Browser = {
     onAlarm: browserAPI.alarms.onAlarm
   },
 
+  // Permissions API
+  permissions: {
+    contains: isFirefox
+      ? (permissions) => browserAPI.permissions.contains(permissions)
+      : promisify(browserAPI.permissions.contains, browserAPI.permissions),
+    request: isFirefox
+      ? (permissions) => browserAPI.permissions.request(permissions)
+      : promisify(browserAPI.permissions.request, browserAPI.permissions)
+  },
+
   // Action API (MV3)
   action: {
+    setBadgeText: isFirefox
+      ? (details) => browserAPI.action.setBadgeText(details)
+      : promisify(browserAPI.action.setBadgeText, browserAPI.action),
+    setBadgeBackgroundColor: isFirefox
+      ? (details) => browserAPI.action.setBadgeBackgroundColor(details)
+      : promisify(browserAPI.action.setBadgeBackgroundColor, browserAPI.action),
+    setTitle: isFirefox
+      ? (details) => browserAPI.action.setTitle(details)
+      : promisify(browserAPI.action.setTitle, browserAPI.action),
     openPopup: isFirefox
       ? () => {
         // Firefox doesn't support openPopup for actions yet
@@ -0,0 +1,51 @@
+/**
+ * Emergency kit: a printable text file holding the vault recovery key
+ */
+
+/**
+ * Build the emergency kit text
+ * @param {string} recoveryKey - Recovery key from the vault
+ * @param {string|null} email - Account email, if signed in
+ * @returns {string} - Kit contents
+ */
+export function buildEmergencyKit(recoveryKey, email = null) {
+    return [
+        'SecureSync Emergency Kit',
+        '========================',
+        '',
+        `Created: ${new Date().toLocaleString()}`,
+        `Account: ${email || '(not signed in)'}`,
+        '',
+        'Recovery key:',
+        '',
+        `    ${recoveryKey}`,
+        '',
+        'If you forget your master password, open the SecureSync popup, choose',
+        '"Use recovery key" and enter this key to set a new master password.',
+        '',
+        'Anyone with this key can open your vault on this device. Print it or',
+        'store it offline, and never share it. SecureSync cannot recover it for you.',
+        '',
+        'Creating a new recovery key or changing your master password replaces',
+        'this key; keep only the most recent kit.',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Download the emergency kit as a text file
+ * @param {string} recoveryKey - Recovery key from the vault
+ * @param {string|null} email - Account email, if signed in
+ */
+export function downloadEmergencyKit(recoveryKey, email = null) {
+    const blob = new Blob([buildEmergencyKit(recoveryKey, email)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `securesync-emergency-kit-${new Date().toISOString().split('T')[0]}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
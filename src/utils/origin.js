@@ -0,0 +1,36 @@
+/**
+ * Origin helpers for matching vault entries against web pages
+ */
+
+/**
+ * Normalize a URL (or bare host such as "google.com") to its origin
+ * @param {string} url - URL or host entered by the user
+ * @returns {string|null} - Origin (scheme://host[:port]) or null if unparseable
+ */
+export function getOrigin(url) {
+    if (!url || typeof url !== 'string') {
+        return null;
+    }
+
+    const trimmed = url.trim();
+    // Manually added entries often omit the scheme
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+    try {
+        const origin = new URL(withScheme).origin;
+        return origin === 'null' ? null : origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether two URLs share exactly the same origin
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @returns {boolean} - True if scheme, host and port all match
+ */
+export function isSameOrigin(a, b) {
+    const originA = getOrigin(a);
+    return originA !== null && originA === getOrigin(b);
+}
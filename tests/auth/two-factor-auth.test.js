@@ -0,0 +1,119 @@
+import {
+    generateTOTPCode,
+    generateTOTPSecret,
+    parseOtpauthUri,
+    toOtpauthUri,
+    verifyTOTPCode
+} from '../../src/auth/two-factor-auth.js';
+
+// RFC 6238 Appendix B seeds ("1234567890" repeated to the hash length), base32 encoded
+const SEEDS = {
+    'SHA-1': 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+    'SHA-256': 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+    'SHA-512': 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+// [seconds since the epoch, SHA-1, SHA-256, SHA-512]
+const VECTORS = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826']
+];
+
+describe('generateTOTPCode', () => {
+    test.each(VECTORS)('matches the RFC 6238 vectors at %d', async (seconds, sha1, sha256, sha512) => {
+        const expected = { 'SHA-1': sha1, 'SHA-256': sha256, 'SHA-512': sha512 };
+
+        for (const [algorithm, secret] of Object.entries(SEEDS)) {
+            const code = await generateTOTPCode(secret, { algorithm, digits: 8, timestamp: seconds * 1000 });
+            expect(code).toBe(expected[algorithm]);
+        }
+    });
+
+    test('defaults to six digits', async () => {
+        expect(await generateTOTPCode(SEEDS['SHA-1'], { timestamp: 59000 })).toBe('287082');
+    });
+});
+
+describe('verifyTOTPCode', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('accepts the current code and one step either side', async () => {
+        jest.useFakeTimers({ now: 1111111111 * 1000 });
+        const secret = generateTOTPSecret();
+
+        for (const offset of [-30, 0, 30]) {
+            const code = await generateTOTPCode(secret, { timestamp: Date.now() + offset * 1000 });
+            expect(await verifyTOTPCode(code, secret)).toBe(true);
+        }
+    });
+
+    test('rejects codes outside the window', async () => {
+        jest.useFakeTimers({ now: 1111111111 * 1000 });
+        const secret = generateTOTPSecret();
+        const code = await generateTOTPCode(secret, { timestamp: Date.now() - 90 * 1000 });
+
+        expect(await verifyTOTPCode(code, secret)).toBe(false);
+    });
+});
+
+describe('parseOtpauthUri', () => {
+    test('reads every parameter', () => {
+        const parsed = parseOtpauthUri(
+            'otpauth://totp/Example:alice%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Example&algorithm=SHA256&digits=8&period=60'
+        );
+
+        expect(parsed).toEqual({
+            secret: 'JBSWY3DPEHPK3PXP',
+            algorithm: 'SHA-256',
+            digits: 8,
+            period: 60,
+            issuer: 'Example',
+            account: 'alice@example.com'
+        });
+    });
+
+    test('fills in the RFC 6238 defaults and takes the issuer from the label', () => {
+        expect(parseOtpauthUri('otpauth://totp/Example:alice?secret=jbsw y3dp ehpk 3pxp')).toEqual({
+            secret: 'JBSWY3DPEHPK3PXP',
+            algorithm: 'SHA-1',
+            digits: 6,
+            period: 30,
+            issuer: 'Example',
+            account: 'alice'
+        });
+    });
+
+    test.each([
+        ['https://example.com', 'Not a valid otpauth URI'],
+        ['otpauth://hotp/Example?secret=JBSWY3DPEHPK3PXP&counter=1', 'Only otpauth://totp URIs are supported'],
+        ['otpauth://totp/Example?secret=not-base32!', 'no valid secret'],
+        ['otpauth://totp/Example?secret=JBSWY3DPEHPK3PXP&algorithm=MD5', 'Unsupported TOTP algorithm'],
+        ['otpauth://totp/Example?secret=JBSWY3DPEHPK3PXP&digits=4', '6 to 8 digits'],
+        ['otpauth://totp/Example?secret=JBSWY3DPEHPK3PXP&period=0', 'positive number of seconds']
+    ])('rejects %s', (uri, message) => {
+        expect(() => parseOtpauthUri(uri)).toThrow(message);
+    });
+});
+
+describe('toOtpauthUri', () => {
+    test('keeps a valid otpauth URI as it is', () => {
+        const uri = 'otpauth://totp/Example:alice?secret=JBSWY3DPEHPK3PXP';
+        expect(toOtpauthUri(`  ${uri} `)).toBe(uri);
+    });
+
+    test('turns a bare key into a URI with the default parameters', () => {
+        const parsed = parseOtpauthUri(toOtpauthUri('jbsw y3dp ehpk 3pxp', 'alice', 'Example'));
+
+        expect(parsed).toMatchObject({ secret: 'JBSWY3DPEHPK3PXP', issuer: 'Example', account: 'alice', digits: 6, period: 30 });
+    });
+
+    test('rejects input that is neither', () => {
+        expect(() => toOtpauthUri('not a key!')).toThrow('Enter an otpauth:// URI or a base32 key');
+    });
+});
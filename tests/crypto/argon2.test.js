@@ -0,0 +1,64 @@
+import { argon2id, blake2b } from '../../src/crypto/argon2.js';
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+const filled = (length, value) => new Uint8Array(length).fill(value);
+
+describe('blake2b', () => {
+    // RFC 7693 Appendix A and the reference test vectors
+    test('hashes "abc"', () => {
+        expect(toHex(blake2b(new TextEncoder().encode('abc')))).toBe(
+            'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1' +
+            '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+        );
+    });
+
+    test('hashes the empty input', () => {
+        expect(toHex(blake2b(new Uint8Array(0)))).toBe(
+            '786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419' +
+            'd25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce'
+        );
+    });
+
+    test('produces shorter digests', () => {
+        expect(blake2b(new Uint8Array(0), 32)).toHaveLength(32);
+    });
+});
+
+describe('argon2id', () => {
+    // RFC 9106 section 5.3
+    test('matches the RFC 9106 test vector', () => {
+        const tag = argon2id({
+            password: filled(32, 0x01),
+            salt: filled(16, 0x02),
+            secret: filled(8, 0x03),
+            associatedData: filled(12, 0x04),
+            memory: 32,
+            iterations: 3,
+            parallelism: 4,
+            hashLength: 32
+        });
+
+        expect(toHex(tag)).toBe('0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+    });
+
+    test('derives the same key for the same inputs and a different one for another salt', () => {
+        const options = { password: filled(8, 0x61), memory: 64, iterations: 1, parallelism: 1 };
+
+        const first = argon2id({ ...options, salt: filled(16, 0x01) });
+        const again = argon2id({ ...options, salt: filled(16, 0x01) });
+        const other = argon2id({ ...options, salt: filled(16, 0x02) });
+
+        expect(toHex(again)).toBe(toHex(first));
+        expect(toHex(other)).not.toBe(toHex(first));
+    });
+
+    test('rejects salts shorter than 8 bytes', () => {
+        expect(() => argon2id({ password: filled(8, 1), salt: filled(7, 2), memory: 64, iterations: 1, parallelism: 1 }))
+            .toThrow('salt must be at least 8 bytes');
+    });
+
+    test('rejects too little memory for the lanes', () => {
+        expect(() => argon2id({ password: filled(8, 1), salt: filled(16, 2), memory: 16, iterations: 1, parallelism: 4 }))
+            .toThrow('Invalid Argon2id parameters');
+    });
+});
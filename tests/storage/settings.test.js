@@ -0,0 +1,131 @@
+import Browser from '../../src/utils/browser-polyfill.js';
+import {
+    DEFAULT_API_URL,
+    SETTINGS_SCHEMA,
+    getSettings,
+    saveSettings,
+    validateSetting
+} from '../../src/storage/settings.js';
+
+jest.mock('../../src/utils/browser-polyfill.js', () => ({
+    __esModule: true,
+    default: { storage: {} }
+}));
+
+// In-memory stand-in for one storage area
+function createArea() {
+    let data = {};
+
+    return {
+        get: jest.fn(async (keys) => {
+            const names = Array.isArray(keys) ? keys : [keys];
+            return Object.fromEntries(names.filter(name => name in data).map(name => [name, data[name]]));
+        }),
+        set: jest.fn(async (items) => {
+            data = { ...data, ...items };
+        }),
+        remove: jest.fn(async (keys) => {
+            for (const name of Array.isArray(keys) ? keys : [keys]) {
+                delete data[name];
+            }
+        }),
+        dump: () => data
+    };
+}
+
+const defaults = Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([name, field]) => [name, field.default]));
+
+beforeEach(() => {
+    Browser.storage.local = createArea();
+    Browser.storage.sync = createArea();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('validateSetting', () => {
+    test('accepts values that fit the schema', () => {
+        expect(validateSetting('autoSync', false)).toBe(false);
+        expect(validateSetting('syncInterval', 60)).toBe(60);
+        expect(validateSetting('conflictResolution', 'manual')).toBe('manual');
+        expect(validateSetting('biometricAuth', null)).toBeNull();
+    });
+
+    test('normalizes URLs without a trailing slash', () => {
+        expect(validateSetting('apiUrl', 'https://sync.example.com/api/')).toBe('https://sync.example.com/api');
+    });
+
+    test.each([
+        ['syncPasswords', 'yes', 'must be true or false'],
+        ['syncInterval', 0, 'between 1 and 60'],
+        ['lockTimeout', 2.5, 'whole number'],
+        ['trashRetentionDays', 366, 'between 1 and 365'],
+        ['conflictResolution', 'newest', 'must be one of'],
+        ['apiUrl', 'not a url', 'must be a valid URL'],
+        ['apiUrl', 'ftp://example.com', 'must use http or https'],
+        ['biometricAuth', [], 'must be an object'],
+        ['unknownSetting', true, 'Unknown setting']
+    ])('rejects %s = %p', (name, value, message) => {
+        expect(() => validateSetting(name, value)).toThrow(message);
+    });
+});
+
+describe('getSettings', () => {
+    test('returns the defaults for a new install', async () => {
+        expect(await getSettings()).toEqual(defaults);
+    });
+
+    test('replaces invalid stored values with their defaults', async () => {
+        await Browser.storage.local.set({ settings: { ...defaults, syncInterval: 500, darkMode: false } });
+
+        expect(await getSettings()).toEqual({ ...defaults, darkMode: false });
+    });
+
+    test('migrates legacy settings and removes the old keys', async () => {
+        await Browser.storage.local.set({ user_settings: { syncFrequencyMinutes: 10, autoLockMinutes: 5, darkMode: false } });
+        await Browser.storage.sync.set({ syncInterval: 20, apiUrl: 'http://localhost:3000', syncBookmarks: false });
+
+        const settings = await getSettings();
+
+        expect(settings).toEqual({
+            ...defaults,
+            syncInterval: 20,
+            lockTimeout: 5,
+            darkMode: false,
+            syncBookmarks: false,
+            apiUrl: DEFAULT_API_URL
+        });
+        expect(Browser.storage.local.dump()).toEqual({ settings });
+        expect(Browser.storage.sync.dump()).toEqual({});
+    });
+
+    test('runs the migration once for concurrent first reads', async () => {
+        await Browser.storage.sync.set({ apiUrl: 'https://sync.example.com' });
+
+        const results = await Promise.all([getSettings(), getSettings(), getSettings()]);
+
+        for (const settings of results) {
+            expect(settings.apiUrl).toBe('https://sync.example.com');
+        }
+        expect(Browser.storage.sync.remove).toHaveBeenCalledTimes(1);
+        expect((await getSettings()).apiUrl).toBe('https://sync.example.com');
+    });
+});
+
+describe('saveSettings', () => {
+    test('saves valid changes on top of the current settings', async () => {
+        const settings = await saveSettings({ syncInterval: 30, autoSync: false });
+
+        expect(settings).toEqual({ ...defaults, syncInterval: 30, autoSync: false });
+        expect(await getSettings()).toEqual(settings);
+    });
+
+    test('saves nothing when any value is invalid', async () => {
+        await saveSettings({ syncInterval: 30 });
+
+        await expect(saveSettings({ autoSync: false, lockTimeout: 0 })).rejects.toThrow('lockTimeout');
+        expect(await getSettings()).toEqual({ ...defaults, syncInterval: 30 });
+    });
+});
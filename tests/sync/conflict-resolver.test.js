@@ -0,0 +1,130 @@
+import { mergeEntry, mergeItems, withSyncBase } from '../../src/sync/conflict-resolver.js';
+
+const base = {
+    id: 'a',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    url: 'https://example.com',
+    username: 'alice',
+    password: 'one'
+};
+
+// A local copy last synced at `base`, edited since
+function local(changes, updatedAt = '2026-01-02T00:00:00.000Z') {
+    return { ...withSyncBase(base), ...changes, updatedAt };
+}
+
+function remote(changes, updatedAt = '2026-01-03T00:00:00.000Z') {
+    return { ...base, ...changes, updatedAt };
+}
+
+describe('mergeEntry', () => {
+    test('takes fields only the remote changed', () => {
+        const { merged, conflictFields } = mergeEntry(local({}), remote({ password: 'two' }));
+
+        expect(conflictFields).toEqual([]);
+        expect(merged.password).toBe('two');
+        expect(merged).not.toHaveProperty('syncBase');
+    });
+
+    test('keeps fields only the local side changed', () => {
+        const { merged, conflictFields } = mergeEntry(local({ username: 'bob' }), remote({}));
+
+        expect(conflictFields).toEqual([]);
+        expect(merged.username).toBe('bob');
+    });
+
+    test('combines edits to different fields', () => {
+        const { merged, conflictFields } = mergeEntry(local({ username: 'bob' }), remote({ password: 'two' }));
+
+        expect(conflictFields).toEqual([]);
+        expect(merged).toMatchObject({ username: 'bob', password: 'two' });
+    });
+
+    test('takes a field the remote removed', () => {
+        const { merged } = mergeEntry(local({}), remote({ url: undefined }));
+
+        expect(merged).not.toHaveProperty('url');
+    });
+
+    test('reports a field both sides changed to different values', () => {
+        const { conflictFields } = mergeEntry(local({ password: 'mine' }), remote({ password: 'theirs' }));
+
+        expect(conflictFields).toEqual(['password']);
+    });
+
+    test('does not report a field both sides changed to the same value', () => {
+        const { conflictFields } = mergeEntry(local({ password: 'same' }), remote({ password: 'same' }));
+
+        expect(conflictFields).toEqual([]);
+    });
+
+    test('treats every differing field as a conflict without a base', () => {
+        const { conflictFields } = mergeEntry({ ...base, username: 'bob' }, remote({ username: 'carol' }));
+
+        expect(conflictFields).toEqual(['username']);
+    });
+});
+
+describe('mergeItems', () => {
+    test('keeps entries that exist on one side only', () => {
+        const other = { ...base, id: 'b' };
+        const { merged } = mergeItems([local({})], [other]);
+
+        expect(merged.map(entry => entry.id).sort()).toEqual(['a', 'b']);
+    });
+
+    test('resolves conflicting fields by the newer side with last-write-wins', () => {
+        const { merged, conflicts } = mergeItems(
+            [local({ password: 'mine', username: 'bob' }, '2026-01-04T00:00:00.000Z')],
+            [remote({ password: 'theirs' }, '2026-01-03T00:00:00.000Z')]
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(merged[0]).toMatchObject({ password: 'mine', username: 'bob' });
+    });
+
+    test('keeps the local entry and reports the conflict with manual resolution', () => {
+        const mine = local({ password: 'mine' });
+        const { merged, conflicts } = mergeItems([mine], [remote({ password: 'theirs' })], 'manual');
+
+        expect(merged[0]).toBe(mine);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ id: 'a', fields: ['password'], base });
+    });
+
+    test('keeps the remote timestamp when the result matches the remote', () => {
+        const { merged } = mergeItems([local({}, base.updatedAt)], [remote({ password: 'two' })]);
+
+        expect(merged[0].updatedAt).toBe('2026-01-03T00:00:00.000Z');
+    });
+
+    test('stamps a combined result newer than both sides', () => {
+        const { merged } = mergeItems([local({ username: 'bob' })], [remote({ password: 'two' })]);
+
+        expect(new Date(merged[0].updatedAt).getTime()).toBeGreaterThan(new Date('2026-01-03T00:00:00.000Z').getTime());
+    });
+
+    describe('erased tombstones', () => {
+        const tombstone = {
+            id: 'a',
+            createdAt: base.createdAt,
+            updatedAt: '2026-01-05T00:00:00.000Z',
+            deletedAt: '2026-01-04T00:00:00.000Z'
+        };
+
+        test('win over older versions without conflicts', () => {
+            const { merged, conflicts } = mergeItems([tombstone], [remote({ password: 'two' })], 'manual');
+
+            expect(conflicts).toEqual([]);
+            expect(merged).toEqual([tombstone]);
+        });
+
+        test('lose to an edit made after the erase', () => {
+            const edited = remote({ password: 'two' }, '2026-01-06T00:00:00.000Z');
+            const { merged } = mergeItems([tombstone], [edited], 'manual');
+
+            expect(merged).toEqual([edited]);
+        });
+    });
+});